@@ -0,0 +1,104 @@
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+
+/**
+ * ============================================================================
+ * ENCRYPTED ROOMS
+ * ============================================================================
+ *
+ * End-to-end encrypted rooms are encrypted in the browser with a key that
+ * never reaches the server (it lives in the share link's `#fragment`). The
+ * server can't read the Y.Doc, so for these rooms it doesn't keep one: it
+ * relays opaque blobs and keeps them in an append-only log.
+ *
+ * - Every encrypted update gets a sequence number and is appended to the log.
+ *   Connecting clients are sent the whole log and merge it themselves. The
+ *   numbers are only meaningful because one instance assigns them: an
+ *   encrypted room is only ever open on one instance (see EncryptedRoom in
+ *   raw-server.ts).
+ * - The log only shrinks when a client compacts it: it sends an encrypted
+ *   snapshot of its doc together with the last sequence number it had seen,
+ *   and every entry up to that number is replaced by the snapshot.
+ *
+ * The wire protocol (mirrored in the frontend's lib/e2e.ts) reuses the lib0
+ * framing of the Yjs protocols, with message types of its own.
+ */
+
+// Encrypted room IDs carry this prefix. Only `POST /rooms` mints them, and share tokens are bound
+// to the room ID, so a room's mode can't be changed after it was created.
+export const encryptedRoomPrefix = 'e2e-'
+
+export const isEncryptedRoom = (docName: string) => docName.startsWith(encryptedRoomPrefix)
+
+// client -> server: [blob]                server -> client: [seq, blob] (someone else's update)
+export const messageE2EUpdate = 20
+// both ways: [count, ...clientIds, blob]; the IDs are the Yjs awareness client IDs in the blob
+export const messageE2EAwareness = 21
+// client -> server: [uptoSeq, snapshot]   server -> client: [] (please compact)
+export const messageE2ECompact = 22
+// server -> client on connect: [lastSeq, count, ...blobs] (the whole log)
+export const messageE2ESync = 23
+// server -> client: [seq] (your update was stored)
+export const messageE2EAck = 24
+// server -> client: [count, ...clientIds] (these awareness clients disconnected)
+export const messageE2ELeave = 25
+
+export interface LogEntry {
+  seq: number
+  data: Uint8Array
+}
+
+// A stored record: the entry's sequence number followed by its blob
+export const encodeRecord = (entry: LogEntry) => {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, entry.seq)
+  encoding.writeVarUint8Array(encoder, entry.data)
+  return encoding.toUint8Array(encoder)
+}
+
+export const decodeRecord = (record: Uint8Array): LogEntry => {
+  const decoder = decoding.createDecoder(record)
+  return { seq: decoding.readVarUint(decoder), data: decoding.readVarUint8Array(decoder) }
+}
+
+/**
+ * EncryptedLog
+ * ------------
+ * The in-memory log of one encrypted room. Entries are ordered by sequence
+ * number; after a compaction the first entry is the snapshot.
+ */
+export class EncryptedLog {
+  entries: LogEntry[] = []
+
+  get lastSeq() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].seq : 0
+  }
+
+  // Total size of the stored blobs
+  get bytes() {
+    return this.entries.reduce((sum, entry) => sum + entry.data.byteLength, 0)
+  }
+
+  // Restores stored records (snapshot first, then the log)
+  load(records: Uint8Array[]) {
+    this.entries = records.map(decodeRecord).sort((a, b) => a.seq - b.seq)
+  }
+
+  append(data: Uint8Array): LogEntry {
+    const entry = { seq: this.lastSeq + 1, data }
+    this.entries.push(entry)
+    return entry
+  }
+
+  /**
+   * Replaces every entry up to `uptoSeq` with `snapshot`. Returns false (and
+   * changes nothing) if that wouldn't drop anything, e.g. because another
+   * client already compacted past it.
+   */
+  compact(uptoSeq: number, snapshot: Uint8Array): boolean {
+    const covered = this.entries.filter((entry) => entry.seq <= uptoSeq).length
+    if (covered < 2 || uptoSeq > this.lastSeq) return false
+    this.entries = [{ seq: uptoSeq, data: snapshot }, ...this.entries.slice(covered)]
+    return true
+  }
+}
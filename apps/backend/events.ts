@@ -0,0 +1,284 @@
+import crypto from 'crypto'
+import type * as Y from 'yjs'
+import { logger } from './logger.js'
+import { elementMaps, isVisible } from './pages.js'
+
+/**
+ * ============================================================================
+ * ROOM EVENTS
+ * ============================================================================
+ *
+ * Clients see every change as it happens over the WebSocket. Integrations
+ * (chat, ticketing) want something coarser: "Alice joined", "3 elements
+ * added". A RoomEventTracker per room turns document and awareness changes
+ * into such events:
+ *
+ * - Changes are collected and sent once the room has been quiet for a while
+ *   (or after a maximum wait while it keeps changing), so dragging a shape
+ *   around is one `elements.changed`, not hundreds.
+ * - Changes within a batch net out: an element added and then edited is just
+ *   added, one added and removed again isn't reported at all, and so is a
+ *   client that joins and leaves again.
+ * - The server only tracks changes made through its own connections; with
+ *   several instances, each reports its own clients.
+ *
+ * Events are POSTed to webhook URLs (WebhookDispatcher) and streamed to
+ * subscribers of the room as server-sent events (formatServerSentEvent).
+ */
+
+export type RoomEventType =
+  | 'user.joined'
+  | 'user.left'
+  | 'elements.added'
+  | 'elements.changed'
+  | 'elements.removed'
+  | 'room.cleared'
+
+export interface EventUser {
+  clientId: number
+  /** The name the user picked, if their client shared one */
+  name: string | null
+}
+
+export interface ElementSummary {
+  id: string
+  type: string
+  /** The page the element is on (see pages.ts) */
+  page: string
+  /** The first characters of a text element */
+  text?: string
+}
+
+export interface RoomEvent {
+  id: string
+  type: RoomEventType
+  room: string
+  /** ISO timestamp of when the batch was sent */
+  time: string
+  data: Record<string, unknown>
+}
+
+type ElementChange = 'added' | 'changed' | 'removed'
+
+const maxTextLength = 200
+
+const summarize = (element: any, page: string): ElementSummary => ({
+  id: element.id,
+  type: element.type,
+  page,
+  ...(element.type === 'text' && typeof element.text === 'string' ? { text: element.text.slice(0, maxTextLength) } : {}),
+})
+
+/**
+ * RoomEventTracker
+ * ----------------
+ * Collects one room's changes and hands them to `emit` as events, batched as
+ * described above. Call `flush` (or `destroy`) to send a pending batch now.
+ */
+export class RoomEventTracker {
+  room: string
+  debounceMs: number
+  maxWaitMs: number
+  private doc: Y.Doc
+  private emit: (event: RoomEvent) => void
+  /** Clients in the room, with their latest name */
+  private present: Map<number, string | null>
+  private joined: Set<number>
+  private left: Map<number, string | null>
+  private changes: Map<string, { change: ElementChange; element: ElementSummary }>
+  /** Clients whose edits are in the pending batch */
+  private actors: Map<number, string | null>
+  private timer: ReturnType<typeof setTimeout> | null
+  private batchStartedAt: number
+
+  constructor(room: string, doc: Y.Doc, debounceMs: number, maxWaitMs: number, emit: (event: RoomEvent) => void) {
+    this.room = room
+    this.doc = doc
+    this.debounceMs = debounceMs
+    this.maxWaitMs = maxWaitMs
+    this.emit = emit
+    this.present = new Map()
+    this.joined = new Set()
+    this.left = new Map()
+    this.changes = new Map()
+    this.actors = new Map()
+    this.timer = null
+    this.batchStartedAt = 0
+  }
+
+  /** A client announced or updated its awareness state. */
+  userSeen(clientId: number, name: string | null) {
+    const isNew = !this.present.has(clientId)
+    this.present.set(clientId, name)
+    if (!isNew) return
+    // Left and came back within one batch: nothing happened
+    if (!this.left.delete(clientId)) this.joined.add(clientId)
+    this.schedule()
+  }
+
+  /** A client left (closed its connection or cleared its awareness state). */
+  userLeft(clientId: number) {
+    if (!this.present.has(clientId)) return
+    const name = this.present.get(clientId) ?? null
+    this.present.delete(clientId)
+    if (!this.joined.delete(clientId)) this.left.set(clientId, name)
+    this.schedule()
+  }
+
+  /**
+   * recordElements
+   * --------------
+   * Records a change of a page's elements. Excalidraw deletes elements by
+   * setting `isDeleted`, so what counts is whether each element was visible
+   * before and after. `actors` are the client IDs that made the change.
+   */
+  recordElements(event: Y.YMapEvent<any>, page: string, actors: Iterable<number>) {
+    event.changes.keys.forEach((keyChange, id) => {
+      const before = keyChange.action === 'add' ? undefined : keyChange.oldValue
+      const after = keyChange.action === 'delete' ? undefined : event.target.get(id)
+      let change: ElementChange
+      if (isVisible(after)) change = isVisible(before) ? 'changed' : 'added'
+      else if (isVisible(before)) change = 'removed'
+      else return
+
+      const pending = this.changes.get(id)?.change
+      const merged = pending === 'added'
+        ? (change === 'removed' ? null : 'added')
+        : pending === 'removed'
+          ? (change === 'added' ? 'changed' : 'removed')
+          : change
+      if (merged) this.changes.set(id, { change: merged, element: summarize(after ?? before, page) })
+      else this.changes.delete(id)
+    })
+    for (const clientId of actors) this.actors.set(clientId, this.present.get(clientId) ?? null)
+    this.schedule()
+  }
+
+  /** Sends the pending batch now. */
+  flush() {
+    if (this.timer) clearTimeout(this.timer)
+    this.timer = null
+
+    const user = (clientId: number, name = this.present.get(clientId) ?? null): EventUser => ({ clientId, name })
+    const users = Array.from(this.actors, ([clientId, name]) => user(clientId, this.present.get(clientId) ?? name))
+    const byChange: Record<ElementChange, ElementSummary[]> = { added: [], changed: [], removed: [] }
+    this.changes.forEach(({ change, element }) => byChange[change].push(element))
+
+    this.joined.forEach((clientId) => this.send('user.joined', { user: user(clientId) }))
+    if (byChange.added.length > 0) this.send('elements.added', { elements: byChange.added, users })
+    if (byChange.changed.length > 0) this.send('elements.changed', { elements: byChange.changed, users })
+    if (byChange.removed.length > 0) {
+      // Removing everything (e.g. "Clear canvas" on the only page) is worth an event of its own
+      const empty = !elementMaps(this.doc).some(([, elements]) => Array.from(elements.values()).some(isVisible))
+      if (empty) this.send('room.cleared', { removed: byChange.removed.length, users })
+      else this.send('elements.removed', { elements: byChange.removed, users })
+    }
+    this.left.forEach((name, clientId) => this.send('user.left', { user: user(clientId, name) }))
+
+    this.joined.clear()
+    this.left.clear()
+    this.changes.clear()
+    this.actors.clear()
+  }
+
+  destroy() {
+    this.flush()
+  }
+
+  private send(type: RoomEventType, data: Record<string, unknown>) {
+    this.emit({ id: crypto.randomUUID(), type, room: this.room, time: new Date().toISOString(), data })
+  }
+
+  // Restarts the quiet period, without pushing the batch past its maximum wait
+  private schedule() {
+    const now = Date.now()
+    if (this.timer) clearTimeout(this.timer)
+    else this.batchStartedAt = now
+    const delay = Math.min(this.debounceMs, this.batchStartedAt + this.maxWaitMs - now)
+    this.timer = setTimeout(() => this.flush(), Math.max(0, delay))
+  }
+}
+
+/**
+ * signWebhook
+ * -----------
+ * The `X-Easyboard-Signature` of a delivery: an HMAC-SHA256 of
+ * `<timestamp>.<body>`, so a receiver can check the payload came from us and
+ * reject old deliveries being replayed.
+ */
+export const signWebhook = (secret: string, timestamp: string, body: string) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+
+export type DeliveryResult = 'delivered' | 'retried' | 'failed'
+
+/**
+ * WebhookDispatcher
+ * -----------------
+ * POSTs every event as JSON to each URL. Failed deliveries (network errors,
+ * timeouts, 408, 429 and 5xx) are retried with exponential backoff, up to
+ * `maxAttempts` in total; other responses mean the receiver doesn't want it.
+ * Deliveries are independent, so a retried event may arrive after newer ones.
+ */
+export class WebhookDispatcher {
+  urls: string[]
+  secret: string
+  maxAttempts: number
+  private report: (result: DeliveryResult) => void
+
+  constructor(urls: string[], secret: string, maxAttempts: number, report: (result: DeliveryResult) => void = () => {}) {
+    this.urls = urls
+    this.secret = secret
+    this.maxAttempts = maxAttempts
+    this.report = report
+  }
+
+  deliver(event: RoomEvent) {
+    const body = JSON.stringify(event)
+    this.urls.forEach((url) => {
+      this.send(url, event, body, 1)
+    })
+  }
+
+  private async send(url: string, event: RoomEvent, body: string, attempt: number) {
+    const timestamp = String(Math.floor(Date.now() / 1000))
+    let error: unknown
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Easyboard-Event': event.type,
+          'X-Easyboard-Delivery': event.id,
+          'X-Easyboard-Timestamp': timestamp,
+          ...(this.secret ? { 'X-Easyboard-Signature': signWebhook(this.secret, timestamp, body) } : {}),
+        },
+        body,
+        signal: AbortSignal.timeout(10_000),
+      })
+      if (response.ok) {
+        this.report('delivered')
+        return
+      }
+      if (response.status < 500 && response.status !== 408 && response.status !== 429) {
+        this.report('failed')
+        logger.warn('Webhook rejected', { url, event: event.id, status: response.status })
+        return
+      }
+      error = `HTTP ${response.status}`
+    } catch (err) {
+      error = err
+    }
+
+    if (attempt >= this.maxAttempts) {
+      this.report('failed')
+      logger.warn('Webhook delivery failed', { url, event: event.id, attempts: attempt, err: error })
+      return
+    }
+    this.report('retried')
+    setTimeout(() => this.send(url, event, body, attempt + 1), 1000 * 2 ** (attempt - 1))
+  }
+}
+
+// One event in the `text/event-stream` format; `event` lets EventSource clients listen per type
+export const formatServerSentEvent = (event: RoomEvent) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
@@ -0,0 +1,94 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+
+/**
+ * ============================================================================
+ * BINARY FILE STORE
+ * ============================================================================
+ *
+ * Excalidraw keeps image data out of its elements: an image element only
+ * references a `fileId`, and the bytes live in a separate `BinaryFiles` map.
+ * Those bytes are far too large to push through the Y.js document, so clients
+ * upload them here and only record the file's existence in the doc's `files`
+ * map. Peers that see an unknown `fileId` download it from this store.
+ *
+ * Files are keyed by Excalidraw's `fileId`. That is a hash of the image as it
+ * was picked, before Excalidraw resized it (or the client encrypted it), so the
+ * stored bytes can't be checked against it. Uploading to an existing ID
+ * replaces the file, like any other edit of the board.
+ */
+
+export interface StoredFile {
+  mimeType: string
+  data: Uint8Array
+}
+
+export interface FileStore {
+  get(docName: string, fileId: string): Promise<StoredFile | null>
+  put(docName: string, fileId: string, file: StoredFile): Promise<void>
+  /** IDs of every file stored for a room */
+  list(docName: string): Promise<string[]>
+  /** Removes every file stored for a room */
+  deleteRoom(docName: string): Promise<void>
+}
+
+// Excalidraw file IDs are hex hashes; anything else is rejected before touching the disk
+export const isValidFileId = (fileId: string) => /^[a-zA-Z0-9_-]{1,128}$/.test(fileId)
+
+/**
+ * FsFileStore
+ * -----------
+ * Stores each file under `<dir>/<room>/` as `<fileId>` (bytes) plus
+ * `<fileId>.json` (metadata). Files are scoped per room so a share token only
+ * ever grants access to its own room's images.
+ */
+export class FsFileStore implements FileStore {
+  dir: string
+
+  constructor(dir: string) {
+    this.dir = dir
+  }
+
+  async get(docName: string, fileId: string): Promise<StoredFile | null> {
+    try {
+      const [data, meta] = await Promise.all([
+        fs.readFile(this.filePath(docName, fileId)),
+        fs.readFile(`${this.filePath(docName, fileId)}.json`, 'utf8'),
+      ])
+      return { mimeType: JSON.parse(meta).mimeType, data: new Uint8Array(data) }
+    } catch (err: any) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  async put(docName: string, fileId: string, file: StoredFile): Promise<void> {
+    const target = this.filePath(docName, fileId)
+    await fs.mkdir(path.dirname(target), { recursive: true })
+    // Metadata first, then write-then-rename the bytes: readers never see half a file
+    await fs.writeFile(`${target}.json`, JSON.stringify({ mimeType: file.mimeType, size: file.data.length }))
+    const tmpPath = `${target}.${crypto.randomUUID()}.tmp`
+    await fs.writeFile(tmpPath, file.data)
+    await fs.rename(tmpPath, target)
+  }
+
+  async list(docName: string): Promise<string[]> {
+    try {
+      const names = await fs.readdir(path.join(this.dir, encodeURIComponent(docName)))
+      // Skip metadata and in-flight temp files
+      return names.filter((name) => isValidFileId(name))
+    } catch (err: any) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+  }
+
+  async deleteRoom(docName: string): Promise<void> {
+    await fs.rm(path.join(this.dir, encodeURIComponent(docName)), { recursive: true, force: true })
+  }
+
+  private filePath(docName: string, fileId: string) {
+    return path.join(this.dir, encodeURIComponent(docName), fileId)
+  }
+}
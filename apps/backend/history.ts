@@ -0,0 +1,180 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import * as Y from 'yjs'
+import { KeyedQueue } from './persistence.js'
+import { listPages, pageElements, type Page, type PageInfo } from './pages.js'
+
+/**
+ * ============================================================================
+ * VERSION HISTORY
+ * ============================================================================
+ *
+ * A version is a full `Y.encodeStateAsUpdate` copy of a room taken at some
+ * point in time: either automatically on a schedule, or on demand with a name.
+ * Versions are independent of the update log in persistence.ts, so compacting
+ * a room never loses its history.
+ *
+ * Restoring never rewinds the CRDT (other clients would just re-send their
+ * newer state). Instead the old pages and elements are written back as a NEW
+ * update on top of the current document, so every connected client converges
+ * on it.
+ */
+
+export interface VersionInfo {
+  id: string
+  name: string
+  createdAt: number
+  /** Taken by the scheduler rather than a user; these are pruned first */
+  auto: boolean
+}
+
+export interface VersionStore {
+  /** Newest first */
+  list(docName: string): Promise<VersionInfo[]>
+  save(docName: string, name: string, auto: boolean, state: Uint8Array): Promise<VersionInfo>
+  load(docName: string, id: string): Promise<Uint8Array | null>
+  /** Removes every version of a room */
+  deleteRoom(docName: string): Promise<void>
+}
+
+/**
+ * FileVersionStore
+ * ----------------
+ * Stores versions under `<dir>/<room>/`:
+ *   index.json   - VersionInfo[] (newest first)
+ *   <id>.ydoc    - the encoded document state
+ *
+ * Keeps every named version but only the newest `maxAuto` automatic ones.
+ */
+export class FileVersionStore implements VersionStore {
+  dir: string
+  maxAuto: number
+  private queue: KeyedQueue
+
+  constructor(dir: string, maxAuto = 50) {
+    this.dir = dir
+    this.maxAuto = maxAuto
+    this.queue = new KeyedQueue()
+  }
+
+  list(docName: string): Promise<VersionInfo[]> {
+    return this.queue.run(docName, () => this.readIndex(docName))
+  }
+
+  save(docName: string, name: string, auto: boolean, state: Uint8Array): Promise<VersionInfo> {
+    return this.queue.run(docName, async () => {
+      const roomDir = this.roomDir(docName)
+      await fs.mkdir(roomDir, { recursive: true })
+
+      const info: VersionInfo = { id: crypto.randomUUID(), name, createdAt: Date.now(), auto }
+      await fs.writeFile(path.join(roomDir, `${info.id}.ydoc`), state)
+
+      const index = [info, ...(await this.readIndex(docName))]
+      const pruned = index.filter((v) => v.auto).slice(this.maxAuto)
+      const kept = index.filter((v) => !pruned.includes(v))
+      await Promise.all(pruned.map((v) => fs.rm(path.join(roomDir, `${v.id}.ydoc`), { force: true })))
+      await fs.writeFile(path.join(roomDir, 'index.json'), JSON.stringify(kept))
+      return info
+    })
+  }
+
+  load(docName: string, id: string): Promise<Uint8Array | null> {
+    return this.queue.run(docName, async () => {
+      // Only serve IDs we issued, so `id` can never be used to walk the filesystem
+      const index = await this.readIndex(docName)
+      if (!index.some((v) => v.id === id)) return null
+      return new Uint8Array(await fs.readFile(path.join(this.roomDir(docName), `${id}.ydoc`)))
+    })
+  }
+
+  deleteRoom(docName: string): Promise<void> {
+    return this.queue.run(docName, () => fs.rm(this.roomDir(docName), { recursive: true, force: true }))
+  }
+
+  private async readIndex(docName: string): Promise<VersionInfo[]> {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.roomDir(docName), 'index.json'), 'utf8'))
+    } catch (err: any) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+  }
+
+  private roomDir(docName: string) {
+    return path.join(this.dir, encodeURIComponent(docName))
+  }
+}
+
+/**
+ * readVersion
+ * -----------
+ * Decodes a stored version into its pages and the Excalidraw elements of one
+ * page (the first one by default). `elements` is null if there's no such page.
+ */
+export const readVersion = (state: Uint8Array, pageId?: string): { pages: Page[]; elements: any[] | null } => {
+  const doc = new Y.Doc()
+  Y.applyUpdate(doc, state)
+  const pages = listPages(doc)
+  const page = pageId === undefined ? pages[0] : pages.find((p) => p.id === pageId)
+  const elements = page ? Array.from(pageElements(doc, page.id)?.values() ?? []) : null
+  doc.destroy()
+  return { pages, elements }
+}
+
+/**
+ * restoreVersion
+ * --------------
+ * Makes `doc`'s pages and their elements match the version in a single
+ * transaction. Restored elements get a version above anything clients have
+ * seen, so Excalidraw treats them as the newest edit rather than stale data.
+ */
+export const restoreVersion = (doc: Y.Doc, state: Uint8Array, origin: unknown) => {
+  const version = new Y.Doc()
+  Y.applyUpdate(version, state)
+  const targetPages = version.getMap<PageInfo>('pages')
+  const yPages = doc.getMap<PageInfo>('pages')
+  const yPageElements = doc.getMap<Y.Map<any>>('pageElements')
+
+  doc.transact(() => {
+    Array.from(yPages.keys()).forEach((id) => {
+      if (!targetPages.has(id)) yPages.delete(id)
+    })
+    targetPages.forEach((info, id) => {
+      const current = yPages.get(id)
+      if (current?.name !== info.name || current?.index !== info.index) yPages.set(id, info)
+    })
+
+    restoreElements(doc.getMap('elements'), version.getMap('elements'))
+    const targetPageElements = version.getMap<Y.Map<any>>('pageElements')
+    Array.from(yPageElements.keys()).forEach((id) => {
+      if (!targetPageElements.has(id)) yPageElements.delete(id)
+    })
+    targetPageElements.forEach((target, id) => {
+      let yElements = yPageElements.get(id)
+      if (!yElements) {
+        yElements = new Y.Map()
+        yPageElements.set(id, yElements)
+      }
+      restoreElements(yElements, target)
+    })
+  }, origin)
+  version.destroy()
+}
+
+// Makes one page's elements match `target`
+const restoreElements = (yElements: Y.Map<any>, target: Y.Map<any>) => {
+  Array.from(yElements.keys()).forEach((id) => {
+    if (!target.has(id)) yElements.delete(id)
+  })
+  target.forEach((el, id) => {
+    const current = yElements.get(id)
+    if (current && current.version === el.version && current.versionNonce === el.versionNonce) return
+    yElements.set(id, {
+      ...el,
+      version: Math.max(current?.version ?? 0, el.version ?? 0) + 1,
+      versionNonce: crypto.randomInt(2 ** 31),
+      updated: Date.now(),
+    })
+  })
+}
@@ -0,0 +1,71 @@
+/**
+ * ============================================================================
+ * ROOM LIFECYCLE
+ * ============================================================================
+ *
+ * Rooms are loaded into memory when someone connects and unloaded when
+ * nobody is using them any more. The policies around that live here:
+ *
+ * - Idle eviction: a room whose last client left stays loaded for a grace
+ *   period, so a reload or a flaky connection doesn't pay for a full unload
+ *   (final snapshot) and reload. Only so many idle rooms are kept; past that
+ *   the one idle for longest is unloaded right away.
+ * - Quotas: a room's document may only grow to a maximum size and number of
+ *   elements. Updates that would exceed them are refused: undone right after
+ *   they are applied, so the sender's later updates still fit.
+ *
+ * Expiring abandoned rooms (ROOM_TTL_MS) is a sweep over persistence in
+ * raw-server.ts.
+ */
+
+/**
+ * IdleQueue
+ * ---------
+ * Rooms waiting to be unloaded. `release` is called once an item has been
+ * idle for `graceMs`, or early when more than `maxIdle` items are waiting.
+ * Items are kept in insertion order, so the first one is the oldest.
+ */
+export class IdleQueue<T> {
+  graceMs: number
+  maxIdle: number
+  private release: (item: T) => void
+  private timers: Map<T, ReturnType<typeof setTimeout>>
+
+  constructor(graceMs: number, maxIdle: number, release: (item: T) => void) {
+    this.graceMs = graceMs
+    this.maxIdle = maxIdle
+    this.release = release
+    this.timers = new Map()
+  }
+
+  get size() {
+    return this.timers.size
+  }
+
+  /** Starts (or restarts) the grace period of an item nobody is using. */
+  add(item: T) {
+    this.remove(item)
+    this.timers.set(item, setTimeout(() => {
+      this.timers.delete(item)
+      this.release(item)
+    }, this.graceMs))
+
+    if (this.timers.size > this.maxIdle) {
+      const oldest = this.timers.keys().next().value as T
+      this.remove(oldest)
+      this.release(oldest)
+    }
+  }
+
+  /** Cancels an item's grace period because it's in use again. Returns whether it was waiting. */
+  remove(item: T): boolean {
+    const timer = this.timers.get(item)
+    if (timer === undefined) return false
+    clearTimeout(timer)
+    this.timers.delete(item)
+    return true
+  }
+}
+
+// Why an update was refused. Elements on every page count, deleted ones don't (see ElementCounter in pages.ts).
+export type QuotaExceeded = 'doc_size' | 'elements'
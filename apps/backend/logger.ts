@@ -0,0 +1,72 @@
+/**
+ * ============================================================================
+ * STRUCTURED LOGGING
+ * ============================================================================
+ *
+ * Every log line is a single JSON object on stdout (stderr for warn/error):
+ *
+ *   {"time":"2024-01-01T00:00:00.000Z","level":"info","msg":"Client connected","room":"abc","role":"edit"}
+ *
+ * so log collectors can filter by level or room without parsing free text.
+ * Lines below `LOG_LEVEL` (default `info`) are dropped; set `LOG_LEVEL=debug`
+ * to see per-message tracing.
+ */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error'
+export type LogFields = Record<string, unknown>
+
+const levels: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const minLevel = levels[(process.env.LOG_LEVEL as LogLevel) || 'info'] ?? levels.info
+
+// Errors don't survive JSON.stringify; keep their message and stack
+const serialize = (fields: LogFields) => {
+  const out: LogFields = {}
+  for (const [key, value] of Object.entries(fields)) {
+    out[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value
+  }
+  return out
+}
+
+export class Logger {
+  private fields: LogFields
+
+  constructor(fields: LogFields = {}) {
+    this.fields = fields
+  }
+
+  /** Returns a logger that adds `fields` (e.g. `{ room }`) to every line. */
+  child(fields: LogFields): Logger {
+    return new Logger({ ...this.fields, ...fields })
+  }
+
+  debug(msg: string, fields?: LogFields) {
+    this.write('debug', msg, fields)
+  }
+
+  info(msg: string, fields?: LogFields) {
+    this.write('info', msg, fields)
+  }
+
+  warn(msg: string, fields?: LogFields) {
+    this.write('warn', msg, fields)
+  }
+
+  error(msg: string, fields?: LogFields) {
+    this.write('error', msg, fields)
+  }
+
+  private write(level: LogLevel, msg: string, fields?: LogFields) {
+    if (levels[level] < minLevel) return
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...serialize({ ...this.fields, ...fields }),
+    })
+    if (levels[level] >= levels.warn) process.stderr.write(line + '\n')
+    else process.stdout.write(line + '\n')
+  }
+}
+
+export const logger = new Logger()
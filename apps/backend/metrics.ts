@@ -0,0 +1,83 @@
+/**
+ * ============================================================================
+ * METRICS
+ * ============================================================================
+ *
+ * A tiny Prometheus registry, served as text exposition format on `/metrics`.
+ *
+ * - `Counter`: monotonically increasing totals (bytes, messages, failures).
+ *   Rates are derived at query time, e.g. `rate(easyboard_doc_updates_total[1m])`.
+ * - `Gauge`: point-in-time values computed when scraped (rooms, connections),
+ *   so they can never drift from the server's real state.
+ */
+
+export type Labels = Record<string, string>
+
+interface Metric {
+  render(): string
+}
+
+// Label values may contain anything (room names); escape per the exposition format
+const escapeLabel = (value: string) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+const formatLabels = (labels: Labels) => {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+const header = (name: string, help: string, type: string) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`
+
+export class Counter implements Metric {
+  name: string
+  help: string
+  private values: Map<string, number> = new Map()
+
+  constructor(name: string, help: string) {
+    this.name = name
+    this.help = help
+  }
+
+  inc(labels: Labels = {}, by = 1) {
+    const key = formatLabels(labels)
+    this.values.set(key, (this.values.get(key) || 0) + by)
+  }
+
+  render() {
+    const lines = Array.from(this.values, ([labels, value]) => `${this.name}${labels} ${value}\n`)
+    return header(this.name, this.help, 'counter') + (lines.length > 0 ? lines.join('') : `${this.name} 0\n`)
+  }
+}
+
+export class Gauge implements Metric {
+  name: string
+  help: string
+  private collect: () => number | Array<[Labels, number]>
+
+  /** `collect` runs on every scrape and returns a value, or one value per label set. */
+  constructor(name: string, help: string, collect: () => number | Array<[Labels, number]>) {
+    this.name = name
+    this.help = help
+    this.collect = collect
+  }
+
+  render() {
+    const value = this.collect()
+    const samples: Array<[Labels, number]> = typeof value === 'number' ? [[{}, value]] : value
+    return header(this.name, this.help, 'gauge') +
+      samples.map(([labels, v]) => `${this.name}${formatLabels(labels)} ${v}\n`).join('')
+  }
+}
+
+export class Registry {
+  private metrics: Metric[] = []
+
+  register<T extends Metric>(metric: T): T {
+    this.metrics.push(metric)
+    return metric
+  }
+
+  render() {
+    return this.metrics.map((metric) => metric.render()).join('')
+  }
+}
@@ -0,0 +1,121 @@
+import * as Y from 'yjs'
+
+/**
+ * ============================================================================
+ * PAGES
+ * ============================================================================
+ *
+ * A board can have several pages, each with its own elements. In the Y.Doc
+ * (the frontend's lib/pages.ts has the same layout):
+ *
+ * - `pages`: page ID -> `{ name, index }`, where `index` is a fractional
+ *   index giving the order of the pages. Empty on boards that were never
+ *   given a second page.
+ * - The first page of every board, `main`, keeps its elements in the root
+ *   `elements` map, so boards from before pages existed are unchanged.
+ * - `pageElements`: page ID -> nested Y.Map of elements, for every other
+ *   page. A page's map is created along with the page by the client that
+ *   adds it, and removed when the page is deleted.
+ */
+
+export const mainPageId = 'main'
+
+export interface PageInfo {
+  name: string
+  index: string
+}
+
+export interface Page extends PageInfo {
+  id: string
+}
+
+const defaultMainPage: PageInfo = { name: 'Page 1', index: 'a0' }
+
+/**
+ * listPages
+ * ---------
+ * The board's pages in order. A board without page entries has one page.
+ * Pages whose elements haven't arrived yet are left out, like the frontend
+ * does.
+ */
+export const listPages = (doc: Y.Doc): Page[] => {
+  const pages = doc.getMap<PageInfo>('pages')
+  if (pages.size === 0) return [{ id: mainPageId, ...defaultMainPage }]
+  const elements = doc.getMap<Y.Map<any>>('pageElements')
+  return Array.from(pages.entries(), ([id, info]) => ({ id, name: info.name, index: info.index }))
+    .filter((page) => page.id === mainPageId || elements.has(page.id))
+    .sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : a.id < b.id ? -1 : 1))
+}
+
+// The elements of a page, if it has any
+export const pageElements = (doc: Y.Doc, pageId: string): Y.Map<any> | undefined =>
+  pageId === mainPageId ? doc.getMap('elements') : doc.getMap<Y.Map<any>>('pageElements').get(pageId)
+
+// Every page's elements, including pages that were removed from the list but not cleared
+export const elementMaps = (doc: Y.Doc): [string, Y.Map<any>][] => [
+  [mainPageId, doc.getMap('elements')],
+  ...doc.getMap<Y.Map<any>>('pageElements').entries(),
+]
+
+// Deleted elements stay in their map as tombstones (`isDeleted: true`)
+export const isVisible = (element: any) => !!element && !element.isDeleted
+
+const countVisible = (map: Y.Map<any>) => {
+  let count = 0
+  map.forEach((element) => {
+    if (isVisible(element)) count++
+  })
+  return count
+}
+
+// The elements on every page that aren't deleted
+export const countElements = (doc: Y.Doc) => elementMaps(doc).reduce((count, [, map]) => count + countVisible(map), 0)
+
+/**
+ * ElementCounter
+ * --------------
+ * Keeps count of the elements that aren't deleted, on every page, as the doc
+ * changes, so a quota check doesn't have to walk the whole board. Create it
+ * before anything is applied to the doc.
+ */
+export class ElementCounter {
+  /** Elements that aren't deleted, on every page */
+  total: number
+  private pages: Map<string, number>
+
+  constructor(doc: Y.Doc) {
+    this.total = 0
+    this.pages = new Map()
+    doc.getMap('elements').observe((event) => this.recordElements(mainPageId, event))
+    doc.getMap<Y.Map<any>>('pageElements').observeDeep((events) => {
+      events.forEach((event) => {
+        if (event.path.length === 0) this.recordPages(event as Y.YMapEvent<Y.Map<any>>)
+        else if (event.path.length === 1) this.recordElements(String(event.path[0]), event as Y.YMapEvent<any>)
+      })
+    })
+  }
+
+  private setCount(pageId: string, count: number) {
+    this.total += count - (this.pages.get(pageId) ?? 0)
+    if (count > 0) this.pages.set(pageId, count)
+    else this.pages.delete(pageId)
+  }
+
+  private recordElements(pageId: string, event: Y.YMapEvent<any>) {
+    let count = this.pages.get(pageId) ?? 0
+    event.changes.keys.forEach((change, id) => {
+      const before = change.action === 'add' ? undefined : change.oldValue
+      count += Number(isVisible(event.target.get(id))) - Number(isVisible(before))
+    })
+    this.setCount(pageId, count)
+  }
+
+  // Pages added, replaced or deleted. A page created together with its elements
+  // only reports the page, so its elements are counted here.
+  private recordPages(event: Y.YMapEvent<Y.Map<any>>) {
+    event.changes.keys.forEach((_, pageId) => {
+      const elements = event.target.get(pageId)
+      this.setCount(pageId, elements ? countVisible(elements) : 0)
+    })
+  }
+}
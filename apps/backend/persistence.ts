@@ -0,0 +1,237 @@
+import fs from 'fs/promises'
+import path from 'path'
+import os from 'os'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import { logger } from './logger.js'
+
+/**
+ * ============================================================================
+ * ROOM PERSISTENCE
+ * ============================================================================
+ *
+ * The relay keeps every room in memory while clients are connected, but a
+ * board must outlive its last connection. A `Persistence` backend stores two
+ * things per room:
+ *
+ * - Update log: every incremental Y.js update, appended as it arrives.
+ * - Snapshot:   a compacted `Y.encodeStateAsUpdate` of the whole document.
+ *
+ * Loading a room replays snapshot + log. Compacting writes a fresh snapshot
+ * and truncates the log, so the log never grows without bound.
+ *
+ * Backends are pluggable: anything implementing `Persistence` can be passed
+ * to the server (e.g. S3, Postgres). `FilePersistence` ships out of the box.
+ */
+
+export interface StoredRoom {
+  name: string
+  /** Size of the stored snapshot + log */
+  bytes: number
+  /** When the room was last written (or touched) */
+  updatedAt: number
+}
+
+export interface Persistence {
+  /** Prepares the storage before the server starts; rejects if it can't be used. */
+  open(): Promise<void>
+  /** Returns every stored update for a room (snapshot first, then the log). */
+  loadUpdates(docName: string): Promise<Uint8Array[]>
+  /** Appends a single incremental update to the room's log. */
+  storeUpdate(docName: string, update: Uint8Array): Promise<void>
+  /** Replaces snapshot + log with one compacted state update. */
+  compact(docName: string, state: Uint8Array): Promise<void>
+  /** Marks a room as used without changing it, so it doesn't look abandoned. */
+  touch(docName: string): Promise<void>
+  /** Every stored room. */
+  listRooms(): Promise<StoredRoom[]>
+  /** Removes everything stored for a room. */
+  deleteRoom(docName: string): Promise<void>
+}
+
+/**
+ * FilePersistence
+ * ---------------
+ * Stores each room as two files in `dir`:
+ *   <room>.snapshot  - the last compacted state (raw Y.js update)
+ *   <room>.log       - length-prefixed updates appended since the snapshot
+ *
+ * All operations for one room are chained on a per-room promise queue, so a
+ * load issued while a compaction is in flight always sees the finished files.
+ * That queue only exists in this process, so `dir` belongs to one instance
+ * (see open).
+ */
+export class FilePersistence implements Persistence {
+  dir: string
+  private queue: KeyedQueue
+
+  constructor(dir: string) {
+    this.dir = dir
+    this.queue = new KeyedQueue()
+  }
+
+  /**
+   * Claims `dir` for this process with a `.lock` file. Compacting removes a
+   * room's whole log, including updates another instance could have appended
+   * meanwhile, so a second instance refuses to start on a directory in use.
+   */
+  async open(): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true })
+    const lockPath = path.join(this.dir, '.lock')
+    const owner: LockOwner = { host: os.hostname(), pid: process.pid }
+    try {
+      await fs.writeFile(lockPath, JSON.stringify(owner), { flag: 'wx' })
+      return
+    } catch (err: any) {
+      if (err.code !== 'EEXIST') throw err
+    }
+    const holder: LockOwner = JSON.parse(await fs.readFile(lockPath, 'utf8'))
+    // A lock of this host's process that has exited (or of an earlier run with our PID, e.g. PID 1 in a container) is stale
+    if (holder.host !== owner.host || (holder.pid !== owner.pid && isRunning(holder.pid))) {
+      throw new Error(`${this.dir} is in use by process ${holder.pid} on ${holder.host}; delete ${lockPath} if it has exited`)
+    }
+    await fs.writeFile(lockPath, JSON.stringify(owner))
+  }
+
+  loadUpdates(docName: string): Promise<Uint8Array[]> {
+    return this.queue.run(docName, async () => {
+      const updates: Uint8Array[] = []
+      const snapshot = await readIfExists(this.filePath(docName, 'snapshot'))
+      if (snapshot && snapshot.length > 0) updates.push(snapshot)
+
+      const log = await readIfExists(this.filePath(docName, 'log'))
+      if (log) {
+        const decoder = decoding.createDecoder(log)
+        try {
+          while (decoding.hasContent(decoder)) {
+            updates.push(decoding.readVarUint8Array(decoder))
+          }
+        } catch (err) {
+          // A crash mid-append can leave a truncated final record; everything before it is still valid
+          logger.warn('Ignoring truncated update log tail', { room: docName })
+        }
+      }
+      return updates
+    })
+  }
+
+  storeUpdate(docName: string, update: Uint8Array): Promise<void> {
+    return this.queue.run(docName, async () => {
+      const encoder = encoding.createEncoder()
+      encoding.writeVarUint8Array(encoder, update)
+      await fs.mkdir(this.dir, { recursive: true })
+      await fs.appendFile(this.filePath(docName, 'log'), encoding.toUint8Array(encoder))
+    })
+  }
+
+  compact(docName: string, state: Uint8Array): Promise<void> {
+    return this.queue.run(docName, async () => {
+      await fs.mkdir(this.dir, { recursive: true })
+      // Write-then-rename so a crash never leaves a half-written snapshot
+      const snapshotPath = this.filePath(docName, 'snapshot')
+      const tmpPath = `${snapshotPath}.tmp`
+      await fs.writeFile(tmpPath, state)
+      await fs.rename(tmpPath, snapshotPath)
+      await fs.rm(this.filePath(docName, 'log'), { force: true })
+    })
+  }
+
+  touch(docName: string): Promise<void> {
+    return this.queue.run(docName, async () => {
+      const now = new Date()
+      for (const ext of ['snapshot', 'log']) {
+        try {
+          await fs.utimes(this.filePath(docName, ext), now, now)
+        } catch (err: any) {
+          if (err.code !== 'ENOENT') throw err
+        }
+      }
+    })
+  }
+
+  async listRooms(): Promise<StoredRoom[]> {
+    let names: string[]
+    try {
+      names = await fs.readdir(this.dir)
+    } catch (err: any) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+    const rooms = new Map<string, StoredRoom>()
+    for (const fileName of names) {
+      // Skips in-flight temp files and anything else sharing the directory (e.g. history/)
+      const match = fileName.match(/^(.+)\.(snapshot|log)$/)
+      if (!match) continue
+      let stat
+      try {
+        stat = await fs.stat(path.join(this.dir, fileName))
+      } catch (err: any) {
+        if (err.code === 'ENOENT') continue // Compacted or deleted meanwhile
+        throw err
+      }
+      const name = decodeURIComponent(match[1])
+      const room = rooms.get(name) || { name, bytes: 0, updatedAt: 0 }
+      room.bytes += stat.size
+      room.updatedAt = Math.max(room.updatedAt, stat.mtimeMs)
+      rooms.set(name, room)
+    }
+    return Array.from(rooms.values())
+  }
+
+  deleteRoom(docName: string): Promise<void> {
+    return this.queue.run(docName, async () => {
+      await fs.rm(this.filePath(docName, 'snapshot'), { force: true })
+      await fs.rm(this.filePath(docName, 'log'), { force: true })
+    })
+  }
+
+  private filePath(docName: string, ext: string) {
+    // Room names come from URLs; encode them so they can never escape `dir`
+    return path.join(this.dir, `${encodeURIComponent(docName)}.${ext}`)
+  }
+}
+
+/**
+ * KeyedQueue
+ * ----------
+ * Runs async tasks one at a time per key (e.g. per room), in submission order.
+ * A failed task doesn't block the ones queued after it.
+ */
+export class KeyedQueue {
+  private tails: Map<string, Promise<unknown>> = new Map()
+
+  run<T>(key: string, task: () => Promise<T>): Promise<T> {
+    const prev = this.tails.get(key) || Promise.resolve()
+    const next = prev.catch(() => {}).then(task)
+    this.tails.set(key, next)
+    // Drop the entry once idle so the map doesn't grow with every key ever used
+    next.catch(() => {}).then(() => {
+      if (this.tails.get(key) === next) this.tails.delete(key)
+    })
+    return next
+  }
+}
+
+interface LockOwner {
+  host: string
+  pid: number
+}
+
+const isRunning = (pid: number) => {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (err: any) {
+    // EPERM: it exists, but belongs to another user
+    return err.code === 'EPERM'
+  }
+}
+
+const readIfExists = async (file: string): Promise<Uint8Array | null> => {
+  try {
+    return new Uint8Array(await fs.readFile(file))
+  } catch (err: any) {
+    if (err.code === 'ENOENT') return null
+    throw err
+  }
+}
@@ -0,0 +1,80 @@
+import { logger } from './logger.js'
+
+/**
+ * ============================================================================
+ * CROSS-INSTANCE FAN-OUT
+ * ============================================================================
+ *
+ * With more than one backend replica, clients of the same room can land on
+ * different nodes. Every node keeps its own WSSharedDoc for the room and
+ * relays document and awareness updates to the other nodes through a
+ * publish/subscribe broker, one channel per room.
+ *
+ * The broker is pluggable. Implementations only need fire-and-forget pub/sub
+ * of binary messages, plus the number of subscribers a message reached (used
+ * to know how many peers will answer the initial state query):
+ *
+ * - `MemoryPubSub`: in-process bus. Single-node default, and lets several
+ *   server instances in one process (e.g. tests) talk to each other.
+ *
+ * - Redis-style broker: map `publish` to `PUBLISH` (which returns the number of
+ *   receiving subscribers) and `subscribe` to `SUBSCRIBE` on a dedicated
+ *   connection, e.g. with ioredis:
+ *
+ *     class RedisPubSub implements PubSub {
+ *       constructor(private pub: Redis, private sub: Redis) {
+ *         sub.on('messageBuffer', (channel, message) => this.emit(channel.toString(), message))
+ *       }
+ *       publish(channel, message) { return this.pub.publish(channel, Buffer.from(message)) }
+ *       subscribe(channel, handler) { ... this.sub.subscribe(channel); return () => this.sub.unsubscribe(channel) }
+ *     }
+ *
+ * Messages are delivered to every subscriber, including the publisher itself;
+ * receivers filter out their own messages.
+ */
+
+export type PubSubHandler = (message: Uint8Array) => void
+
+export interface PubSub {
+  /** Publishes to a channel; resolves with the number of subscribers that received it (including us). */
+  publish(channel: string, message: Uint8Array): Promise<number>
+  /** Subscribes to a channel; returns a function that unsubscribes again. */
+  subscribe(channel: string, handler: PubSubHandler): () => void
+}
+
+/**
+ * MemoryPubSub
+ * ------------
+ * Delivers messages to subscribers in the same process, asynchronously (like
+ * a real broker would), so publishers never re-enter their own handlers.
+ */
+export class MemoryPubSub implements PubSub {
+  private channels: Map<string, Set<PubSubHandler>> = new Map()
+
+  publish(channel: string, message: Uint8Array): Promise<number> {
+    const handlers = Array.from(this.channels.get(channel) || [])
+    queueMicrotask(() => {
+      handlers.forEach((handler) => {
+        try {
+          handler(message)
+        } catch (err) {
+          logger.error('PubSub handler failed', { channel, err })
+        }
+      })
+    })
+    return Promise.resolve(handlers.length)
+  }
+
+  subscribe(channel: string, handler: PubSubHandler): () => void {
+    let handlers = this.channels.get(channel)
+    if (!handlers) {
+      handlers = new Set()
+      this.channels.set(channel, handlers)
+    }
+    handlers.add(handler)
+    return () => {
+      handlers.delete(handler)
+      if (handlers.size === 0 && this.channels.get(channel) === handlers) this.channels.delete(channel)
+    }
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * ============================================================================
+ * RATE LIMITING
+ * ============================================================================
+ *
+ * Each connection gets one token bucket per message class (sync, awareness).
+ * A bucket holds up to `capacity` tokens and refills at `ratePerSecond`;
+ * every message takes one token. Bursts (e.g. pasting a large selection,
+ * dragging) fit into the capacity, while a client that keeps sending faster
+ * than the refill rate runs dry.
+ */
+
+export class TokenBucket {
+  capacity: number
+  ratePerSecond: number
+  private tokens: number
+  private refilledAt: number
+
+  constructor(ratePerSecond: number, capacity: number) {
+    this.ratePerSecond = ratePerSecond
+    this.capacity = capacity
+    this.tokens = capacity
+    this.refilledAt = Date.now()
+  }
+
+  /** Takes a token if one is available. Returns false when the bucket is empty. */
+  take(): boolean {
+    const now = Date.now()
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.refilledAt) / 1000) * this.ratePerSecond)
+    this.refilledAt = now
+    if (this.tokens < 1) return false
+    this.tokens -= 1
+    return true
+  }
+}
@@ -1,11 +1,36 @@
 import { WebSocketServer, WebSocket } from 'ws'
 import http from 'http'
+import crypto from 'crypto'
 import * as Y from 'yjs'
 import * as syncProtocol from 'y-protocols/sync'
 import * as awarenessProtocol from 'y-protocols/awareness'
 import * as encoding from 'lib0/encoding'
 import * as decoding from 'lib0/decoding'
 import * as map from 'lib0/map'
+import { FilePersistence, type Persistence } from './persistence.js'
+import { createToken, verifyToken, type Role } from './share-tokens.js'
+import { FileVersionStore, readVersion, restoreVersion, type VersionStore } from './history.js'
+import { FsFileStore, isValidFileId, type FileStore } from './files.js'
+import { MemoryPubSub, type PubSub } from './pubsub.js'
+import { TokenBucket } from './rate-limit.js'
+import { logger } from './logger.js'
+import { Counter, Gauge, Registry } from './metrics.js'
+import { IdleQueue, type QuotaExceeded } from './lifecycle.js'
+import { ElementCounter, listPages, mainPageId } from './pages.js'
+import { RoomEventTracker, WebhookDispatcher, formatServerSentEvent, type RoomEvent } from './events.js'
+import { readSceneElements, renderSvg, sceneFileIds, toExcalidrawScene, toSceneFile, type SceneFile } from './scene-export.js'
+import {
+  EncryptedLog,
+  encodeRecord,
+  encryptedRoomPrefix,
+  isEncryptedRoom,
+  messageE2EAck,
+  messageE2EAwareness,
+  messageE2ECompact,
+  messageE2ELeave,
+  messageE2ESync,
+  messageE2EUpdate,
+} from './encrypted-log.js'
 
 /**
  * ============================================================================
@@ -26,6 +51,31 @@ import * as map from 'lib0/map'
  *    - The shared document state (CRDT).
  *    - The set of connected clients (WebSockets).
  *    - The Awareness instance (for ephemeral state like cursors).
+ * 4. Persistence: Every room is loaded from / written to durable storage
+ *    (see persistence.ts), so boards survive after the last client leaves.
+ * 5. Share Tokens: Every connection must present a signed view/edit token
+ *    (see share-tokens.ts). View-only connections can't write to the doc.
+ * 6. Version History: Rooms are snapshotted on a schedule and on demand, and
+ *    can be restored over HTTP (see history.ts).
+ * 7. Binary Files: Image bytes are uploaded over HTTP (see files.ts); the doc
+ *    only records which files exist in its `files` map.
+ * 8. Fan-out: Document and awareness updates are relayed between backend
+ *    instances through a pub/sub broker (see pubsub.ts), so clients of the
+ *    same room can be connected to different nodes.
+ * 9. Connection Hardening: Frames are size-capped, dead sockets are evicted by
+ *    a ping/pong heartbeat and every connection is rate limited (see rate-limit.ts).
+ * 10. Observability: Prometheus metrics on `/metrics` (see metrics.ts) and
+ *    structured JSON logs (see logger.ts).
+ * 11. Headless Export: Rooms can be fetched as a `.excalidraw` scene or an SVG
+ *    over HTTP (see scene-export.ts).
+ * 12. Encrypted Rooms: End-to-end encrypted rooms have no WSSharedDoc. An
+ *    EncryptedRoom relays and stores their opaque updates (see encrypted-log.ts).
+ * 13. Room Lifecycle: Empty rooms are unloaded after a grace period, abandoned
+ *    rooms expire and every room has size quotas (see lifecycle.ts).
+ * 14. Room Events: Joins, leaves and element changes are batched into events
+ *    for webhooks and server-sent event streams (see events.ts).
+ * 15. Pages: A board's pages each have their own elements in the doc; quotas,
+ *    events, exports and history cover all of them (see pages.ts).
  * 
  * Protocols Used:
  * ---------------
@@ -35,20 +85,610 @@ import * as map from 'lib0/map'
 
 const port = parseInt(process.env.PORT || '1234', 10)
 
-// 1. Create a standard Node.js HTTP server
-const server = http.createServer((request, response) => {
+// Durable storage for room documents. Swap in any other `Persistence` implementation here.
+const persistenceDir = process.env.PERSISTENCE_DIR || './data'
+const persistence: Persistence = new FilePersistence(persistenceDir)
+// Write a compacted snapshot after this many updates, or every SNAPSHOT_INTERVAL_MS if dirty
+const snapshotUpdateThreshold = parseInt(process.env.SNAPSHOT_UPDATE_THRESHOLD || '500', 10)
+const snapshotIntervalMs = parseInt(process.env.SNAPSHOT_INTERVAL_MS || '30000', 10)
+// Ask a client to compact an encrypted room's log again if this long passed without a snapshot
+const e2eCompactionRetryMs = parseInt(process.env.E2E_COMPACTION_RETRY_MS || '60000', 10)
+// How long a room stays loaded after it was last used, and how many unused rooms may wait like that
+const roomIdleGraceMs = parseInt(process.env.ROOM_IDLE_GRACE_MS || '30000', 10)
+const maxIdleRooms = parseInt(process.env.MAX_IDLE_ROOMS || '1000', 10)
+// Rooms nobody opened or edited for this long are deleted (0 keeps them forever), checked this often
+const roomTtlMs = parseInt(process.env.ROOM_TTL_MS || '0', 10)
+const roomSweepIntervalMs = parseInt(process.env.ROOM_SWEEP_INTERVAL_MS || '3600000', 10)
+// Per-room quotas (0 = unlimited). Elements count on every page, unless they are deleted.
+const maxDocBytes = parseInt(process.env.MAX_DOC_BYTES || String(20 * 1024 * 1024), 10)
+const maxElements = parseInt(process.env.MAX_ELEMENTS || '20000', 10)
+// Origin used when applying stored updates, so they aren't written back to storage
+const persistenceOrigin = Symbol('persistence')
+
+// Named + automatic versions of each room. Auto versions are taken every HISTORY_INTERVAL_MS while edited.
+const versionStore: VersionStore = new FileVersionStore(
+  process.env.HISTORY_DIR || `${persistenceDir}/history`,
+  parseInt(process.env.HISTORY_MAX_AUTO || '50', 10)
+)
+const historyIntervalMs = parseInt(process.env.HISTORY_INTERVAL_MS || '600000', 10)
+// Origin of updates written by a restore, so they're broadcast to every client
+const historyOrigin = Symbol('history')
+// Origin of other updates made through the HTTP API (e.g. renaming a room)
+const apiOrigin = Symbol('api')
+// Origin of a client's update together with its undo, when it went over a quota
+const quotaOrigin = Symbol('quota')
+
+// Room title and description live in the doc's `meta` map (keep in sync with the frontend's lib/rooms.ts)
+const maxTitleLength = 100
+const maxDescriptionLength = 1000
+
+// Image files referenced by Excalidraw image elements, keyed by fileId
+const fileStore: FileStore = new FsFileStore(process.env.FILES_DIR || `${persistenceDir}/files`)
+const maxFileBytes = parseInt(process.env.MAX_FILE_BYTES || String(4 * 1024 * 1024), 10)
+const imageMimeTypes = new Set([
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml', 'image/bmp', 'image/x-icon', 'image/avif',
+])
+
+// Secret used to sign share links. Must be set (and kept stable) in production.
+const shareSecret = process.env.SHARE_SECRET || 'insecure-dev-secret'
+if (!process.env.SHARE_SECRET) {
+  logger.warn('SHARE_SECRET is not set; share links are signed with an insecure development secret')
+}
+
+// Largest WebSocket frame a client may send; bigger frames close the connection with 1009
+const maxMessageBytes = parseInt(process.env.MAX_MESSAGE_BYTES || String(8 * 1024 * 1024), 10)
+// Ping every connection this often; one that hasn't answered the previous ping is evicted
+const heartbeatIntervalMs = parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10)
+// Per-connection token buckets: sustained messages per second and burst size
+const syncRate = parseInt(process.env.SYNC_RATE_LIMIT || '100', 10)
+const syncBurst = parseInt(process.env.SYNC_RATE_BURST || '500', 10)
+// Clients send cursors (~20/s) and their viewport (~10/s) while panning, plus selections
+const awarenessRate = parseInt(process.env.AWARENESS_RATE_LIMIT || '50', 10)
+const awarenessBurst = parseInt(process.env.AWARENESS_RATE_BURST || '100', 10)
+
+// Room names are generated IDs; anything else is rejected before a doc is created
+const isValidRoomName = (docName: string) => /^[a-zA-Z0-9_-]{1,128}$/.test(docName)
+
+// Application close codes (4000-4999), mirrored in the frontend's lib/backend.ts
+const closeInvalidRoom = 4400
+const closeRateLimited = 4429
+const closeRoomDeleted = 4410
+const closeQuotaExceeded = 4413
+const closeMisdirected = 4421
+
+// Bearer token required to scrape /metrics (open when unset; room names appear as labels)
+const metricsToken = process.env.METRICS_TOKEN || ''
+// Bearer token for the /admin API, which is disabled when unset
+const adminToken = process.env.ADMIN_TOKEN || ''
+
+// Room events (see events.ts): a batch is sent after this much quiet, or after the maximum wait
+const eventDebounceMs = parseInt(process.env.EVENT_DEBOUNCE_MS || '2000', 10)
+const eventMaxWaitMs = parseInt(process.env.EVENT_MAX_WAIT_MS || '10000', 10)
+// Comma-separated URLs every room event is POSTed to, the secret their signatures use and how often to try
+const webhookUrls = (process.env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean)
+const webhookSecret = process.env.WEBHOOK_SECRET || ''
+const webhookMaxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10)
+if (webhookUrls.length > 0 && !webhookSecret) {
+  logger.warn('WEBHOOK_SECRET is not set; webhooks are sent unsigned')
+}
+// Comment lines sent on idle event streams, so proxies don't close them
+const eventStreamKeepAliveMs = 25_000
+// Event streams one address may keep open on a room; anyone with a view link can open them
+const maxEventStreams = parseInt(process.env.MAX_EVENT_STREAMS || '5', 10)
+
+const sendJson = (response: http.ServerResponse, status: number, body: unknown) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' })
+  response.end(JSON.stringify(body))
+}
+
+// Error carrying the HTTP status to respond with
+class HttpError extends Error {
+  status: number
+
+  constructor(status: number, message: string) {
+    super(message)
+    this.status = status
+  }
+}
+
+// Decodes a percent-encoded path segment, failing with 400 on a malformed escape
+const decodeSegment = (segment: string) => {
+  try {
+    return decodeURIComponent(segment)
+  } catch {
+    throw new HttpError(400, 'Malformed URL')
+  }
+}
+
+// Reads a request body, failing with 413 once it exceeds `limit` bytes
+const readBody = (request: http.IncomingMessage, limit: number): Promise<Buffer> =>
+  new Promise((resolve, reject) => {
+    const chunks: Buffer[] = []
+    let size = 0
+    request.on('data', (chunk: Buffer) => {
+      size += chunk.length
+      if (size > limit) {
+        // Keep draining (and discarding) the body so the error response can still be sent
+        reject(new HttpError(413, 'Request body too large'))
+        chunks.length = 0
+        return
+      }
+      chunks.push(chunk)
+    })
+    request.on('end', () => resolve(Buffer.concat(chunks)))
+    request.on('error', reject)
+  })
+
+// Reads a small JSON request body (empty body -> {})
+const readJson = async (request: http.IncomingMessage, limit = 16 * 1024): Promise<any> => {
+  const body = (await readBody(request, limit)).toString('utf8')
+  try {
+    return body ? JSON.parse(body) : {}
+  } catch {
+    throw new HttpError(400, 'Invalid JSON body')
+  }
+}
+
+// Whether the client's cached copy (If-None-Match) is still the current one
+const isNotModified = (request: http.IncomingMessage, etag: string) =>
+  (request.headers['if-none-match'] || '')
+    .split(',')
+    .some((tag) => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*')
+
+// Embeds the images a scene shows, skipping any whose bytes were never uploaded
+const loadSceneFiles = async (roomId: string, doc: Y.Doc, elements: ReturnType<typeof readSceneElements>) => {
+  const yFiles = doc.getMap<{ created?: number }>('files')
+  const files: Record<string, SceneFile> = {}
+  for (const fileId of sceneFileIds(elements)) {
+    if (!isValidFileId(fileId)) continue
+    const file = await fileStore.get(roomId, fileId)
+    if (file) files[fileId] = toSceneFile(fileId, file, yFiles.get(fileId)?.created ?? 0)
+  }
+  return files
+}
+
+/**
+ * handleRequest
+ * -------------
+ * Plain HTTP API next to the WebSocket endpoint:
+ *   POST /rooms                                  -> create a room, returns its edit token
+ *   GET  /rooms/:room/links?token=               -> share tokens the caller may hand out
+ *   PUT  /rooms/:room/meta?token=                -> set the room's { title, description } (edit)
+ *   POST /rooms/:room/duplicate?token=           -> copy the board (and its images) into a new room
+ *   GET  /rooms/:room/versions?token=            -> version history, newest first
+ *   POST /rooms/:room/versions?token=            -> save a named version { name } (edit)
+ *   GET  /rooms/:room/versions/:id?token=        -> preview a version's elements
+ *   POST /rooms/:room/versions/:id/restore?token= -> restore a version as a new update (edit)
+ *   PUT  /rooms/:room/files/:fileId?token=        -> upload an image's bytes (edit)
+ *   GET  /rooms/:room/files/:fileId?token=        -> download an image
+ *   GET  /rooms/:room/scene.json?token=          -> the live board as a `.excalidraw` scene
+ *   GET  /rooms/:room/image.svg?token=           -> the live board rendered as SVG
+ *   GET  /rooms/:room/events?token=              -> the room's events as a server-sent event stream
+ *   GET  /metrics                                -> Prometheus metrics
+ *   GET  /admin/rooms                            -> every stored or loaded room (admin token)
+ *   DELETE /admin/rooms/:room                    -> delete a room and everything stored for it (admin token)
+ *   GET  /                                       -> health check
+ */
+const handleRequest = async (request: http.IncomingMessage, response: http.ServerResponse) => {
+  const url = new URL(request.url || '/', 'http://localhost')
+
+  if (request.method === 'POST' && url.pathname === '/rooms') {
+    // The client keeps the key of an encrypted room; the server only has to know it can't read it
+    const { encrypted } = await readJson(request)
+    const roomId = `${encrypted === true ? encryptedRoomPrefix : ''}${crypto.randomUUID()}`
+    sendJson(response, 201, { roomId, token: createToken(shareSecret, roomId, 'edit') })
+    return
+  }
+
+  if (request.method === 'GET' && url.pathname === '/metrics') {
+    if (metricsToken && request.headers.authorization !== `Bearer ${metricsToken}`) {
+      throw new HttpError(401, 'Invalid metrics token')
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+    response.end(metrics.render())
+    return
+  }
+
+  const adminMatch = url.pathname.match(/^\/admin\/rooms(?:\/([^/]+))?$/)
+  if (adminMatch) {
+    if (!adminToken) throw new HttpError(403, 'The admin API is disabled')
+    if (request.headers.authorization !== `Bearer ${adminToken}`) throw new HttpError(401, 'Invalid admin token')
+
+    if (request.method === 'GET' && !adminMatch[1]) {
+      const stored = new Map((await persistence.listRooms()).map((room) => [room.name, room]))
+      const loaded = new Map<string, Room>([...docs, ...encryptedRooms])
+      const rooms = Array.from(new Set([...stored.keys(), ...loaded.keys()]), (name) => ({
+        id: name,
+        encrypted: isEncryptedRoom(name),
+        bytes: stored.get(name)?.bytes ?? 0,
+        // Null for rooms that were never written yet
+        updatedAt: stored.has(name) ? Math.round(stored.get(name)!.updatedAt) : null,
+        loaded: loaded.has(name),
+        connections: loaded.get(name)?.conns.size ?? 0,
+      }))
+      rooms.sort((a, b) => (b.updatedAt ?? Infinity) - (a.updatedAt ?? Infinity) || a.id.localeCompare(b.id))
+      sendJson(response, 200, { rooms })
+      return
+    }
+
+    if (request.method === 'DELETE' && adminMatch[1]) {
+      const roomId = decodeSegment(adminMatch[1])
+      if (!isValidRoomName(roomId)) throw new HttpError(400, 'Invalid room name')
+      await deleteRoom(roomId)
+      roomsDeleted.inc({ reason: 'admin' })
+      logger.info('Room deleted', { room: roomId })
+      sendJson(response, 200, { deleted: true })
+      return
+    }
+
+    throw new HttpError(404, 'Not found')
+  }
+
+  const roomMatch = url.pathname.match(/^\/rooms\/([^/]+)(\/.*)$/)
+  if (roomMatch) {
+    const roomId = decodeSegment(roomMatch[1])
+    const route = roomMatch[2]
+    const role = verifyToken(shareSecret, roomId, url.searchParams.get('token'))
+    if (!role) {
+      sendJson(response, 403, { error: 'Invalid share token' })
+      return
+    }
+    const requireEdit = () => {
+      if (role !== 'edit') sendJson(response, 403, { error: 'This link is view-only' })
+      return role === 'edit'
+    }
+    // Routes that read or write the doc itself, which the server can't do for encrypted rooms
+    const encrypted = isEncryptedRoom(roomId)
+    const requirePlaintext = () => {
+      if (encrypted) sendJson(response, 409, { error: 'Not available for end-to-end encrypted rooms' })
+      return !encrypted
+    }
+
+    if (request.method === 'GET' && route === '/links') {
+      // Viewers can only pass on view access; editors can hand out both
+      sendJson(response, 200, {
+        view: createToken(shareSecret, roomId, 'view'),
+        edit: role === 'edit' ? createToken(shareSecret, roomId, 'edit') : null,
+      })
+      return
+    }
+
+    if (route === '/versions' && requirePlaintext()) {
+      if (request.method === 'GET') {
+        sendJson(response, 200, await versionStore.list(roomId))
+        return
+      }
+      if (request.method === 'POST' && requireEdit()) {
+        const { name } = await readJson(request)
+        const label = typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : 'Untitled version'
+        sendJson(response, 201, await withDoc(roomId, (doc) => doc.saveVersion(label, false)))
+        return
+      }
+    }
+
+    if (request.method === 'PUT' && route === '/meta' && requireEdit() && requirePlaintext()) {
+      const { title, description } = await readJson(request)
+      const meta = await withDoc(roomId, (doc) => {
+        const meta = doc.getMap<string>('meta')
+        doc.transact(() => {
+          if (typeof title === 'string') meta.set('title', title.trim().slice(0, maxTitleLength))
+          if (typeof description === 'string') meta.set('description', description.slice(0, maxDescriptionLength))
+        }, apiOrigin)
+        return meta.toJSON()
+      })
+      sendJson(response, 200, meta)
+      return
+    }
+
+    // An encrypted room is copied as is: the copy is readable with the same key
+    if (request.method === 'POST' && route === '/duplicate' && encrypted) {
+      const copyId = `${encryptedRoomPrefix}${crypto.randomUUID()}`
+      const [snapshot, ...log] = await persistence.loadUpdates(roomId)
+      if (snapshot) {
+        await persistence.compact(copyId, snapshot)
+        for (const record of log) await persistence.storeUpdate(copyId, record)
+      }
+      for (const fileId of await fileStore.list(roomId)) {
+        const file = await fileStore.get(roomId, fileId)
+        if (file) await fileStore.put(copyId, fileId, file)
+      }
+      sendJson(response, 201, { roomId: copyId, token: createToken(shareSecret, copyId, 'edit') })
+      return
+    }
+
+    // Any link can fork: viewers can already read everything that is copied, and the copy is theirs
+    if (request.method === 'POST' && route === '/duplicate') {
+      const copyId = crypto.randomUUID()
+      await withDoc(roomId, async (doc) => {
+        const copy = new Y.Doc()
+        Y.applyUpdate(copy, Y.encodeStateAsUpdate(doc))
+        const meta = copy.getMap<string>('meta')
+        meta.set('title', `Copy of ${meta.get('title') || 'Untitled board'}`.slice(0, maxTitleLength))
+        // Images are stored per room, so the copy needs its own
+        for (const fileId of copy.getMap('files').keys()) {
+          const file = await fileStore.get(roomId, fileId)
+          if (file) await fileStore.put(copyId, fileId, file)
+        }
+        await persistence.compact(copyId, Y.encodeStateAsUpdate(copy))
+        copy.destroy()
+      })
+      sendJson(response, 201, { roomId: copyId, token: createToken(shareSecret, copyId, 'edit') })
+      return
+    }
+
+    // Headless exports of the live board (see scene-export.ts), for wikis, docs and scripts
+    if (request.method === 'GET' && (route === '/scene.json' || route === '/image.svg') && requirePlaintext()) {
+      const format = route === '/image.svg' ? 'svg' : 'json'
+      const background = url.searchParams.get('background') === 'transparent' ? null : '#ffffff'
+      await withDoc(roomId, async (doc) => {
+        // `?page=` picks a page (see pages.ts), the first one by default
+        const pages = listPages(doc)
+        const page = url.searchParams.has('page') ? pages.find((p) => p.id === url.searchParams.get('page')) : pages[0]
+        if (!page) {
+          sendJson(response, 404, { error: 'Page not found' })
+          return
+        }
+        // The state vector changes with every update, so it identifies exactly what gets exported
+        const etag = `"${crypto
+          .createHash('sha1')
+          .update(Y.encodeStateVector(doc))
+          .update(`${format}:${background}:${page.id}`)
+          .digest('base64url')}"`
+        // Always revalidate: the board can change at any moment, but unchanged boards cost a 304
+        const headers = { ETag: etag, 'Cache-Control': 'private, no-cache' }
+        if (isNotModified(request, etag)) {
+          response.writeHead(304, headers)
+          response.end()
+          return
+        }
+        const elements = readSceneElements(doc, page.id)
+        const files = await loadSceneFiles(roomId, doc, elements)
+        if (format === 'json') {
+          response.writeHead(200, { ...headers, 'Content-Type': 'application/vnd.excalidraw+json' })
+          response.end(JSON.stringify(toExcalidrawScene(elements, files)))
+        } else {
+          response.writeHead(200, {
+            ...headers,
+            'Content-Type': 'image/svg+xml',
+            // Text and links come from clients; never let the rendering run anything on this origin
+            'Content-Security-Policy': 'sandbox',
+            'X-Content-Type-Options': 'nosniff',
+          })
+          response.end(renderSvg(elements, files, background))
+        }
+      })
+      sceneExports.inc({ format })
+      return
+    }
+
+    // The room's events (see events.ts) for integrations that can't receive webhooks. Events are
+    // relayed through pub/sub, so the stream sees changes made through any instance.
+    if (request.method === 'GET' && route === '/events' && requirePlaintext()) {
+      const streamKey = `${roomId} ${request.socket.remoteAddress}`
+      const open = eventStreamsByClient.get(streamKey) || 0
+      if (open >= maxEventStreams) throw new HttpError(429, 'Too many event streams')
+      eventStreamsByClient.set(streamKey, open + 1)
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Don't let nginx buffer the stream
+      })
+      response.write(': connected\n\n')
+      const unsubscribe = pubsub.subscribe(`events:${roomId}`, (message) => {
+        let event: RoomEvent
+        try {
+          event = JSON.parse(Buffer.from(message).toString('utf8'))
+        } catch (err) {
+          logger.warn('Ignoring malformed room event', { room: roomId, err })
+          return
+        }
+        response.write(formatServerSentEvent(event))
+      })
+      const keepAlive = setInterval(() => response.write(': keep-alive\n\n'), eventStreamKeepAliveMs)
+      eventStreams++
+      request.on('close', () => {
+        eventStreams--
+        const left = eventStreamsByClient.get(streamKey)! - 1
+        if (left > 0) eventStreamsByClient.set(streamKey, left)
+        else eventStreamsByClient.delete(streamKey)
+        clearInterval(keepAlive)
+        unsubscribe()
+      })
+      return
+    }
+
+    const versionMatch = route.match(/^\/versions\/([^/]+)(\/restore)?$/)
+    if (versionMatch && requirePlaintext()) {
+      const state = await versionStore.load(roomId, decodeSegment(versionMatch[1]))
+      if (!state) {
+        sendJson(response, 404, { error: 'Version not found' })
+        return
+      }
+      if (request.method === 'GET' && !versionMatch[2]) {
+        // One page's elements (`?page=`, the first by default) and the version's list of pages
+        const { pages, elements } = readVersion(state, url.searchParams.get('page') ?? undefined)
+        sendJson(response, elements ? 200 : 404, elements ? { elements, pages } : { error: 'Page not found' })
+        return
+      }
+      if (request.method === 'POST' && versionMatch[2] && requireEdit()) {
+        await withDoc(roomId, async (doc) => {
+          // Keep the state we're about to overwrite, so a restore can itself be undone
+          await doc.saveVersion('Before restore', true)
+          restoreVersion(doc, state, historyOrigin)
+        })
+        sendJson(response, 200, { restored: true })
+        return
+      }
+    }
+
+    const fileMatch = route.match(/^\/files\/([^/]+)$/)
+    if (fileMatch) {
+      const fileId = decodeSegment(fileMatch[1])
+      if (!isValidFileId(fileId)) {
+        sendJson(response, 400, { error: 'Invalid file ID' })
+        return
+      }
+      if (request.method === 'GET') {
+        const file = await fileStore.get(roomId, fileId)
+        if (!file) {
+          sendJson(response, 404, { error: 'File not found' })
+          return
+        }
+        response.writeHead(200, {
+          'Content-Type': file.mimeType,
+          'Content-Length': file.data.length,
+          // An editor may upload the file again, so always check for a newer one
+          'Cache-Control': 'private, no-cache',
+          // SVGs may contain scripts; never let them run on this origin
+          'Content-Security-Policy': 'sandbox',
+          'X-Content-Type-Options': 'nosniff',
+        })
+        response.end(file.data)
+        return
+      }
+      if (request.method === 'PUT' && requireEdit()) {
+        const mimeType = (request.headers['content-type'] || '').split(';')[0].trim()
+        // Images of encrypted rooms are encrypted too, so the server can't tell what they are
+        const allowed = encrypted ? mimeType === 'application/octet-stream' : imageMimeTypes.has(mimeType)
+        if (!allowed) {
+          sendJson(response, 415, { error: 'Only images can be uploaded' })
+          return
+        }
+        if (parseInt(request.headers['content-length'] || '0', 10) > maxFileBytes) {
+          sendJson(response, 413, { error: 'File too large' })
+          return
+        }
+        const data = await readBody(request, maxFileBytes)
+        await fileStore.put(roomId, fileId, { mimeType, data: new Uint8Array(data) })
+        sendJson(response, 201, { fileId })
+        return
+      }
+    }
+
+    if (!response.headersSent) sendJson(response, 404, { error: 'Not found' })
+    return
+  }
+
   response.writeHead(200, { 'Content-Type': 'text/plain' })
   response.end('Raw Y.js WebSocket Server')
+}
+
+// Broker relaying room updates between backend instances. The in-memory bus only reaches this
+// process; plug in a shared broker (see pubsub.ts) to run several replicas.
+const pubsub: PubSub = new MemoryPubSub()
+// Identifies this instance on the broker, so it can ignore its own messages
+const instanceId = crypto.randomUUID()
+// How long a newly opened room waits for other instances to send their state
+const peerSyncTimeoutMs = parseInt(process.env.PEER_SYNC_TIMEOUT_MS || '500', 10)
+// Origin used when applying updates relayed from other instances
+const pubsubOrigin = Symbol('pubsub')
+
+// Metrics exposed on /metrics. Gauges are computed from `docs` when scraped.
+const metrics = new Registry()
+metrics.register(new Gauge('easyboard_rooms', 'Rooms loaded in memory', () => docs.size + encryptedRooms.size))
+metrics.register(new Gauge('easyboard_room_connections', 'WebSocket connections per room', () =>
+  [...docs.values(), ...encryptedRooms.values()].map((doc): [{ room: string }, number] => [{ room: doc.name }, doc.conns.size])
+))
+const connectionsOpened = metrics.register(new Counter('easyboard_connections_opened_total', 'WebSocket connections accepted'))
+const bytesReceived = metrics.register(new Counter('easyboard_bytes_received_total', 'Bytes received from clients'))
+const bytesSent = metrics.register(new Counter('easyboard_bytes_sent_total', 'Bytes sent to clients'))
+const messagesReceived = metrics.register(new Counter('easyboard_messages_received_total', 'Messages received from clients, by type'))
+const docUpdates = metrics.register(new Counter('easyboard_doc_updates_total', 'Document updates applied, by source'))
+const awarenessUpdates = metrics.register(new Counter('easyboard_awareness_updates_total', 'Awareness updates broadcast'))
+const sendFailures = metrics.register(new Counter('easyboard_send_failures_total', 'Messages that could not be sent, by reason'))
+const rateLimited = metrics.register(new Counter('easyboard_rate_limited_total', 'Messages over the rate limit, by kind'))
+const sceneExports = metrics.register(new Counter('easyboard_scene_exports_total', 'Headless scene exports requested, by format'))
+metrics.register(new Gauge('easyboard_idle_rooms', 'Loaded rooms nobody is using, waiting to be unloaded', () => idleRooms.size))
+const quotaRejections = metrics.register(new Counter('easyboard_quota_rejections_total', 'Updates refused for exceeding a room quota, by quota'))
+const roomsDeleted = metrics.register(new Counter('easyboard_rooms_deleted_total', 'Rooms deleted, by reason'))
+const roomEvents = metrics.register(new Counter('easyboard_room_events_total', 'Room events emitted, by type'))
+const webhookDeliveries = metrics.register(new Counter('easyboard_webhook_deliveries_total', 'Webhook delivery attempts, by result'))
+metrics.register(new Gauge('easyboard_event_streams', 'Open server-sent event streams', () => eventStreams))
+
+// Open `/events` streams, in total and by room and client address
+let eventStreams = 0
+const eventStreamsByClient = new Map<string, number>()
+
+const webhooks = new WebhookDispatcher(webhookUrls, webhookSecret, webhookMaxAttempts, (result) => {
+  webhookDeliveries.inc({ result })
+})
+
+// Sends a room event to the webhooks and to the room's event streams on every instance
+const emitRoomEvent = (event: RoomEvent) => {
+  roomEvents.inc({ type: event.type })
+  webhooks.deliver(event)
+  pubsub.publish(`events:${event.room}`, Buffer.from(JSON.stringify(event)))
+}
+const heartbeatEvictions = metrics.register(new Counter('easyboard_heartbeat_evictions_total', 'Connections evicted for missing a pong'))
+
+// 1. Create a standard Node.js HTTP server
+const server = http.createServer((request, response) => {
+  // The frontend is served from another origin, so allow cross-origin API calls
+  response.setHeader('Access-Control-Allow-Origin', '*')
+  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204)
+    response.end()
+    return
+  }
+  handleRequest(request, response).catch((err) => {
+    if (err instanceof HttpError) {
+      if (!response.headersSent) sendJson(response, err.status, { error: err.message })
+      return
+    }
+    logger.error('HTTP request failed', { method: request.method, url: request.url, err })
+    if (!response.headersSent) sendJson(response, 500, { error: 'Internal server error' })
+  })
 })
 
 // 2. Create a WebSocket Server attached to the HTTP server
 // `noServer: true` means we handle the upgrade manually in the `upgrade` event.
-const wss = new WebSocketServer({ noServer: true })
+// `maxPayload` makes `ws` reject oversized frames before they are buffered.
+const wss = new WebSocketServer({ noServer: true, maxPayload: maxMessageBytes })
 
 // Message types defined by y-protocols
 const messageSync = 0
 const messageAwareness = 1
 const messageStats = 10
+// Our own: sent to a client whose update was refused, [quota, message] (see lifecycle.ts)
+const messageQuotaExceeded = 11
+
+// Message types exchanged between instances over the broker
+const peerUpdate = 0 // A document update applied on the sending instance
+const peerAwareness = 1 // An awareness update received by the sending instance
+const peerQuery = 2 // "I just opened this room, here is my state vector"
+const peerReply = 3 // Answer to a query: the missing updates + current awareness
+const peerE2EOpen = 4 // The sending instance opened this encrypted room (see EncryptedRoom.claim)
+const peerDelete = 5 // The room was deleted; drop it without saving
+
+// Why an encrypted room's load failed when another instance already has it open
+const openElsewhere = new Error('Encrypted room is open on another instance')
+
+/**
+ * publishToPeers
+ * --------------
+ * Sends a message about a room to the other instances. Resolves with the
+ * number of subscribers that received it (0 if publishing failed).
+ */
+const publishToPeers = (docName: string, type: number, write: (encoder: encoding.Encoder) => void) => {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarString(encoder, instanceId)
+  encoding.writeVarUint(encoder, type)
+  write(encoder)
+  return pubsub.publish(`room:${docName}`, encoding.toUint8Array(encoder)).catch((err) => {
+    logger.error('Failed to publish to peers', { room: docName, err })
+    return 0
+  })
+}
+
+// Reads the `[count, ...clientIds]` prefix of encrypted awareness and leave messages
+const readClientIds = (decoder: decoding.Decoder) => {
+  const ids: number[] = []
+  for (let count = decoding.readVarUint(decoder); count > 0; count--) ids.push(decoding.readVarUint(decoder))
+  return ids
+}
 
 /**
  * WSSharedDoc
@@ -64,6 +704,31 @@ class WSSharedDoc extends Y.Doc {
    */
   conns: Map<any, Set<number>>
   awareness: awarenessProtocol.Awareness
+  /** Resolves once the stored state has been applied. Rejects if loading failed. */
+  whenLoaded: Promise<void>
+  /** Updates appended to the log since the last compacted snapshot */
+  updatesSinceSnapshot: number
+  /** Encoded size of the doc, overstated by the updates applied since it was last measured */
+  docBytes: number
+  /** Whether nothing was applied since docBytes was measured, so it's exact */
+  docBytesExact: boolean
+  snapshotTimer: ReturnType<typeof setInterval>
+  /** Whether the doc changed since the last saved version */
+  changedSinceVersion: boolean
+  versionTimer: ReturnType<typeof setInterval>
+  /** HTTP requests currently using this doc; keeps it alive without WebSocket clients */
+  pins: number
+  /** Resolves once stored state is loaded and other instances had a chance to send theirs */
+  whenSynced: Promise<void>
+  /** Called for each reply to our peer state query while it's in flight */
+  onPeerReply: (() => void) | null
+  /** Turns changes made through this instance into room events (see events.ts) */
+  events: RoomEventTracker
+  /** Elements on the board that aren't deleted, for the element quota */
+  elementCount: ElementCounter
+  /** Doc updates held back while a client's update is checked against the quotas */
+  heldUpdates: Uint8Array[] | null
+  unsubscribe: () => void
 
   constructor(name: string) {
     super({ gc: true }) // Enable Garbage Collection for the CRDT
@@ -73,6 +738,9 @@ class WSSharedDoc extends Y.Doc {
     // Create an Awareness instance for this document
     this.awareness = new awarenessProtocol.Awareness(this)
     this.awareness.setLocalState(null) // Server has no local state (it's just a relay)
+    this.events = new RoomEventTracker(name, this, eventDebounceMs, eventMaxWaitMs, emitRoomEvent)
+    this.elementCount = new ElementCounter(this)
+    this.heldUpdates = null
 
     /**
      * Awareness Update Handler
@@ -82,16 +750,22 @@ class WSSharedDoc extends Y.Doc {
      */
     const awarenessChangeHandler = ({ added, updated, removed }: any, origin: any) => {
       const changedClients = added.concat(updated).concat(removed)
-      const hasOrigin = this.conns.has(origin)
-      console.log(`DEBUG [${this.name}]: Awareness update. Size: ${this.conns.size}. HasOrigin: ${hasOrigin}. OriginState: ${origin?.readyState}`)
+      awarenessUpdates.inc()
       
       // Update the set of user IDs controlled by the origin connection
       const connControlledIds = this.conns.get(origin)
       if (connControlledIds) {
         added.forEach((clientID: number) => { connControlledIds.add(clientID) })
         removed.forEach((clientID: number) => { connControlledIds.delete(clientID) })
-      } else {
-          console.log(`DEBUG [${this.name}]: Warning - origin not found. Conns keys: ${this.conns.size}`)
+      }
+
+      // Joins and leaves for room events. Clients of other instances are reported there, and
+      // a state that timed out belongs to a client that is still connected (e.g. a background tab).
+      if (origin !== pubsubOrigin && origin !== 'timeout') {
+        added.concat(updated).forEach((clientID: number) => {
+          this.events.userSeen(clientID, this.awareness.getStates().get(clientID)?.user?.name ?? null)
+        })
+        removed.forEach((clientID: number) => this.events.userLeft(clientID))
       }
 
       // Encode the awareness update
@@ -103,41 +777,553 @@ class WSSharedDoc extends Y.Doc {
       )
       const buff = encoding.toUint8Array(encoder)
 
+      // Relay to clients on other instances (unless it came from there)
+      if (origin !== pubsubOrigin) {
+        this.publish(peerAwareness, (e) => {
+          encoding.writeVarUint8Array(e, awarenessProtocol.encodeAwarenessUpdate(this.awareness, changedClients))
+        })
+      }
+
       // Broadcast to all clients
-      let broadcastCount = 0
       this.conns.forEach((_, c) => {
-        broadcastCount++
         send(this, c, buff)
       })
-      // console.log(`DEBUG: Broadcasted to ${broadcastCount}`)
     }
 
     this.awareness.on('update', awarenessChangeHandler)
 
+    // Element changes for room events, on every page (see pages.ts); stored state and other
+    // instances' changes aren't news
+    const isNews = (transaction: Y.Transaction) => transaction.origin !== persistenceOrigin && transaction.origin !== pubsubOrigin
+    this.getMap('elements').observe((event, transaction) => {
+      if (isNews(transaction)) this.events.recordElements(event, mainPageId, this.conns.get(transaction.origin) || [])
+    })
+    this.getMap('pageElements').observeDeep((events, transaction) => {
+      if (!isNews(transaction)) return
+      events.forEach((event) => {
+        // Changes of a page's elements; adding and removing whole pages is not an element change
+        if (event.path.length === 1) {
+          this.events.recordElements(event as Y.YMapEvent<any>, String(event.path[0]), this.conns.get(transaction.origin) || [])
+        }
+      })
+    })
+
     /**
      * Document Update Handler
      * -----------------------
      * When the Y.Doc is updated (by any client), this handler fires.
      * We encode the update and broadcast it to all OTHER clients.
      */
-    this.on('update', (update: Uint8Array, origin: any, doc: Y.Doc) => {
-      const encoder = encoding.createEncoder()
-      encoding.writeVarUint(encoder, messageSync)
-      syncProtocol.writeUpdate(encoder, update) // Write the actual CRDT update
-      const message = encoding.toUint8Array(encoder)
+    this.on('update', (update: Uint8Array, origin: any) => {
+      // Relayed once the quota check is done (see applyClientUpdate)
+      if (this.heldUpdates) {
+        this.heldUpdates.push(update)
+        return
+      }
+      this.relayUpdate(update, origin)
+    })
 
-      // Broadcast to all clients EXCEPT the origin (echo suppression)
-      this.conns.forEach((_, c) => {
-        if (origin !== c) {
-          send(this, c, message)
-        }
+    /**
+     * Load Stored State
+     * -----------------
+     * Runs asynchronously; clients may connect before it finishes. That's fine:
+     * applying the stored state fires the update handler above, which
+     * broadcasts it to everyone already connected.
+     */
+    this.updatesSinceSnapshot = 0
+    this.docBytes = 0
+    this.docBytesExact = false
+    this.changedSinceVersion = false
+    this.pins = 0
+    this.onPeerReply = null
+    this.unsubscribe = pubsub.subscribe(`room:${name}`, (message) => this.handlePeerMessage(message))
+    this.whenLoaded = persistence.loadUpdates(name).then((updates) => {
+      this.docBytes += updates.reduce((sum, update) => sum + update.byteLength, 0)
+      if (updates.length > 0) {
+        Y.applyUpdate(this, Y.mergeUpdates(updates), persistenceOrigin)
+      }
+    })
+    this.whenLoaded.catch((err) => {
+      logger.error('Failed to load stored state', { room: this.name, err })
+    })
+    this.whenSynced = this.whenLoaded.then(() => this.syncWithPeers())
+
+    // Periodically fold the update log into a snapshot while the room is active
+    this.snapshotTimer = setInterval(() => {
+      if (this.updatesSinceSnapshot > 0) this.compact()
+    }, snapshotIntervalMs)
+
+    // Automatic versions, so there's always something to go back to (e.g. after "Clear canvas")
+    this.versionTimer = setInterval(() => {
+      if (this.changedSinceVersion) this.saveVersion('Auto-save', true)
+    }, historyIntervalMs)
+  }
+
+  /**
+   * publish
+   * -------
+   * Sends a message about this room to the other instances.
+   */
+  publish(type: number, write: (encoder: encoding.Encoder) => void) {
+    return publishToPeers(this.name, type, write)
+  }
+
+  /**
+   * syncWithPeers
+   * -------------
+   * Asks instances that already have this room open for anything we're
+   * missing. Resolves when all of them answered, or after PEER_SYNC_TIMEOUT_MS.
+   */
+  syncWithPeers(): Promise<void> {
+    return new Promise((resolve) => {
+      let expected = Infinity
+      let received = 0
+      const finish = () => {
+        clearTimeout(timer)
+        this.onPeerReply = null
+        resolve()
+      }
+      const timer = setTimeout(finish, peerSyncTimeoutMs)
+      this.onPeerReply = () => {
+        received++
+        if (received >= expected) finish()
+      }
+      this.publish(peerQuery, (e) => encoding.writeVarUint8Array(e, Y.encodeStateVector(this))).then((receivers) => {
+        // Every subscriber except ourselves will answer
+        expected = receivers - 1
+        if (received >= expected) finish()
       })
     })
   }
+
+  /**
+   * handlePeerMessage
+   * -----------------
+   * Applies a message from another instance. Updates are applied with
+   * `pubsubOrigin`, so the handlers above forward them to local clients
+   * without publishing them again.
+   */
+  handlePeerMessage(message: Uint8Array) {
+    const decoder = decoding.createDecoder(message)
+    const sender = decoding.readVarString(decoder)
+    if (sender === instanceId) return
+
+    switch (decoding.readVarUint(decoder)) {
+      case peerUpdate:
+        Y.applyUpdate(this, decoding.readVarUint8Array(decoder), pubsubOrigin)
+        break
+
+      case peerAwareness:
+        awarenessProtocol.applyAwarenessUpdate(this.awareness, decoding.readVarUint8Array(decoder), pubsubOrigin)
+        break
+
+      case peerQuery: {
+        // Send the requester what it's missing, plus who is online here
+        const update = Y.encodeStateAsUpdate(this, decoding.readVarUint8Array(decoder))
+        const awarenessUpdate = awarenessProtocol.encodeAwarenessUpdate(this.awareness, Array.from(this.awareness.getStates().keys()))
+        this.publish(peerReply, (e) => {
+          encoding.writeVarString(e, sender)
+          encoding.writeVarUint8Array(e, update)
+          encoding.writeVarUint8Array(e, awarenessUpdate)
+        })
+        break
+      }
+
+      case peerReply: {
+        if (decoding.readVarString(decoder) !== instanceId) return // Addressed to another instance
+        Y.applyUpdate(this, decoding.readVarUint8Array(decoder), pubsubOrigin)
+        awarenessProtocol.applyAwarenessUpdate(this.awareness, decoding.readVarUint8Array(decoder), pubsubOrigin)
+        this.onPeerReply?.()
+        break
+      }
+
+      case peerDelete:
+        evictRoom(this.name)
+        break
+    }
+  }
+
+  /**
+   * relayUpdate
+   * -----------
+   * Counts, persists and relays an update of the doc, and broadcasts it to
+   * every client but the one it came from.
+   */
+  relayUpdate(update: Uint8Array, origin: unknown) {
+    if (origin !== persistenceOrigin) {
+      this.docBytes += update.byteLength
+      this.docBytesExact = false
+      docUpdates.inc({ source: origin === pubsubOrigin ? 'peer' : origin === historyOrigin ? 'restore' : origin === apiOrigin ? 'api' : 'client' })
+    }
+
+    // Persist and relay updates that originated on this instance. Stored state
+    // is already in storage, and relayed updates were persisted by their instance.
+    if (origin !== persistenceOrigin && origin !== pubsubOrigin) {
+      this.publish(peerUpdate, (e) => encoding.writeVarUint8Array(e, update))
+
+      persistence.storeUpdate(this.name, update).catch((err) => {
+        logger.error('Failed to store update', { room: this.name, err })
+      })
+      this.updatesSinceSnapshot++
+      this.changedSinceVersion = true
+      if (this.updatesSinceSnapshot >= snapshotUpdateThreshold) {
+        this.compact()
+      }
+    }
+
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageSync)
+    syncProtocol.writeUpdate(encoder, update) // Write the actual CRDT update
+    const message = encoding.toUint8Array(encoder)
+
+    // Broadcast to all clients EXCEPT the origin (echo suppression)
+    this.conns.forEach((_, c) => {
+      if (origin !== c) {
+        send(this, c, message)
+      }
+    })
+  }
+
+  /**
+   * compact
+   * -------
+   * Replaces the stored snapshot + update log with the current full state.
+   * Never runs before loading has finished, otherwise a partially loaded
+   * document would overwrite the stored one.
+   */
+  compact(): Promise<void> {
+    this.updatesSinceSnapshot = 0
+    return this.whenLoaded
+      .then(() => {
+        const state = Y.encodeStateAsUpdate(this)
+        this.docBytes = state.byteLength
+        this.docBytesExact = true
+        return persistence.compact(this.name, state)
+      })
+      .catch((err) => {
+        logger.error('Failed to write snapshot', { room: this.name, err })
+      })
+  }
+
+  /**
+   * applyClientUpdate
+   * -----------------
+   * Applies a Step 2 or Update from a client. If it takes the room over one of
+   * its quotas, it is undone again right away and the quota is returned.
+   * Updates that add no elements and don't grow the doc past its limit always
+   * go through, so a full board can still be cleaned up.
+   *
+   * A refused update can't simply be dropped: the client's later updates build
+   * on it, and Yjs would hold those back while still applying their deletions.
+   * The update and its undo are relayed and stored as one, so other clients
+   * never see the refused changes; the client that made them sees them undone.
+   *
+   * Recording the undo and measuring the doc are costly, so they only happen
+   * for updates that could take the room over a quota at all.
+   */
+  applyClientUpdate(update: Uint8Array, conn: any): QuotaExceeded | null {
+    // Upper bounds: every item takes at least a byte, and each added element is an item of its
+    // own. Structs Yjs held back for missing dependencies may go in with this update, though.
+    const pending = this.store.pendingStructs !== null
+    const checkElements = maxElements > 0 && (pending || this.elementCount.total + update.byteLength > maxElements)
+    const checkSize = maxDocBytes > 0 && (pending || this.docBytes + update.byteLength > maxDocBytes)
+    if (!checkElements && !checkSize) {
+      Y.applyUpdate(this, update, conn)
+      return null
+    }
+
+    // Every root type the update writes to, so the undo covers all of it. They have
+    // to be real types (boards only have root maps): placeholders don't record changes.
+    Y.decodeUpdate(update).structs.forEach((struct) => {
+      const parent = struct instanceof Y.Item ? (struct.parent as unknown) : null
+      if (typeof parent !== 'string') return
+      const type = this.share.get(parent)
+      if (type === undefined || type.constructor === Y.AbstractType) this.getMap(parent)
+    })
+    const undoManager = new Y.UndoManager(Array.from(this.share.values()), {
+      trackedOrigins: new Set([conn]),
+      captureTimeout: 0,
+    })
+    const elementsBefore = this.elementCount.total
+    // Measured by the previous update while it's the only thing applied since
+    const bytesBefore = !checkSize ? 0 : this.docBytesExact ? this.docBytes : Y.encodeStateAsUpdate(this).byteLength
+    let bytes: number | null = null
+    let exceeded: QuotaExceeded | null = null
+    this.heldUpdates = []
+    try {
+      Y.applyUpdate(this, update, conn)
+      const elements = this.elementCount.total
+      if (checkElements && elements > maxElements && elements > elementsBefore) {
+        exceeded = 'elements'
+      } else if (checkSize) {
+        bytes = Y.encodeStateAsUpdate(this).byteLength
+        if (bytes > maxDocBytes && bytes > bytesBefore) exceeded = 'doc_size'
+      }
+      // Undone in a transaction that isn't tracked, so the undo isn't kept for a
+      // redo and the refused content can be garbage-collected
+      if (exceeded) this.transact(() => undoManager.undo(), quotaOrigin)
+    } finally {
+      undoManager.clear()
+      undoManager.destroy()
+      const held = this.heldUpdates
+      this.heldUpdates = null
+      // The undo goes back to the client too
+      if (held.length > 0) this.relayUpdate(held.length === 1 ? held[0] : Y.mergeUpdates(held), exceeded ? quotaOrigin : conn)
+    }
+    if (bytes !== null && !exceeded) {
+      this.docBytes = bytes
+      this.docBytesExact = true
+    }
+    return exceeded
+  }
+
+  /**
+   * saveVersion
+   * -----------
+   * Stores the current state in the room's version history.
+   */
+  saveVersion(name: string, auto: boolean) {
+    this.changedSinceVersion = false
+    return this.whenLoaded.then(() => versionStore.save(this.name, name, auto, Y.encodeStateAsUpdate(this)))
+  }
+
+  destroy() {
+    clearInterval(this.snapshotTimer)
+    clearInterval(this.versionTimer)
+    this.events.destroy()
+    this.unsubscribe()
+    super.destroy()
+  }
+}
+
+/**
+ * EncryptedRoom
+ * -------------
+ * Plays the part of WSSharedDoc for an end-to-end encrypted room, without
+ * ever decoding a payload: updates are appended to the room's log (see
+ * encrypted-log.ts) and broadcast, and the latest awareness message of each
+ * client is kept so newcomers see who is online. Every update is persisted
+ * as it arrives, so unloading the room needs no final snapshot.
+ *
+ * The log's sequence numbers are assigned by the one instance that has the
+ * room open, so an encrypted room is never open on two instances at once:
+ * one that finds the room open elsewhere refuses its connections with
+ * `closeMisdirected` (see claim). Deployments with several instances route
+ * each encrypted room to one of them (e.g. by hashing the room ID).
+ */
+class EncryptedRoom {
+  name: string
+  /** Map of connection -> awareness client IDs it announced */
+  conns: Map<any, Set<number>>
+  log: EncryptedLog
+  /** Latest encrypted awareness message per client ID */
+  awareness: Map<number, Uint8Array>
+  /** Resolves once the stored log has been loaded. Rejects if loading failed, or the room is open elsewhere. */
+  whenLoaded: Promise<void>
+  /** When a client was last asked to compact the log */
+  compactionRequestedAt: number
+  /** Connections whose updates are ignored until they have compacted the log (see handleMessage) */
+  refused: Set<any>
+  /** Set once unloaded or deleted; messages still queued for it are dropped */
+  destroyed: boolean
+  unsubscribe: () => void
+
+  constructor(name: string) {
+    this.name = name
+    this.conns = new Map()
+    this.log = new EncryptedLog()
+    this.awareness = new Map()
+    this.compactionRequestedAt = 0
+    this.refused = new Set()
+    this.destroyed = false
+    this.unsubscribe = pubsub.subscribe(`room:${name}`, (message) => this.handlePeerMessage(message))
+    this.whenLoaded = this.claim()
+      .then(() => persistence.loadUpdates(name))
+      .then((records) => this.log.load(records))
+    this.whenLoaded.catch((err) => {
+      if (err !== openElsewhere) {
+        logger.error('Failed to load stored state', { room: this.name, err })
+        return
+      }
+      logger.error('Encrypted room is open on another instance; refusing its connections', { room: this.name })
+      evictRoom(this.name, closeMisdirected, 'Room is open on another instance')
+    })
+  }
+
+  /**
+   * claim
+   * -----
+   * Tells the other instances that this one opened the room. Every instance
+   * that has the room open is subscribed to its channel, so anyone besides
+   * us receiving the message means the room is open elsewhere.
+   */
+  claim(): Promise<void> {
+    return publishToPeers(this.name, peerE2EOpen, () => {}).then((receivers) => {
+      if (receivers > 1) throw openElsewhere
+    })
+  }
+
+  broadcast(message: Uint8Array, except: any = null) {
+    this.conns.forEach((_, c) => {
+      if (c !== except) send(this, c, message)
+    })
+  }
+
+  /**
+   * greet
+   * -----
+   * Sends a new connection the whole log, then everyone's awareness.
+   */
+  greet(conn: any) {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageE2ESync)
+    encoding.writeVarUint(encoder, this.log.lastSeq)
+    encoding.writeVarUint(encoder, this.log.entries.length)
+    this.log.entries.forEach((entry) => encoding.writeVarUint8Array(encoder, entry.data))
+    send(this, conn, encoding.toUint8Array(encoder))
+
+    new Set(this.awareness.values()).forEach((message) => send(this, conn, message))
+  }
+
+  // Stores an update in the log and sends it to every local client but `origin`
+  appendUpdate(data: Uint8Array, origin: any) {
+    const entry = this.log.append(data)
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageE2EUpdate)
+    encoding.writeVarUint(encoder, entry.seq)
+    encoding.writeVarUint8Array(encoder, data)
+    this.broadcast(encoding.toUint8Array(encoder), origin)
+    return entry
+  }
+
+  // Forgets awareness clients that went away and tells everyone to remove them
+  leave(clientIds: number[]) {
+    if (clientIds.length === 0) return
+    clientIds.forEach((id) => this.awareness.delete(id))
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageE2ELeave)
+    encoding.writeVarUint(encoder, clientIds.length)
+    clientIds.forEach((id) => encoding.writeVarUint(encoder, id))
+    this.broadcast(encoding.toUint8Array(encoder))
+  }
+
+  // Asks `conn` to compact the log, unless someone was asked recently (and it isn't `urgent`)
+  requestCompaction(conn: any, urgent = false) {
+    if (!urgent && Date.now() - this.compactionRequestedAt <= e2eCompactionRetryMs) return
+    this.compactionRequestedAt = Date.now()
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageE2ECompact)
+    send(this, conn, encoding.toUint8Array(encoder))
+  }
+
+  /**
+   * handleMessage
+   * -------------
+   * Handles a message from one of this room's connections.
+   *
+   * An update that takes the log over its size quota can't be undone here, and
+   * dropping it would leave a gap in the client's updates. Instead, the client's
+   * updates are ignored from then on and it is asked to compact the log: its
+   * snapshot is its whole doc, so it includes every update that was ignored.
+   * Once it has compacted, its updates are taken again. If its snapshot can't
+   * be used, the client is disconnected, and resends what the log is missing
+   * when it reconnects.
+   */
+  handleMessage(conn: any, role: Role, message: Uint8Array) {
+    if (this.destroyed) return
+    const decoder = decoding.createDecoder(message)
+    switch (decoding.readVarUint(decoder)) {
+      case messageE2EUpdate: {
+        // View-only connections never write to the room
+        if (role === 'view' || this.refused.has(conn)) break
+        const data = decoding.readVarUint8Array(decoder)
+        // Only the log's size can be checked here. Compacting may free some of it.
+        if (maxDocBytes > 0 && this.log.bytes + data.byteLength > maxDocBytes) {
+          sendQuotaExceeded(this, conn, 'doc_size')
+          this.refused.add(conn)
+          this.requestCompaction(conn, true)
+          break
+        }
+        const entry = this.appendUpdate(data, conn)
+        docUpdates.inc({ source: 'client' })
+        persistence.storeUpdate(this.name, encodeRecord(entry)).catch((err) => {
+          logger.error('Failed to store update', { room: this.name, err })
+        })
+
+        const ack = encoding.createEncoder()
+        encoding.writeVarUint(ack, messageE2EAck)
+        encoding.writeVarUint(ack, entry.seq)
+        send(this, conn, encoding.toUint8Array(ack))
+
+        // The sender has everything up to its own update, so it can take the snapshot
+        if (this.log.entries.length > snapshotUpdateThreshold) this.requestCompaction(conn)
+        break
+      }
+
+      case messageE2EAwareness: {
+        const controlledIds = this.conns.get(conn)
+        readClientIds(decoder).forEach((id) => {
+          controlledIds?.add(id)
+          this.awareness.set(id, message)
+        })
+        awarenessUpdates.inc()
+        this.broadcast(message, conn)
+        break
+      }
+
+      case messageE2ECompact: {
+        if (role === 'view') break
+        const uptoSeq = decoding.readVarUint(decoder)
+        const refused = this.refused.delete(conn)
+        if (!this.log.compact(uptoSeq, decoding.readVarUint8Array(decoder))) {
+          if (refused) conn.close(closeQuotaExceeded, 'Quota exceeded')
+          break
+        }
+        this.compactionRequestedAt = 0
+        // Queued in order: the snapshot replaces the stored log, then the newer entries are re-appended
+        const [snapshot, ...rest] = this.log.entries
+        const stored = [persistence.compact(this.name, encodeRecord(snapshot))]
+        rest.forEach((entry) => stored.push(persistence.storeUpdate(this.name, encodeRecord(entry))))
+        Promise.all(stored).catch((err) => {
+          logger.error('Failed to write snapshot', { room: this.name, err })
+        })
+        break
+      }
+
+      case messageStats: {
+        const encoder = encoding.createEncoder()
+        encoding.writeVarUint(encoder, messageStats)
+        encoding.writeVarUint(encoder, countParticipants(this))
+        send(this, conn, encoding.toUint8Array(encoder))
+        break
+      }
+    }
+  }
+
+  /**
+   * handlePeerMessage
+   * -----------------
+   * Handles a message from another instance. The room is only open here (see
+   * claim), so the only news is that it was deleted.
+   */
+  handlePeerMessage(message: Uint8Array) {
+    const decoder = decoding.createDecoder(message)
+    if (decoding.readVarString(decoder) === instanceId) return
+    if (decoding.readVarUint(decoder) === peerDelete) evictRoom(this.name)
+  }
+
+  destroy() {
+    this.destroyed = true
+    this.unsubscribe()
+  }
 }
 
+type Room = WSSharedDoc | EncryptedRoom
+
 // Global map of all active documents (Rooms)
 const docs = new Map<string, WSSharedDoc>()
+// Encrypted rooms are kept apart: they have no doc to share with the HTTP API
+const encryptedRooms = new Map<string, EncryptedRoom>()
 
 /**
  * getYDoc
@@ -145,15 +1331,133 @@ const docs = new Map<string, WSSharedDoc>()
  * Retrieves an existing WSSharedDoc or creates a new one if it doesn't exist.
  */
 const getYDoc = (docname: string, gc = true): WSSharedDoc => {
-  return map.setIfUndefined(docs, docname, () => {
+  const doc = map.setIfUndefined(docs, docname, () => {
     const doc = new WSSharedDoc(docname)
     doc.gc = gc
-    if (docs.size > 1000) {
-        // Simple GC for docs map if it gets too large
-        console.warn('Many docs created, consider implementing cleanup')
-    }
     return doc
   })
+  // It's about to be used, so it's no longer waiting to be unloaded
+  idleRooms.remove(doc)
+  return doc
+}
+
+// Retrieves an existing EncryptedRoom or creates (and starts loading) a new one
+const getEncryptedRoom = (name: string): EncryptedRoom => {
+  const room = map.setIfUndefined(encryptedRooms, name, () => new EncryptedRoom(name))
+  idleRooms.remove(room)
+  return room
+}
+
+/**
+ * releaseDoc
+ * ----------
+ * Unloads a room nobody is using (once its grace period in `idleRooms` is
+ * over): saves a final auto version if it changed, persists a final
+ * snapshot and destroys it to free memory.
+ * The room is removed from `docs` right away; a client joining meanwhile
+ * gets a fresh doc whose load is queued behind this snapshot write.
+ */
+const releaseDoc = (doc: WSSharedDoc) => {
+  docs.delete(doc.name)
+  const versionSaved = doc.changedSinceVersion
+    ? doc.saveVersion('Auto-save', true).catch((err) => {
+        logger.error('Failed to save version', { room: doc.name, err })
+      })
+    : Promise.resolve()
+  Promise.all([versionSaved, doc.compact()]).then(() => doc.destroy())
+}
+
+// Rooms nobody is using stay loaded for ROOM_IDLE_GRACE_MS before they are unloaded (see lifecycle.ts)
+const idleRooms = new IdleQueue<Room>(roomIdleGraceMs, maxIdleRooms, (room) => {
+  if (room instanceof WSSharedDoc) {
+    releaseDoc(room)
+    return
+  }
+  // Everything is already stored; just drop it from memory. Touching it
+  // stands in for the final snapshot, which marks plaintext rooms as used.
+  encryptedRooms.delete(room.name)
+  room.destroy()
+  persistence.touch(room.name).catch((err) => {
+    logger.error('Failed to touch room', { room: room.name, err })
+  })
+})
+
+/**
+ * withDoc
+ * -------
+ * Runs `fn` against a room's loaded doc for an HTTP request, loading it from
+ * storage if no client is connected and letting it go idle again afterwards.
+ */
+const withDoc = async <T>(docName: string, fn: (doc: WSSharedDoc) => T | Promise<T>): Promise<T> => {
+  const doc = getYDoc(docName)
+  doc.pins++
+  try {
+    await doc.whenLoaded
+    return await fn(doc)
+  } finally {
+    doc.pins--
+    if (doc.conns.size === 0 && doc.pins === 0 && docs.get(docName) === doc) idleRooms.add(doc)
+  }
+}
+
+/**
+ * evictRoom
+ * ---------
+ * Drops a deleted room from memory without saving anything and disconnects
+ * its clients with `closeRoomDeleted` (or the given close code).
+ */
+const evictRoom = (name: string, code = closeRoomDeleted, reason = 'Room deleted') => {
+  const room: Room | undefined = docs.get(name) || encryptedRooms.get(name)
+  if (!room) return
+  idleRooms.remove(room)
+  docs.delete(name)
+  encryptedRooms.delete(name)
+  // Cleared first, so closeConn treats the connections as gone already
+  const conns = Array.from(room.conns.keys())
+  room.conns.clear()
+  conns.forEach((conn) => conn.close(code, reason))
+  room.destroy()
+}
+
+/**
+ * deleteRoom
+ * ----------
+ * Deletes a room on every instance and everything stored for it: document,
+ * versions and images. Loads queued after this see an empty room.
+ */
+const deleteRoom = async (name: string) => {
+  evictRoom(name)
+  publishToPeers(name, peerDelete, () => {})
+  await Promise.all([persistence.deleteRoom(name), versionStore.deleteRoom(name), fileStore.deleteRoom(name)])
+}
+
+/**
+ * expireRooms
+ * -----------
+ * Deletes stored rooms nobody opened or edited for ROOM_TTL_MS. Releasing a
+ * room writes (or touches) its storage, so `updatedAt` is when it was last
+ * used; rooms loaded right now are in use and never expire.
+ */
+const expireRooms = async () => {
+  const cutoff = Date.now() - roomTtlMs
+  for (const room of await persistence.listRooms()) {
+    if (room.updatedAt >= cutoff || docs.has(room.name) || encryptedRooms.has(room.name)) continue
+    await deleteRoom(room.name)
+    roomsDeleted.inc({ reason: 'expired' })
+    logger.info('Room expired', { room: room.name, updatedAt: new Date(room.updatedAt).toISOString() })
+  }
+}
+
+// Tells a client its update was refused because the room is full
+const sendQuotaExceeded = (doc: Room, conn: any, quota: QuotaExceeded) => {
+  quotaRejections.inc({ quota })
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, messageQuotaExceeded)
+  encoding.writeVarString(encoder, quota)
+  encoding.writeVarString(encoder, quota === 'elements'
+    ? `This board reached its limit of ${maxElements} elements. New changes are not saved.`
+    : `This board reached its size limit of ${Math.round(maxDocBytes / 1024 / 1024)} MB. New changes are not saved.`)
+  send(doc, conn, encoding.toUint8Array(encoder))
 }
 
 /**
@@ -162,14 +1466,22 @@ const getYDoc = (docname: string, gc = true): WSSharedDoc => {
  * Helper to send a binary message to a WebSocket connection.
  * Handles connection state checks and errors.
  */
-const send = (doc: WSSharedDoc, conn: any, m: Uint8Array) => {
+const send = (doc: Room, conn: any, m: Uint8Array) => {
   if (conn.readyState !== WebSocket.OPEN) {
+    sendFailures.inc({ reason: 'not_open' })
     closeConn(doc, conn)
     return // Don't try to send on non-open connections
   }
   try {
-    conn.send(m, (err: any) => { if (err != null) closeConn(doc, conn) })
+    conn.send(m, (err: any) => {
+      if (err != null) {
+        sendFailures.inc({ reason: 'error' })
+        closeConn(doc, conn)
+      }
+    })
+    bytesSent.inc({}, m.byteLength)
   } catch (e) {
+    sendFailures.inc({ reason: 'error' })
     closeConn(doc, conn)
   }
 }
@@ -180,55 +1492,104 @@ const send = (doc: WSSharedDoc, conn: any, m: Uint8Array) => {
  * Cleans up a closed connection:
  * 1. Removes it from the doc's connection map.
  * 2. Removes associated awareness states (so cursors disappear).
- * 3. Destroys the doc if no clients are left (optional, but good for memory).
+ * 3. Lets the doc go idle if no clients are left (see idleRooms).
  */
-const closeConn = (doc: WSSharedDoc, conn: any) => {
+const closeConn = (doc: Room, conn: any) => {
   if (doc.conns.has(conn)) {
     const controlledIds = doc.conns.get(conn)
     doc.conns.delete(conn)
-    console.log(`DEBUG [${doc.name}]: Closed connection. Remaining: ${doc.conns.size}`)
+    logger.debug('Connection closed', { room: doc.name, remaining: doc.conns.size })
+
+    if (doc instanceof EncryptedRoom) {
+      doc.refused.delete(conn)
+      doc.leave(Array.from(controlledIds || []))
+      if (doc.conns.size === 0) idleRooms.add(doc)
+      conn.close()
+      return
+    }
     
     // Remove awareness states for this user
     awarenessProtocol.removeAwarenessStates(doc.awareness, Array.from(controlledIds || []), null)
     
-    // If room is empty, destroy it to free memory
-    if (doc.conns.size === 0) {
-      doc.destroy()
-      docs.delete(doc.name)
+    // If room is empty (and no HTTP request is using it), unload it after the grace period
+    if (doc.conns.size === 0 && doc.pins === 0) {
+      idleRooms.add(doc)
     }
   }
   conn.close()
 }
 
+/**
+ * countParticipants
+ * -----------------
+ * Connections on this instance plus clients connected to other instances,
+ * which we only know about through their relayed awareness states.
+ */
+const countParticipants = (doc: Room) => {
+  const localClients = new Set<number>()
+  doc.conns.forEach((clientIds) => clientIds.forEach((id) => localClients.add(id)))
+  let remote = 0
+  const clientIds = doc instanceof EncryptedRoom ? doc.awareness.keys() : doc.awareness.getStates().keys()
+  Array.from(clientIds).forEach((clientId) => {
+    if (!localClients.has(clientId)) remote++
+  })
+  return doc.conns.size + remote
+}
+
+// Metric label for a client message, from its leading type byte
+const messageTypeLabel = (message: ArrayBuffer) => {
+  switch (message.byteLength > 0 ? new Uint8Array(message)[0] : -1) {
+    case messageSync: return 'sync'
+    case messageAwareness: return 'awareness'
+    case messageStats: return 'stats'
+    case messageE2EUpdate: return 'e2e_update'
+    case messageE2EAwareness: return 'e2e_awareness'
+    case messageE2ECompact: return 'e2e_compact'
+    default: return 'unknown'
+  }
+}
+
 /**
  * setupConnection
  * ---------------
  * The main logic for handling a new WebSocket connection.
- * 1. Gets/Creates the WSSharedDoc.
+ * 1. Gets/Creates the WSSharedDoc (or the EncryptedRoom of an encrypted room).
  * 2. Registers message handlers.
- * 3. Initiates the Sync Protocol (Step 1).
+ * 3. Initiates the Sync Protocol (Step 1), or sends an encrypted room's log.
  */
-const setupConnection = (ws: any, req: any, docName: string = 'lobby', gc = true) => {
+const setupConnection = (ws: any, req: any, docName: string = 'lobby', role: Role = 'edit', gc = true) => {
   ws.binaryType = 'arraybuffer' // Yjs works with binary data
-  const doc = getYDoc(docName, gc)
+  const doc: Room = isEncryptedRoom(docName) ? getEncryptedRoom(docName) : getYDoc(docName, gc)
   doc.conns.set(ws, new Set())
-  console.log(`DEBUG [${docName}]: New connection. Total: ${doc.conns.size}`)
+  const log = logger.child({ room: docName })
+  log.debug('Connection opened', { connections: doc.conns.size })
   
   // Handle incoming messages from the client
-  ws.on('message', (message: any) => { // Use 'any' to debug type
+  const handleMessage = (message: any) => { // Use 'any' to debug type
     try {
-      // console.log(`DEBUG [${docName}]: Msg raw type: ${message.constructor.name}, Length: ${message.byteLength || message.length}`)
-      
+      if (doc instanceof EncryptedRoom) {
+        doc.handleMessage(ws, role, new Uint8Array(message))
+        return
+      }
+
       const encoder = encoding.createEncoder()
       const decoder = decoding.createDecoder(new Uint8Array(message))
       const messageType = decoding.readVarUint(decoder)
       
-      // console.log(`DEBUG [${docName}]: Decoded MsgType: ${messageType}`)
-      
       switch (messageType) {
         case messageSync:
-          // Debug log (sample)
-           // if (Math.random() < 0.01) console.log('DEBUG: Received Sync step')
+          // View-only connections may request the doc (Step 1) but never write to it:
+          // silently drop their Step 2 / Update messages
+          if (role === 'view' && decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+            break
+          }
+          // Step 2 / Update messages are undone again if they take the room over a quota; tell the client why
+          if (decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+            decoding.readVarUint(decoder) // Step 2 or Update
+            const exceeded = doc.applyClientUpdate(decoding.readVarUint8Array(decoder), ws)
+            if (exceeded) sendQuotaExceeded(doc, ws, exceeded)
+            break
+          }
           // Handle Sync Protocol (Step 1, Step 2, Update)
           encoding.writeVarUint(encoder, messageSync)
           syncProtocol.readSyncMessage(decoder, encoder, doc, ws)
@@ -241,8 +1602,6 @@ const setupConnection = (ws: any, req: any, docName: string = 'lobby', gc = true
           
         case messageAwareness:
           // Handle Awareness Protocol (Cursor updates, etc.)
-          console.log(`DEBUG [${docName}]: Processing Awareness Msg. Payload len: ${message.byteLength || message.length}`)
-          
           // Read the awareness update payload
           const awarenessUpdate = decoding.readVarUint8Array(decoder)
           
@@ -255,7 +1614,6 @@ const setupConnection = (ws: any, req: any, docName: string = 'lobby', gc = true
           encoding.writeVarUint8Array(awarenessEncoder, awarenessUpdate)
           const awarenessMsg = encoding.toUint8Array(awarenessEncoder)
           
-          console.log(`DEBUG [${docName}]: Broadcasting awareness to ${doc.conns.size} clients`)
           doc.conns.forEach((_, c) => {
             if (c !== ws) { // Don't echo back to sender
               send(doc, c, awarenessMsg)
@@ -264,26 +1622,95 @@ const setupConnection = (ws: any, req: any, docName: string = 'lobby', gc = true
           break
           
         case messageStats:
-          // Debug Stats: Send active connection count back to client
+          // Stats: send the room's participant count back to the client (shown in the share panel)
           const sEncoder = encoding.createEncoder()
           encoding.writeVarUint(sEncoder, messageStats)
-          encoding.writeVarUint(sEncoder, doc.conns.size)
+          encoding.writeVarUint(sEncoder, countParticipants(doc))
           send(doc, ws, encoding.toUint8Array(sEncoder))
           break
       }
     } catch (err) {
-      console.error(err)
-      // doc.emit('error', [err]) // Y.Doc doesn't have an error event
+      log.warn('Failed to handle message', { err })
+    }
+  }
+
+  // Rate limits are checked as messages arrive, before they are queued.
+  // Awareness over the limit is dropped: the next cursor update supersedes it anyway.
+  // A client flooding sync messages is disconnected; y-websocket reconnects and
+  // re-syncs, so none of its edits are lost.
+  const syncBucket = new TokenBucket(syncRate, syncBurst)
+  const awarenessBucket = new TokenBucket(awarenessRate, awarenessBurst)
+  const withinRateLimit = (message: ArrayBuffer) => {
+    if (message.byteLength === 0) return true
+    const type = new Uint8Array(message)[0]
+    if (type === messageAwareness || type === messageE2EAwareness) {
+      if (awarenessBucket.take()) return true
+      rateLimited.inc({ kind: 'awareness' })
+      return false
+    }
+    if (syncBucket.take()) return true
+    rateLimited.inc({ kind: 'sync' })
+    log.warn('Sync rate limit exceeded, closing connection')
+    ws.close(closeRateLimited, 'Rate limit exceeded')
+    closeConn(doc, ws)
+    return false
+  }
+
+  // Until the doc is loaded and synced with other instances, queue messages (in order),
+  // so a client's Sync Step 1 is never answered from a half-loaded doc
+  let ready = (doc instanceof EncryptedRoom ? doc.whenLoaded : doc.whenSynced).catch(() => {})
+  ws.on('message', (message: any) => {
+    bytesReceived.inc({}, message.byteLength)
+    messagesReceived.inc({ type: messageTypeLabel(message) })
+    if (!doc.conns.has(ws) || !withinRateLimit(message)) return
+    ready = ready.then(() => handleMessage(message))
+  })
+
+  // Heartbeat: a half-open socket never fires 'close', so evict connections
+  // that haven't answered the previous ping
+  let pongReceived = true
+  const heartbeat = setInterval(() => {
+    if (!pongReceived) {
+      log.info('Heartbeat timed out, evicting connection')
+      heartbeatEvictions.inc()
+      closeConn(doc, ws)
+      ws.terminate()
+      clearInterval(heartbeat)
+      return
+    }
+    pongReceived = false
+    try {
+      ws.ping()
+    } catch (e) {
+      closeConn(doc, ws)
+      clearInterval(heartbeat)
     }
+  }, heartbeatIntervalMs)
+  ws.on('pong', () => {
+    pongReceived = true
+  })
+
+  // Protocol errors (e.g. a frame over maxPayload) are followed by 'close'; without
+  // a listener they would be thrown as an unhandled 'error' event
+  ws.on('error', (err: Error) => {
+    log.warn('Connection error', { err: err.message })
   })
 
   // Handle connection close
   ws.on('close', () => {
+    clearInterval(heartbeat)
     closeConn(doc, ws)
   })
 
   // --- INITIAL SYNC HANDSHAKE ---
-  {
+  // Deferred until the doc holds the stored state and whatever other instances have
+  ready.then(() => {
+    if (!doc.conns.has(ws)) return // Client left while we were loading
+    if (doc instanceof EncryptedRoom) {
+      doc.greet(ws)
+      return
+    }
+
     // 1. Send Sync Step 1: "Here is my state vector"
     const encoder = encoding.createEncoder()
     encoding.writeVarUint(encoder, messageSync)
@@ -298,11 +1725,41 @@ const setupConnection = (ws: any, req: any, docName: string = 'lobby', gc = true
       encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(doc.awareness, Array.from(awarenessStates.keys())))
       send(doc, ws, encoding.toUint8Array(encoder))
     }
+  })
+}
+
+/**
+ * parseConnectionUrl
+ * ------------------
+ * The client connects to `/<room>?token=<share token>` (y-websocket appends
+ * the `params` option as a query string).
+ */
+const parseConnectionUrl = (req: http.IncomingMessage) => {
+  const url = new URL(req.url || '/', 'http://localhost')
+  let docName = ''
+  try {
+    docName = decodeURIComponent(url.pathname.slice(1)) || 'lobby'
+  } catch {
+    // Malformed escape sequence; left empty so the room name check rejects it
   }
+  return { docName, token: url.searchParams.get('token') }
 }
 
+// Role granted to each upgraded request, verified once during the handshake
+const connectionRoles = new WeakMap<http.IncomingMessage, Role>()
+
 // 3. Handle the HTTP Upgrade (The "Handshake")
 server.on('upgrade', (request, socket, head) => {
+  // Reject unauthorized clients before the WebSocket is even established
+  const { docName, token } = parseConnectionUrl(request)
+  const role = verifyToken(shareSecret, docName, token)
+  if (!role) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n')
+    socket.destroy()
+    return
+  }
+  connectionRoles.set(request, role)
+
   wss.handleUpgrade(request, socket, head, (ws) => {
     wss.emit('connection', ws, request)
   })
@@ -310,12 +1767,35 @@ server.on('upgrade', (request, socket, head) => {
 
 // 4. Handle WebSocket Connections
 wss.on('connection', (ws, req) => {
-  const docName = req.url?.slice(1) || 'lobby'
-  console.log(`Client connected to room: ${docName}`)
-  setupConnection(ws, req, docName)
+  const { docName } = parseConnectionUrl(req)
+  if (!isValidRoomName(docName)) {
+    ws.close(closeInvalidRoom, 'Invalid room name')
+    return
+  }
+  const role = connectionRoles.get(req) || 'view'
+  logger.info('Client connected', { room: docName, role })
+  connectionsOpened.inc()
+  setupConnection(ws, req, docName, role)
 })
 
-// Start listening
-server.listen(port, () => {
-  console.log(`Raw Server running on port ${port}`)
-})
+// Expire abandoned rooms
+if (roomTtlMs > 0) {
+  setInterval(() => {
+    expireRooms().catch((err) => {
+      logger.error('Failed to expire rooms', { err })
+    })
+  }, roomSweepIntervalMs)
+}
+
+// Start listening once the storage is ours
+persistence
+  .open()
+  .then(() => {
+    server.listen(port, () => {
+      logger.info('Raw Server running', { port })
+    })
+  })
+  .catch((err) => {
+    logger.error('Failed to open storage', { err })
+    process.exit(1)
+  })
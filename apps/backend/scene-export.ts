@@ -0,0 +1,355 @@
+import * as Y from 'yjs'
+import type { StoredFile } from './files.js'
+import { pageElements } from './pages.js'
+
+/**
+ * ============================================================================
+ * HEADLESS SCENE EXPORT
+ * ============================================================================
+ *
+ * Turns a room's `elements` map into what Excalidraw itself would export,
+ * without a browser:
+ *   - a `.excalidraw` scene (JSON), with the images it references embedded
+ *   - an SVG rendering of it
+ *
+ * Excalidraw's own renderer needs a DOM and draws every shape with rough.js,
+ * so the SVG here is a clean-lined approximation: same geometry, colours,
+ * stroke styles, text and images, without the hand-drawn wobble. Fill styles
+ * other than solid are drawn as a lighter solid fill.
+ *
+ * Elements come from clients and are never trusted: every number is checked
+ * and every string is escaped before it reaches the SVG.
+ */
+
+export interface SceneFile {
+  id: string
+  mimeType: string
+  dataURL: string
+  created: number
+}
+
+type Element = Record<string, any>
+type Point = [number, number]
+type Bounds = [number, number, number, number]
+
+// Same padding Excalidraw adds around exported images
+const exportPadding = 10
+
+// Excalidraw's font families, with fallbacks for viewers that don't have them
+const fontFamilies: Record<number, string> = {
+  1: 'Virgil, Excalifont, Segoe Print, cursive',
+  2: 'Helvetica, Arial, sans-serif',
+  3: 'Cascadia, Consolas, monospace',
+  5: 'Excalifont, Virgil, Segoe Print, cursive',
+  6: 'Nunito, Segoe UI, sans-serif',
+  7: 'Lilita One, Impact, sans-serif',
+  8: 'Comic Shanns, Comic Sans MS, monospace',
+  9: 'Liberation Sans, Arial, sans-serif',
+}
+
+const num = (value: unknown, fallback = 0) =>
+  typeof value === 'number' && Number.isFinite(value) ? value : fallback
+
+const fmt = (value: number) => String(Math.round(value * 100) / 100)
+
+const escapeXml = (value: unknown) =>
+  String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`)
+
+const attrs = (values: Record<string, string | number | null | undefined>) =>
+  Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXml(typeof value === 'number' ? fmt(value) : value)}"`)
+    .join('')
+
+const isColor = (value: unknown): value is string => typeof value === 'string' && value !== '' && value !== 'transparent'
+
+const pointsOf = (el: Element): Point[] =>
+  Array.isArray(el.points)
+    ? el.points
+        .filter((p: unknown) => Array.isArray(p) && p.length >= 2)
+        .map((p: unknown[]) => [num(el.x) + num(p[0]), num(el.y) + num(p[1])] as Point)
+    : []
+
+/**
+ * readSceneElements
+ * -----------------
+ * A page's live elements, in stacking order (Excalidraw's fractional `index`).
+ */
+export const readSceneElements = (doc: Y.Doc, pageId: string): Element[] =>
+  Array.from(pageElements(doc, pageId)?.values() ?? [])
+    .filter((el) => el && typeof el === 'object' && !el.isDeleted)
+    .sort((a, b) => {
+      const ai = typeof a.index === 'string' ? a.index : ''
+      const bi = typeof b.index === 'string' ? b.index : ''
+      return ai < bi ? -1 : ai > bi ? 1 : 0
+    })
+
+// IDs of the images the elements show
+export const sceneFileIds = (elements: Element[]) =>
+  Array.from(new Set(elements.filter((el) => el.type === 'image' && typeof el.fileId === 'string').map((el) => el.fileId as string)))
+
+// `created` comes from the doc's `files` map, so the same doc state always gives the same scene
+export const toSceneFile = (id: string, file: StoredFile, created: number): SceneFile => ({
+  id,
+  mimeType: file.mimeType,
+  dataURL: `data:${file.mimeType};base64,${Buffer.from(file.data).toString('base64')}`,
+  created,
+})
+
+// A `.excalidraw` file, loadable by Excalidraw (and by the import in our own frontend)
+export const toExcalidrawScene = (elements: Element[], files: Record<string, SceneFile>) => ({
+  type: 'excalidraw',
+  version: 2,
+  source: 'easyboard',
+  elements,
+  appState: { viewBackgroundColor: '#ffffff', gridSize: null },
+  files,
+})
+
+// --- SVG ----------------------------------------------------------------------
+
+const rotatePoint = ([x, y]: Point, [cx, cy]: Point, angle: number): Point => [
+  cx + (x - cx) * Math.cos(angle) - (y - cy) * Math.sin(angle),
+  cy + (x - cx) * Math.sin(angle) + (y - cy) * Math.cos(angle),
+]
+
+// Axis-aligned box around an element, rotation included
+const elementBounds = (el: Element): Bounds | null => {
+  const x = num(el.x)
+  const y = num(el.y)
+  let corners: Point[]
+  if (el.type === 'line' || el.type === 'arrow' || el.type === 'freedraw') {
+    corners = pointsOf(el)
+  } else {
+    const w = num(el.width)
+    const h = num(el.height)
+    corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]]
+    // Frame names are drawn above the frame
+    if (el.type === 'frame' || el.type === 'magicframe') corners.push([x, y - 24])
+  }
+  if (corners.length === 0) return null
+
+  const angle = num(el.angle)
+  const center: Point = [x + num(el.width) / 2, y + num(el.height) / 2]
+  const rotated = angle ? corners.map((p) => rotatePoint(p, center, angle)) : corners
+  const xs = rotated.map((p) => p[0])
+  const ys = rotated.map((p) => p[1])
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+}
+
+const strokeAttrs = (el: Element, width = num(el.strokeWidth, 1)) => ({
+  stroke: isColor(el.strokeColor) ? el.strokeColor : 'none',
+  'stroke-width': width,
+  'stroke-dasharray':
+    el.strokeStyle === 'dashed' ? `8 ${fmt(8 + width)}` : el.strokeStyle === 'dotted' ? `1.5 ${fmt(6 + width)}` : null,
+  'stroke-linecap': 'round',
+  'stroke-linejoin': 'round',
+})
+
+const fillAttrs = (el: Element) =>
+  isColor(el.backgroundColor)
+    ? { fill: el.backgroundColor, 'fill-opacity': el.fillStyle === 'solid' ? null : 0.5 }
+    : { fill: 'none' }
+
+// Corner radius Excalidraw uses for rounded rectangles
+const cornerRadius = (el: Element, size: number) => {
+  if (!el.roundness) return 0
+  if (el.roundness.type === 3) {
+    const fixed = num(el.roundness.value, 32)
+    return size <= fixed / 0.25 ? size * 0.25 : fixed
+  }
+  return size * 0.25
+}
+
+// Smooth curve through the points (Catmull-Rom as cubic Béziers), like Excalidraw's rounded lines
+const curvePath = (points: Point[]) => {
+  let d = `M${fmt(points[0][0])} ${fmt(points[0][1])}`
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[i - 1] ?? points[i]
+    const [p1, p2] = [points[i], points[i + 1]]
+    const p3 = points[i + 2] ?? p2
+    const c1: Point = [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6]
+    const c2: Point = [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6]
+    d += ` C${fmt(c1[0])} ${fmt(c1[1])} ${fmt(c2[0])} ${fmt(c2[1])} ${fmt(p2[0])} ${fmt(p2[1])}`
+  }
+  return d
+}
+
+const polylinePath = (points: Point[]) =>
+  points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${fmt(x)} ${fmt(y)}`).join(' ')
+
+const arrowhead = (el: Element, head: unknown, tip: Point, from: Point) => {
+  if (typeof head !== 'string') return ''
+  const length = Math.hypot(tip[0] - from[0], tip[1] - from[1])
+  if (length === 0) return ''
+  const size = Math.min(head === 'arrow' ? 25 : 15, length / 2)
+  const ux = (tip[0] - from[0]) / length
+  const uy = (tip[1] - from[1]) / length
+  const back = (distance: number, angle: number): Point => [
+    tip[0] - distance * (ux * Math.cos(angle) - uy * Math.sin(angle)),
+    tip[1] - distance * (uy * Math.cos(angle) + ux * Math.sin(angle)),
+  ]
+  const stroke = strokeAttrs(el)
+  const solid = { ...stroke, 'stroke-dasharray': null }
+
+  switch (head) {
+    case 'dot':
+    case 'circle':
+    case 'circle_outline':
+      return `<circle${attrs({ cx: tip[0], cy: tip[1], r: size / 2, ...solid, fill: head === 'circle_outline' ? 'white' : el.strokeColor })}/>`
+    case 'bar': {
+      const half = size / 2
+      return `<path${attrs({ d: `M${fmt(tip[0] - uy * half)} ${fmt(tip[1] + ux * half)} L${fmt(tip[0] + uy * half)} ${fmt(tip[1] - ux * half)}`, ...solid })}/>`
+    }
+    case 'triangle':
+    case 'triangle_outline': {
+      const [l, r] = [back(size, 0.44), back(size, -0.44)]
+      return `<path${attrs({ d: `M${fmt(tip[0])} ${fmt(tip[1])} L${fmt(l[0])} ${fmt(l[1])} L${fmt(r[0])} ${fmt(r[1])} Z`, ...solid, fill: head === 'triangle' ? el.strokeColor : 'white' })}/>`
+    }
+    case 'diamond':
+    case 'diamond_outline': {
+      const [l, r, end] = [back(size / 2, 0.5), back(size / 2, -0.5), back(size * 0.9, 0)]
+      return `<path${attrs({ d: `M${fmt(tip[0])} ${fmt(tip[1])} L${fmt(l[0])} ${fmt(l[1])} L${fmt(end[0])} ${fmt(end[1])} L${fmt(r[0])} ${fmt(r[1])} Z`, ...solid, fill: head === 'diamond' ? el.strokeColor : 'white' })}/>`
+    }
+    default: {
+      const [l, r] = [back(size, 0.35), back(size, -0.35)]
+      return `<path${attrs({ d: `M${fmt(l[0])} ${fmt(l[1])} L${fmt(tip[0])} ${fmt(tip[1])} L${fmt(r[0])} ${fmt(r[1])}`, ...solid, fill: 'none' })}/>`
+    }
+  }
+}
+
+const renderText = (el: Element) => {
+  const fontSize = num(el.fontSize, 20)
+  const lineHeight = fontSize * num(el.lineHeight, 1.25)
+  const align = el.textAlign === 'center' ? 'middle' : el.textAlign === 'right' ? 'end' : 'start'
+  const x = num(el.x) + (align === 'middle' ? num(el.width) / 2 : align === 'end' ? num(el.width) : 0)
+  const lines = String(el.text ?? '').split('\n')
+  const tspans = lines
+    .map((line, i) => `<tspan${attrs({ x, y: num(el.y) + (i + 0.5) * lineHeight })}>${escapeXml(line)}</tspan>`)
+    .join('')
+  return `<text${attrs({
+    'font-family': fontFamilies[num(el.fontFamily, 5)] ?? fontFamilies[5],
+    'font-size': fontSize,
+    fill: isColor(el.strokeColor) ? el.strokeColor : '#1e1e1e',
+    'text-anchor': align,
+    'dominant-baseline': 'middle',
+    'xml:space': 'preserve',
+  })}>${tspans}</text>`
+}
+
+const renderImage = (el: Element, files: Record<string, SceneFile>) => {
+  const [x, y, w, h] = [num(el.x), num(el.y), num(el.width), num(el.height)]
+  const file = typeof el.fileId === 'string' ? files[el.fileId] : undefined
+  if (!file) {
+    return `<rect${attrs({ x, y, width: w, height: h, fill: '#f1f3f5', stroke: '#ced4da' })}/>`
+  }
+  const [sx, sy] = Array.isArray(el.scale) ? [num(el.scale[0], 1), num(el.scale[1], 1)] : [1, 1]
+  const flip = sx < 0 || sy < 0
+    ? `translate(${fmt(x + w / 2)} ${fmt(y + h / 2)}) scale(${sx < 0 ? -1 : 1} ${sy < 0 ? -1 : 1}) translate(${fmt(-(x + w / 2))} ${fmt(-(y + h / 2))})`
+    : null
+  const crop = el.crop
+  // A cropped image shows part of the original, stretched to the element's box
+  const viewBox = crop
+    ? `${fmt(num(crop.x))} ${fmt(num(crop.y))} ${fmt(num(crop.width, 1))} ${fmt(num(crop.height, 1))}`
+    : null
+  const image = `<image${attrs({
+    href: file.dataURL,
+    width: crop ? num(crop.naturalWidth, w) : w,
+    height: crop ? num(crop.naturalHeight, h) : h,
+    preserveAspectRatio: 'none',
+  })}/>`
+  return `<svg${attrs({ x, y, width: w, height: h, viewBox: viewBox ?? `0 0 ${fmt(w)} ${fmt(h)}`, preserveAspectRatio: 'none', transform: flip })}>${image}</svg>`
+}
+
+const renderElement = (el: Element, files: Record<string, SceneFile>): string => {
+  const [x, y, w, h] = [num(el.x), num(el.y), Math.abs(num(el.width)), Math.abs(num(el.height))]
+
+  switch (el.type) {
+    case 'rectangle': {
+      const r = cornerRadius(el, Math.min(w, h))
+      return `<rect${attrs({ x, y, width: w, height: h, rx: r || null, ...fillAttrs(el), ...strokeAttrs(el) })}/>`
+    }
+    case 'ellipse':
+      return `<ellipse${attrs({ cx: x + w / 2, cy: y + h / 2, rx: w / 2, ry: h / 2, ...fillAttrs(el), ...strokeAttrs(el) })}/>`
+    case 'diamond': {
+      const d = `M${fmt(x + w / 2)} ${fmt(y)} L${fmt(x + w)} ${fmt(y + h / 2)} L${fmt(x + w / 2)} ${fmt(y + h)} L${fmt(x)} ${fmt(y + h / 2)} Z`
+      return `<path${attrs({ d, ...fillAttrs(el), ...strokeAttrs(el) })}/>`
+    }
+    case 'line':
+    case 'arrow': {
+      const points = pointsOf(el)
+      if (points.length < 2) return ''
+      const [first, last] = [points[0], points[points.length - 1]]
+      const closed = el.type === 'line' && points.length > 2 && first[0] === last[0] && first[1] === last[1]
+      const d = el.roundness && points.length > 2 ? curvePath(points) : polylinePath(points)
+      return (
+        `<path${attrs({ d, ...(closed ? fillAttrs(el) : { fill: 'none' }), ...strokeAttrs(el) })}/>` +
+        arrowhead(el, el.startArrowhead, first, points[1]) +
+        arrowhead(el, el.endArrowhead, last, points[points.length - 2])
+      )
+    }
+    case 'freedraw': {
+      const points = pointsOf(el)
+      if (points.length === 0) return ''
+      const d = points.length === 1 ? `M${fmt(points[0][0])} ${fmt(points[0][1])} l0.01 0` : polylinePath(points)
+      return `<path${attrs({ d, fill: 'none', ...strokeAttrs(el, Math.max(1, num(el.strokeWidth, 1) * 1.5)), 'stroke-dasharray': null })}/>`
+    }
+    case 'text':
+      return renderText(el)
+    case 'image':
+      return renderImage(el, files)
+    case 'frame':
+    case 'magicframe': {
+      const name = typeof el.name === 'string' && el.name ? el.name : 'Frame'
+      return (
+        `<rect${attrs({ x, y, width: w, height: h, rx: 8, fill: 'none', stroke: '#bbb', 'stroke-width': 2 })}/>` +
+        `<text${attrs({ x, y: y - 6, 'font-family': fontFamilies[2], 'font-size': 14, fill: '#999' })}>${escapeXml(name)}</text>`
+      )
+    }
+    case 'embeddable':
+    case 'iframe':
+      return (
+        `<rect${attrs({ x, y, width: w, height: h, fill: '#f8f9fa', ...strokeAttrs(el) })}/>` +
+        `<text${attrs({ x: x + w / 2, y: y + h / 2, 'font-family': fontFamilies[2], 'font-size': 14, fill: '#495057', 'text-anchor': 'middle', 'dominant-baseline': 'middle' })}>${escapeXml(el.link ?? '')}</text>`
+      )
+    default:
+      return ''
+  }
+}
+
+/**
+ * renderSvg
+ * ---------
+ * Renders elements (already in stacking order) to a standalone SVG document,
+ * cropped to the drawing plus Excalidraw's export padding. `background` is a
+ * fill colour, or null for a transparent image.
+ */
+export const renderSvg = (elements: Element[], files: Record<string, SceneFile>, background: string | null = '#ffffff') => {
+  const boxes = elements.map(elementBounds).filter((b): b is Bounds => b !== null)
+  const [minX, minY, maxX, maxY] = boxes.length
+    ? [Math.min(...boxes.map((b) => b[0])), Math.min(...boxes.map((b) => b[1])), Math.max(...boxes.map((b) => b[2])), Math.max(...boxes.map((b) => b[3]))]
+    : [0, 0, 0, 0]
+  const [left, top] = [minX - exportPadding, minY - exportPadding]
+  const [width, height] = [maxX - minX + exportPadding * 2, maxY - minY + exportPadding * 2]
+
+  const body = elements
+    .map((el) => {
+      const shape = renderElement(el, files)
+      if (!shape) return ''
+      const angle = num(el.angle)
+      const center: Point = [num(el.x) + num(el.width) / 2, num(el.y) + num(el.height) / 2]
+      const opacity = Math.min(100, Math.max(0, num(el.opacity, 100))) / 100
+      return `<g${attrs({
+        transform: angle ? `rotate(${fmt((angle * 180) / Math.PI)} ${fmt(center[0])} ${fmt(center[1])})` : null,
+        opacity: opacity < 1 ? opacity : null,
+      })}>${shape}</g>`
+    })
+    .join('\n')
+
+  return (
+    `<svg${attrs({ xmlns: 'http://www.w3.org/2000/svg', width, height, viewBox: `${fmt(left)} ${fmt(top)} ${fmt(width)} ${fmt(height)}` })}>\n` +
+    (isColor(background) ? `<rect${attrs({ x: left, y: top, width, height, fill: background })}/>\n` : '') +
+    body +
+    '\n</svg>\n'
+  )
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto'
+
+/**
+ * ============================================================================
+ * SHARE TOKENS
+ * ============================================================================
+ *
+ * Share links carry a signed token in their query string: `?token=<role>.<sig>`
+ * where `sig` is an HMAC over the room name and role. The role is readable by
+ * the frontend (so it can open Excalidraw in view mode), but only the server
+ * can mint a valid signature, so a view link can't be edited into an edit link.
+ *
+ * Tokens never expire; rotating `SHARE_SECRET` revokes every link at once.
+ */
+
+export type Role = 'view' | 'edit'
+
+const roles: Role[] = ['view', 'edit']
+
+const sign = (secret: string, docName: string, role: Role) =>
+  crypto.createHmac('sha256', secret).update(`${docName}\n${role}`).digest('base64url')
+
+/**
+ * createToken
+ * -----------
+ * Mints a share token granting `role` on `docName`.
+ */
+export const createToken = (secret: string, docName: string, role: Role): string =>
+  `${role}.${sign(secret, docName, role)}`
+
+/**
+ * verifyToken
+ * -----------
+ * Returns the role granted by `token` for `docName`, or null if the token is
+ * missing, malformed or signed for another room.
+ */
+export const verifyToken = (secret: string, docName: string, token: string | null): Role | null => {
+  if (!token) return null
+  const [role, sig] = token.split('.')
+  if (!roles.includes(role as Role) || !sig) return null
+
+  const expected = Buffer.from(sign(secret, docName, role as Role))
+  const actual = Buffer.from(sig)
+  // Constant-time compare so signatures can't be guessed byte by byte
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+  return role as Role
+}
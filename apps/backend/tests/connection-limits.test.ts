@@ -0,0 +1,62 @@
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import WebSocket from 'ws'
+import { TokenBucket } from '../rate-limit.js'
+import { connect, createRoom, startServer, until } from './server.js'
+
+describe('TokenBucket', () => {
+  beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 0 }))
+  afterEach(() => mock.timers.reset())
+
+  const takeAll = (bucket: TokenBucket) => {
+    let taken = 0
+    while (bucket.take()) taken++
+    return taken
+  }
+
+  test('allows a burst up to its capacity', () => {
+    const bucket = new TokenBucket(10, 5)
+    assert.equal(takeAll(bucket), 5)
+    assert.equal(bucket.take(), false)
+  })
+
+  test('refills at its rate', () => {
+    const bucket = new TokenBucket(10, 5)
+    takeAll(bucket)
+    mock.timers.tick(100)
+    assert.equal(takeAll(bucket), 1)
+    mock.timers.tick(250)
+    assert.equal(takeAll(bucket), 2)
+  })
+
+  test('never holds more than its capacity', () => {
+    const bucket = new TokenBucket(10, 5)
+    takeAll(bucket)
+    mock.timers.tick(60_000)
+    assert.equal(takeAll(bucket), 5)
+  })
+})
+
+describe('heartbeat', () => {
+  let server: Awaited<ReturnType<typeof startServer>>
+
+  before(async () => {
+    server = await startServer({ HEARTBEAT_INTERVAL_MS: '100' })
+  })
+
+  after(() => server.stop())
+
+  test('evicts a connection that stops answering pings, and keeps one that answers', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const url = `${server.url}/${roomId}?token=${encodeURIComponent(token)}`
+    const answering = await connect(url)
+
+    const silent = new WebSocket(url.replace('http', 'ws'), { autoPong: false })
+    let closed = false
+    silent.on('close', () => (closed = true))
+    await until(() => closed, 'the eviction', 2000)
+
+    assert.equal(answering.ws.readyState, WebSocket.OPEN)
+    answering.close()
+  })
+})
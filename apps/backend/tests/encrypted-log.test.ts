@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EncryptedLog, encodeRecord, isEncryptedRoom } from '../encrypted-log.js'
+
+const blob = (...bytes: number[]) => Uint8Array.from(bytes)
+
+const seqs = (log: EncryptedLog) => log.entries.map((entry) => entry.seq)
+
+test('isEncryptedRoom checks the prefix', () => {
+  assert.equal(isEncryptedRoom('e2e-1234'), true)
+  assert.equal(isEncryptedRoom('1234'), false)
+})
+
+test('append numbers entries from 1', () => {
+  const log = new EncryptedLog()
+  assert.equal(log.lastSeq, 0)
+  assert.equal(log.append(blob(1)).seq, 1)
+  assert.equal(log.append(blob(2, 3)).seq, 2)
+  assert.equal(log.lastSeq, 2)
+  assert.equal(log.bytes, 3)
+})
+
+test('load restores stored records in sequence order', () => {
+  const stored = new EncryptedLog()
+  stored.append(blob(1))
+  stored.append(blob(2))
+  stored.append(blob(3))
+
+  const log = new EncryptedLog()
+  log.load(stored.entries.map(encodeRecord).reverse())
+  assert.deepEqual(log.entries, stored.entries)
+  // Numbering carries on where it left off
+  assert.equal(log.append(blob(4)).seq, 4)
+})
+
+test('compact replaces the entries up to the given seq with the snapshot', () => {
+  const log = new EncryptedLog()
+  ;[1, 2, 3, 4].forEach((byte) => log.append(blob(byte)))
+
+  assert.equal(log.compact(3, blob(9, 9)), true)
+  assert.deepEqual(seqs(log), [3, 4])
+  assert.deepEqual(log.entries[0].data, blob(9, 9))
+  assert.equal(log.append(blob(5)).seq, 5)
+})
+
+test('compact refuses what would drop nothing', () => {
+  const log = new EncryptedLog()
+  ;[1, 2, 3].forEach((byte) => log.append(blob(byte)))
+  assert.equal(log.compact(2, blob(9)), true)
+
+  // Another client compacted up to the same seq already
+  assert.equal(log.compact(2, blob(8)), false)
+  // Older than the snapshot
+  assert.equal(log.compact(1, blob(8)), false)
+  // Entries the server never assigned
+  assert.equal(log.compact(5, blob(8)), false)
+  assert.deepEqual(seqs(log), [2, 3])
+  assert.deepEqual(log.entries[0].data, blob(9))
+})
@@ -0,0 +1,266 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import http from 'http'
+import type { AddressInfo } from 'net'
+import * as Y from 'yjs'
+import { RoomEventTracker, WebhookDispatcher, signWebhook, type DeliveryResult, type RoomEvent } from '../events.js'
+import { connect, createRoom, startServer, until } from './server.js'
+
+const delay = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const element = (id: string, isDeleted = false) => ({ id, type: 'rectangle', isDeleted })
+
+// A tracker whose doc reports every change to the main page as made by client 1
+const track = (debounceMs = 1000, maxWaitMs = 5000) => {
+  const doc = new Y.Doc()
+  const events: RoomEvent[] = []
+  const tracker = new RoomEventTracker('room', doc, debounceMs, maxWaitMs, (event) => events.push(event))
+  const elements = doc.getMap<any>('elements')
+  elements.observe((event) => tracker.recordElements(event, 'main', [1]))
+  return { tracker, events, elements }
+}
+
+const summary = (events: RoomEvent[]) =>
+  events.map((event) => {
+    const { elements, user } = event.data as { elements?: { id: string }[]; user?: { clientId: number } }
+    if (elements) return `${event.type} ${elements.map(({ id }) => id).join(',')}`
+    return user ? `${event.type} ${user.clientId}` : event.type
+  })
+
+describe('RoomEventTracker', () => {
+  test('reports a batch of changes once', () => {
+    const { tracker, events, elements } = track()
+    tracker.userSeen(1, 'Alice')
+    elements.set('a', element('a'))
+    elements.set('b', element('b'))
+    assert.equal(events.length, 0)
+
+    tracker.flush()
+    assert.deepEqual(summary(events), ['user.joined 1', 'elements.added a,b'])
+    assert.deepEqual(events[1].data.users, [{ clientId: 1, name: 'Alice' }])
+    assert.equal(events[1].room, 'room')
+    tracker.destroy()
+  })
+
+  test('nets out changes within a batch', () => {
+    const { tracker, events, elements } = track()
+    elements.set('a', element('a'))
+    elements.set('b', element('b'))
+    elements.set('c', element('c'))
+    tracker.flush()
+    events.length = 0
+
+    elements.set('new', element('new'))
+    elements.set('new', { ...element('new'), x: 10 }) // Added and then edited: added
+    elements.set('gone', element('gone'))
+    elements.set('gone', element('gone', true)) // Added and removed again: nothing
+    elements.set('a', element('a', true))
+    elements.set('a', element('a')) // Removed and restored: changed
+    elements.set('b', { ...element('b'), x: 10 })
+    elements.set('b', element('b', true)) // Changed and then removed: removed
+    tracker.flush()
+    assert.deepEqual(summary(events), ['elements.added new', 'elements.changed a', 'elements.removed b'])
+    tracker.destroy()
+  })
+
+  test('does not report a client that joins and leaves within a batch', () => {
+    const { tracker, events } = track()
+    tracker.userSeen(1, 'Alice')
+    tracker.userSeen(2, 'Bob')
+    tracker.flush()
+    events.length = 0
+
+    tracker.userSeen(3, 'Carol')
+    tracker.userLeft(3)
+    tracker.userLeft(2)
+    tracker.userSeen(2, 'Bob') // Reconnected
+    tracker.userLeft(1)
+    tracker.flush()
+    assert.deepEqual(summary(events), ['user.left 1'])
+    assert.deepEqual(events[0].data.user, { clientId: 1, name: 'Alice' })
+    tracker.destroy()
+  })
+
+  test('reports removing every element as the room being cleared', () => {
+    const { tracker, events, elements } = track()
+    elements.set('a', element('a'))
+    elements.set('b', element('b'))
+    tracker.flush()
+    events.length = 0
+
+    elements.set('a', element('a', true))
+    elements.set('b', element('b', true))
+    tracker.flush()
+    assert.deepEqual(summary(events), ['room.cleared'])
+    assert.equal(events[0].data.removed, 2)
+    tracker.destroy()
+  })
+
+  test('sends a batch once the room has been quiet', async () => {
+    const { tracker, events, elements } = track(200, 5000)
+    elements.set('a', element('a'))
+    await delay(100)
+    elements.set('a', { ...element('a'), x: 10 })
+    await delay(100)
+    assert.equal(events.length, 0)
+    await delay(300)
+    assert.deepEqual(summary(events), ['elements.added a'])
+    tracker.destroy()
+  })
+
+  test('sends a batch after the maximum wait while changes keep coming', async () => {
+    const { tracker, events, elements } = track(1000, 150)
+    elements.set('a', element('a'))
+    for (let x = 1; x <= 6; x++) {
+      await delay(50)
+      elements.set('a', { ...element('a'), x })
+    }
+    // Never quiet for a second, but the first batch went out within the maximum wait
+    assert.deepEqual(summary(events).slice(0, 1), ['elements.added a'])
+    tracker.destroy()
+  })
+})
+
+// Receives deliveries, answering each with the next status (200 once they run out)
+const receiver = async (statuses: number[] = []) => {
+  const deliveries: { headers: http.IncomingHttpHeaders; body: string }[] = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body })
+      res.writeHead(statuses.shift() ?? 200).end()
+    })
+  })
+  await new Promise<void>((resolve) => server.listen(0, resolve))
+  const url = `http://localhost:${(server.address() as AddressInfo).port}/hook`
+  return { url, deliveries, close: () => server.close() }
+}
+
+// What a receiver does to check a delivery (see README)
+const verify = (secret: string, headers: http.IncomingHttpHeaders, body: string) => {
+  const expected = crypto.createHmac('sha256', secret).update(`${headers['x-easyboard-timestamp']}.${body}`).digest('hex')
+  const signature = Buffer.from(String(headers['x-easyboard-signature']))
+  const wanted = Buffer.from(`sha256=${expected}`)
+  return signature.length === wanted.length && crypto.timingSafeEqual(signature, wanted)
+}
+
+const event: RoomEvent = { id: 'event-1', type: 'user.joined', room: 'room', time: new Date(0).toISOString(), data: {} }
+
+// Delivers `event` and resolves with the dispatcher's reports once one is final
+const deliver = (dispatcher: (report: (result: DeliveryResult) => void) => WebhookDispatcher) =>
+  new Promise<DeliveryResult[]>((resolve) => {
+    const results: DeliveryResult[] = []
+    dispatcher((result) => {
+      results.push(result)
+      if (result !== 'retried') resolve(results)
+    }).deliver(event)
+  })
+
+describe('webhooks', () => {
+  test('signWebhook is an HMAC of the timestamp and body', () => {
+    const signature = signWebhook('secret', '1700000000', '{}')
+    assert.equal(signature, `sha256=${crypto.createHmac('sha256', 'secret').update('1700000000.{}').digest('hex')}`)
+    assert.notEqual(signWebhook('secret', '1700000001', '{}'), signature)
+    assert.notEqual(signWebhook('other', '1700000000', '{}'), signature)
+  })
+
+  test('deliveries carry a signature the receiver can verify', async () => {
+    const hook = await receiver()
+    const results = await deliver((report) => new WebhookDispatcher([hook.url], 'secret', 3, report))
+    hook.close()
+
+    assert.deepEqual(results, ['delivered'])
+    const [{ headers, body }] = hook.deliveries
+    assert.deepEqual(JSON.parse(body), event)
+    assert.equal(headers['x-easyboard-event'], 'user.joined')
+    assert.equal(headers['x-easyboard-delivery'], 'event-1')
+    assert.equal(verify('secret', headers, body), true)
+    assert.equal(verify('other-secret', headers, body), false)
+    assert.equal(verify('secret', headers, body.replace('room', 'other')), false)
+  })
+
+  test('deliveries are unsigned without a secret', async () => {
+    const hook = await receiver()
+    await deliver((report) => new WebhookDispatcher([hook.url], '', 3, report))
+    hook.close()
+    assert.equal(hook.deliveries[0].headers['x-easyboard-signature'], undefined)
+  })
+
+  test('retries server errors but not rejections', async () => {
+    const retried = await receiver([503])
+    assert.deepEqual(await deliver((report) => new WebhookDispatcher([retried.url], 'secret', 3, report)), ['retried', 'delivered'])
+    retried.close()
+    assert.equal(retried.deliveries.length, 2)
+    assert.equal(retried.deliveries[1].headers['x-easyboard-delivery'], 'event-1')
+
+    const rejected = await receiver([400])
+    assert.deepEqual(await deliver((report) => new WebhookDispatcher([rejected.url], 'secret', 3, report)), ['failed'])
+    rejected.close()
+    assert.equal(rejected.deliveries.length, 1)
+  })
+})
+
+describe('event streams', () => {
+  let server: Awaited<ReturnType<typeof startServer>>
+
+  before(async () => {
+    server = await startServer({ EVENT_DEBOUNCE_MS: '50', MAX_EVENT_STREAMS: '2' })
+  })
+
+  after(() => server.stop())
+
+  // Opens a room's event stream and collects what it receives
+  const stream = async (roomId: string, token: string) => {
+    const abort = new AbortController()
+    const response = await fetch(`${server.url}/rooms/${roomId}/events?token=${encodeURIComponent(token)}`, { signal: abort.signal })
+    let text = ''
+    if (response.ok) {
+      const decoder = new TextDecoder()
+      const reader = response.body!.getReader()
+      const read = (): Promise<void> =>
+        reader.read().then(({ done, value }) => {
+          if (done) return
+          text += decoder.decode(value, { stream: true })
+          return read()
+        })
+      read().catch(() => {}) // Aborted
+    }
+    return { status: response.status, received: () => text, close: () => abort.abort() }
+  }
+
+  test('streams the events of a room', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const events = await stream(roomId, token)
+    assert.equal(events.status, 200)
+
+    const client = await connect(`${server.url}/${roomId}?token=${encodeURIComponent(token)}`)
+    client.doc.getMap('elements').set('a', element('a'))
+    await until(() => events.received().includes('event: elements.added'), 'the event')
+    client.close()
+    events.close()
+  })
+
+  test('refuses more streams from one address than allowed', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const first = await stream(roomId, token)
+    const second = await stream(roomId, token)
+    assert.equal((await stream(roomId, token)).status, 429)
+
+    // Other rooms have streams of their own
+    const other = await createRoom(server.url)
+    const elsewhere = await stream(other.roomId, other.token)
+    assert.equal(elsewhere.status, 200)
+
+    // Closing a stream makes room for another, once the server has noticed
+    first.close()
+    let next = await stream(roomId, token)
+    for (let attempt = 0; next.status === 429 && attempt < 50; attempt++) {
+      await delay(100)
+      next = await stream(roomId, token)
+    }
+    assert.equal(next.status, 200)
+    ;[second, elsewhere, next].forEach((events) => events.close())
+  })
+})
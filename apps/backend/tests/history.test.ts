@@ -0,0 +1,125 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import * as Y from 'yjs'
+import { FileVersionStore, readVersion, restoreVersion } from '../history.js'
+import { connect, createRoom, startServer, until } from './server.js'
+
+const element = (id: string, version: number, x = 0) => ({ id, type: 'rectangle', version, versionNonce: version, x })
+
+const dirs: string[] = []
+after(() => Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))))
+
+describe('FileVersionStore', () => {
+  const store = async (maxAuto?: number) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'easyboard-test-'))
+    dirs.push(dir)
+    return new FileVersionStore(dir, maxAuto)
+  }
+
+  test('lists versions newest first and loads them', async () => {
+    const versions = await store()
+    const first = await versions.save('room', 'First', false, Uint8Array.of(1))
+    const second = await versions.save('room', 'Second', false, Uint8Array.of(2))
+    assert.deepEqual((await versions.list('room')).map((v) => v.id), [second.id, first.id])
+    assert.deepEqual(await versions.load('room', first.id), Uint8Array.of(1))
+    assert.equal(await versions.load('room', 'not-a-version'), null)
+    assert.equal(await versions.load('other', first.id), null)
+  })
+
+  test('keeps every named version but only the newest automatic ones', async () => {
+    const versions = await store(2)
+    await versions.save('room', 'Named', false, Uint8Array.of(0))
+    for (let i = 1; i <= 3; i++) await versions.save('room', `Auto ${i}`, true, Uint8Array.of(i))
+    assert.deepEqual((await versions.list('room')).map((v) => v.name), ['Auto 3', 'Auto 2', 'Named'])
+  })
+})
+
+describe('readVersion and restoreVersion', () => {
+  // A version with two elements, and a doc that has moved on from it
+  const setup = () => {
+    const doc = new Y.Doc()
+    const elements = doc.getMap<any>('elements')
+    elements.set('a', element('a', 1))
+    elements.set('b', element('b', 1))
+    const version = Y.encodeStateAsUpdate(doc)
+    elements.set('a', element('a', 5, 100))
+    elements.delete('b')
+    elements.set('c', element('c', 1))
+    return { doc, elements, version }
+  }
+
+  test('readVersion returns the elements of a version', () => {
+    const { version } = setup()
+    assert.deepEqual(readVersion(version).elements, [element('a', 1), element('b', 1)])
+  })
+
+  test('restores as one new update, with versions above what clients have seen', () => {
+    const { doc, elements, version } = setup()
+    const updates: unknown[] = []
+    doc.on('update', (_: Uint8Array, origin: unknown) => updates.push(origin))
+    restoreVersion(doc, version, 'restore')
+
+    assert.deepEqual(updates, ['restore'])
+    assert.deepEqual(Array.from(elements.keys()).sort(), ['a', 'b'])
+    assert.equal(elements.get('a').x, 0)
+    assert.equal(elements.get('a').version, 6)
+    assert.equal(elements.get('b').version, 2)
+  })
+
+  test('leaves elements that already match alone', () => {
+    const doc = new Y.Doc()
+    doc.getMap<any>('elements').set('a', element('a', 1))
+    const version = Y.encodeStateAsUpdate(doc)
+    const updates: Uint8Array[] = []
+    doc.on('update', (update: Uint8Array) => updates.push(update))
+    restoreVersion(doc, version, 'restore')
+    assert.equal(updates.length, 0)
+  })
+})
+
+describe('restoring on the server', () => {
+  let server: Awaited<ReturnType<typeof startServer>>
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.stop())
+
+  test('connected clients converge on the restored version', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const api = (route: string, method = 'GET', body?: object) =>
+      fetch(`${server.url}/rooms/${roomId}${route}?token=${encodeURIComponent(token)}`, {
+        method,
+        body: body && JSON.stringify(body),
+      })
+    const url = `${server.url}/${roomId}?token=${encodeURIComponent(token)}`
+    const editor = await connect(url)
+    const other = await connect(url)
+    const elements = editor.doc.getMap<any>('elements')
+    elements.set('a', element('a', 1))
+    await editor.sync()
+
+    const saved = await (await api('/versions', 'POST', { name: 'Before the mess' })).json()
+    elements.set('a', element('a', 2, 50))
+    elements.set('b', element('b', 1))
+    await editor.sync()
+
+    assert.equal((await api(`/versions/${saved.id}/restore`, 'POST')).status, 200)
+    for (const client of [editor, other]) {
+      const restored = client.doc.getMap<any>('elements')
+      await until(() => !restored.has('b'), 'the restore')
+      assert.equal(restored.get('a').x, 0)
+      assert.ok(restored.get('a').version > 2)
+    }
+
+    // The state it replaced was kept, so the restore can be undone too
+    const names = (await (await api('/versions')).json()).map((v: { name: string }) => v.name)
+    assert.deepEqual(names, ['Before restore', 'Before the mess'])
+    editor.close()
+    other.close()
+  })
+})
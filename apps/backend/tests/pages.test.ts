@@ -0,0 +1,113 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as Y from 'yjs'
+import { ElementCounter, countElements, listPages, pageElements } from '../pages.js'
+import { readSceneElements } from '../scene-export.js'
+import { connect, createRoom, startServer } from './server.js'
+
+const element = (id: string, index: string, isDeleted = false) => ({ id, type: 'rectangle', index, isDeleted })
+
+// Adds a page the way the frontend does: the page entry and its elements map in one transaction,
+// writing out the implicit first page if this is the first change to the list
+const addPage = (doc: Y.Doc, id: string, name: string, index: string, elements: ReturnType<typeof element>[] = []) =>
+  doc.transact(() => {
+    const pages = doc.getMap('pages')
+    if (pages.size === 0) pages.set('main', { name: 'Page 1', index: 'a0' })
+    const map = new Y.Map<any>()
+    doc.getMap<Y.Map<any>>('pageElements').set(id, map)
+    elements.forEach((el) => map.set(el.id, el))
+    pages.set(id, { name, index })
+  })
+
+describe('listPages', () => {
+  test('a board without page entries has one page', () => {
+    assert.deepEqual(listPages(new Y.Doc()), [{ id: 'main', name: 'Page 1', index: 'a0' }])
+  })
+
+  test('lists pages in index order', () => {
+    const doc = new Y.Doc()
+    doc.getMap('pages').set('main', { name: 'Intro', index: 'a1' })
+    addPage(doc, 'p2', 'First', 'a0')
+    addPage(doc, 'p3', 'Last', 'a2')
+    assert.deepEqual(listPages(doc).map((page) => page.name), ['First', 'Intro', 'Last'])
+  })
+
+  test('leaves out pages whose elements have not arrived', () => {
+    const doc = new Y.Doc()
+    doc.getMap('pages').set('main', { name: 'Page 1', index: 'a0' })
+    doc.getMap('pages').set('p2', { name: 'Page 2', index: 'a1' })
+    assert.deepEqual(listPages(doc).map((page) => page.id), ['main'])
+
+    doc.getMap<Y.Map<any>>('pageElements').set('p2', new Y.Map())
+    assert.deepEqual(listPages(doc).map((page) => page.id), ['main', 'p2'])
+  })
+})
+
+describe('page elements', () => {
+  test('each page exports its own elements, in stacking order', () => {
+    const doc = new Y.Doc()
+    doc.getMap('elements').set('a', element('a', 'a0'))
+    addPage(doc, 'p2', 'Page 2', 'a1', [element('c', 'a1'), element('b', 'a0'), element('gone', 'a2', true)])
+
+    assert.deepEqual(readSceneElements(doc, 'main').map((el) => el.id), ['a'])
+    assert.deepEqual(readSceneElements(doc, 'p2').map((el) => el.id), ['b', 'c'])
+    assert.equal(pageElements(doc, 'missing'), undefined)
+    assert.deepEqual(readSceneElements(doc, 'missing'), [])
+  })
+
+  test('elements are counted on every page', () => {
+    const doc = new Y.Doc()
+    const counter = new ElementCounter(doc)
+    doc.getMap('elements').set('a', element('a', 'a0'))
+    // A page created together with its elements
+    addPage(doc, 'p2', 'Page 2', 'a1', [element('b', 'a0'), element('c', 'a1', true)])
+    assert.equal(counter.total, 2)
+
+    pageElements(doc, 'p2')!.set('d', element('d', 'a2'))
+    assert.equal(counter.total, 3)
+    assert.equal(countElements(doc), 3)
+
+    doc.getMap<Y.Map<any>>('pageElements').delete('p2')
+    assert.equal(counter.total, 1)
+    assert.equal(countElements(doc), 1)
+  })
+
+  test('elements on pages are counted in updates applied from elsewhere', () => {
+    const source = new Y.Doc()
+    source.getMap('elements').set('a', element('a', 'a0'))
+    addPage(source, 'p2', 'Page 2', 'a1', [element('b', 'a0')])
+
+    const doc = new Y.Doc()
+    const counter = new ElementCounter(doc)
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(source))
+    assert.equal(counter.total, 2)
+  })
+})
+
+describe('page exports on the server', () => {
+  let server: Awaited<ReturnType<typeof startServer>>
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.stop())
+
+  test('exports the page asked for, and the first page by default', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const client = await connect(`${server.url}/${roomId}?token=${encodeURIComponent(token)}`)
+    client.doc.getMap('elements').set('a', element('a', 'a0'))
+    addPage(client.doc, 'p2', 'Page 2', 'a1', [element('b', 'a0')])
+    await client.sync()
+
+    const scene = async (page?: string) => {
+      const query = page === undefined ? '' : `&page=${page}`
+      const response = await fetch(`${server.url}/rooms/${roomId}/scene.json?token=${encodeURIComponent(token)}${query}`)
+      return response.ok ? (await response.json()).elements.map((el: { id: string }) => el.id) : response.status
+    }
+    assert.deepEqual(await scene(), ['a'])
+    assert.deepEqual(await scene('p2'), ['b'])
+    assert.equal(await scene('missing'), 404)
+    client.close()
+  })
+})
@@ -0,0 +1,165 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawnSync } from 'child_process'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import * as Y from 'yjs'
+import { FilePersistence, KeyedQueue } from '../persistence.js'
+import { FsFileStore } from '../files.js'
+
+const dirs: string[] = []
+const tempDir = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'easyboard-test-'))
+  dirs.push(dir)
+  return dir
+}
+after(() => Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))))
+
+const delay = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// A doc rebuilt from what a backend returns
+const replay = (updates: Uint8Array[]) => {
+  const doc = new Y.Doc()
+  updates.forEach((update) => Y.applyUpdate(doc, update))
+  return doc
+}
+
+test('KeyedQueue runs the tasks of one key in order', async () => {
+  const queue = new KeyedQueue()
+  const order: string[] = []
+  await Promise.all([
+    queue.run('room', async () => {
+      await delay(20)
+      order.push('slow')
+    }),
+    queue.run('room', async () => {
+      order.push('fast')
+    }),
+  ])
+  assert.deepEqual(order, ['slow', 'fast'])
+})
+
+test('KeyedQueue runs different keys side by side', async () => {
+  const queue = new KeyedQueue()
+  const order: string[] = []
+  await Promise.all([
+    queue.run('a', async () => {
+      await delay(20)
+      order.push('a')
+    }),
+    queue.run('b', async () => {
+      order.push('b')
+    }),
+  ])
+  assert.deepEqual(order, ['b', 'a'])
+})
+
+test('KeyedQueue keeps going after a failed task', async () => {
+  const queue = new KeyedQueue()
+  const failed = queue.run('room', async () => {
+    throw new Error('boom')
+  })
+  const next = queue.run('room', async () => 'ran')
+  await assert.rejects(failed, /boom/)
+  assert.equal(await next, 'ran')
+})
+
+test('FilePersistence reloads the stored updates', async () => {
+  const persistence = new FilePersistence(await tempDir())
+  const doc = new Y.Doc()
+  doc.on('update', (update: Uint8Array) => persistence.storeUpdate('room', update))
+  doc.getMap('elements').set('a', { id: 'a', version: 1 })
+  doc.getMap('elements').set('b', { id: 'b', version: 1 })
+
+  const loaded = replay(await persistence.loadUpdates('room'))
+  assert.deepEqual(loaded.getMap('elements').toJSON(), doc.getMap('elements').toJSON())
+  assert.deepEqual(await new FilePersistence(persistence.dir).loadUpdates('other'), [])
+})
+
+test('FilePersistence loads the snapshot followed by the updates stored after it', async () => {
+  const persistence = new FilePersistence(await tempDir())
+  const doc = new Y.Doc()
+  doc.on('update', (update: Uint8Array) => persistence.storeUpdate('room', update))
+  doc.getMap('elements').set('a', { id: 'a', version: 1 })
+  // Queued behind the update above, so the snapshot replaces it
+  const compacted = persistence.compact('room', Y.encodeStateAsUpdate(doc))
+  doc.getMap('elements').set('b', { id: 'b', version: 1 })
+  await compacted
+
+  const updates = await persistence.loadUpdates('room')
+  assert.equal(updates.length, 2)
+  assert.deepEqual(Object.keys(replay(updates).getMap('elements').toJSON()).sort(), ['a', 'b'])
+})
+
+test('FilePersistence ignores a truncated final record', async () => {
+  const persistence = new FilePersistence(await tempDir())
+  const doc = new Y.Doc()
+  doc.on('update', (update: Uint8Array) => persistence.storeUpdate('room', update))
+  doc.getMap('elements').set('a', { id: 'a', version: 1 })
+  await persistence.loadUpdates('room')
+
+  // A crash in the middle of appending the next record
+  await fs.appendFile(path.join(persistence.dir, 'room.log'), Uint8Array.of(200, 1, 2))
+  const loaded = replay(await persistence.loadUpdates('room'))
+  assert.deepEqual(Object.keys(loaded.getMap('elements').toJSON()), ['a'])
+})
+
+test('FilePersistence lists and deletes rooms', async () => {
+  const persistence = new FilePersistence(await tempDir())
+  await persistence.storeUpdate('room/with slash', Y.encodeStateAsUpdate(new Y.Doc()))
+  await persistence.compact('other', Y.encodeStateAsUpdate(new Y.Doc()))
+
+  const names = (await persistence.listRooms()).map((room) => room.name).sort()
+  assert.deepEqual(names, ['other', 'room/with slash'])
+
+  await persistence.deleteRoom('room/with slash')
+  assert.deepEqual((await persistence.listRooms()).map((room) => room.name), ['other'])
+  assert.deepEqual(await persistence.loadUpdates('room/with slash'), [])
+})
+
+test('FilePersistence refuses a directory another process holds', async () => {
+  const dir = await tempDir()
+  const lock = (owner: { host: string; pid: number }) => fs.writeFile(path.join(dir, '.lock'), JSON.stringify(owner))
+
+  // Our parent process is running, so its lock is live
+  await lock({ host: os.hostname(), pid: process.ppid })
+  await assert.rejects(new FilePersistence(dir).open(), /in use by process/)
+
+  // Whether a process on another host is running can't be checked
+  await lock({ host: 'elsewhere', pid: process.pid })
+  await assert.rejects(new FilePersistence(dir).open(), /in use by process/)
+})
+
+test('FilePersistence takes over the lock of a process that has exited', async () => {
+  const dir = await tempDir()
+  const exited = spawnSync(process.execPath, ['-e', '']).pid!
+  await fs.writeFile(path.join(dir, '.lock'), JSON.stringify({ host: os.hostname(), pid: exited }))
+
+  await new FilePersistence(dir).open()
+  const holder = JSON.parse(await fs.readFile(path.join(dir, '.lock'), 'utf8'))
+  assert.equal(holder.pid, process.pid)
+  assert.deepEqual(await new FilePersistence(dir).listRooms(), [])
+})
+
+test('FsFileStore keeps files per room', async () => {
+  const store = new FsFileStore(await tempDir())
+  const file = { mimeType: 'image/png', data: Uint8Array.of(1, 2, 3) }
+  await store.put('room', 'image', file)
+
+  assert.deepEqual(await store.get('room', 'image'), file)
+  assert.equal(await store.get('other', 'image'), null)
+  assert.deepEqual(await store.list('room'), ['image'])
+
+  await store.deleteRoom('room')
+  assert.equal(await store.get('room', 'image'), null)
+  assert.deepEqual(await store.list('room'), [])
+})
+
+test('FsFileStore replaces a file uploaded again', async () => {
+  const store = new FsFileStore(await tempDir())
+  await store.put('room', 'image', { mimeType: 'image/png', data: Uint8Array.of(1, 2, 3) })
+  await store.put('room', 'image', { mimeType: 'image/jpeg', data: Uint8Array.of(4, 5) })
+  assert.deepEqual(await store.get('room', 'image'), { mimeType: 'image/jpeg', data: Uint8Array.of(4, 5) })
+  assert.deepEqual(await store.list('room'), ['image'])
+})
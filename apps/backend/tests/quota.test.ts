@@ -0,0 +1,113 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as Y from 'yjs'
+import * as decoding from 'lib0/decoding'
+import { ElementCounter, countElements } from '../pages.js'
+import { connect, createRoom, startServer, until } from './server.js'
+
+const element = (id: string, isDeleted = false) => ({ id, type: 'rectangle', isDeleted })
+
+describe('ElementCounter', () => {
+  test('counts the elements that are not deleted', () => {
+    const doc = new Y.Doc()
+    const counter = new ElementCounter(doc)
+    const elements = doc.getMap('elements')
+    elements.set('a', element('a'))
+    elements.set('b', element('b'))
+    assert.equal(counter.total, 2)
+
+    // Excalidraw deletes by writing a tombstone, and restores the same way
+    elements.set('a', element('a', true))
+    assert.equal(counter.total, 1)
+    elements.set('a', element('a'))
+    elements.delete('b')
+    assert.equal(counter.total, 1)
+    assert.equal(countElements(doc), 1)
+  })
+
+  test('counts updates applied from elsewhere', () => {
+    const source = new Y.Doc()
+    source.getMap('elements').set('a', element('a'))
+    source.getMap('elements').set('b', element('b', true))
+
+    const doc = new Y.Doc()
+    const counter = new ElementCounter(doc)
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(source))
+    assert.equal(counter.total, 1)
+  })
+})
+
+// --- Refusal, against a running server ---------------------------------------
+
+const maxElements = 3
+const maxDocBytes = 20_000
+const messageQuotaExceeded = 11
+
+describe('quota refusal', () => {
+  let server: Awaited<ReturnType<typeof startServer>>
+
+  before(async () => {
+    server = await startServer({ MAX_ELEMENTS: String(maxElements), MAX_DOC_BYTES: String(maxDocBytes) })
+  })
+
+  after(() => server.stop())
+
+  // A client that collects the quotas it's told about
+  const connectCollecting = async (url: string) => {
+    const quotas: string[] = []
+    const client = await connect(url, (type, decoder) => {
+      if (type === messageQuotaExceeded) quotas.push(decoding.readVarString(decoder))
+    })
+    return { ...client, quotas }
+  }
+
+  const openRoom = async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const url = `${server.url}/${roomId}?token=${encodeURIComponent(token)}`
+    return { writer: await connectCollecting(url), peer: await connectCollecting(url) }
+  }
+
+  test('undoes an update that goes over the element quota', async () => {
+    const { writer, peer } = await openRoom()
+    const elements = writer.doc.getMap('elements')
+    elements.set('a', element('a'))
+    elements.set('b', element('b'))
+    await until(() => peer.doc.getMap('elements').size === 2, 'the accepted elements')
+
+    writer.doc.transact(() => {
+      elements.set('c', element('c'))
+      elements.set('d', element('d'))
+    })
+    await until(() => writer.quotas.length > 0, 'the refusal')
+    assert.deepEqual(writer.quotas, ['elements'])
+    await until(() => !elements.has('c'), 'the undo')
+    assert.deepEqual(Array.from(elements.keys()).sort(), ['a', 'b'])
+
+    // Deleted elements don't count, so deleting one makes room again
+    elements.set('a', element('a', true))
+    elements.set('c', element('c'))
+    elements.set('d', element('d'))
+    await until(() => peer.doc.getMap('elements').size === 4, 'the elements added after deleting one')
+    assert.deepEqual(writer.quotas, ['elements'])
+    assert.deepEqual(Array.from(peer.doc.getMap('elements').keys()).sort(), ['a', 'b', 'c', 'd'])
+    writer.close()
+    peer.close()
+  })
+
+  test('undoes an update that goes over the size quota', async () => {
+    const { writer, peer } = await openRoom()
+    writer.doc.getMap('elements').set('a', element('a'))
+    writer.doc.getMap('meta').set('big', 'x'.repeat(maxDocBytes))
+    await until(() => writer.quotas.length > 0, 'the refusal')
+    assert.deepEqual(writer.quotas, ['doc_size'])
+    await until(() => !writer.doc.getMap('meta').has('big'), 'the undo')
+
+    // The room keeps working for updates that fit
+    writer.doc.getMap('elements').set('b', element('b'))
+    await until(() => peer.doc.getMap('elements').has('b'), 'a later update')
+    assert.equal(peer.doc.getMap('meta').has('big'), false)
+    assert.deepEqual(writer.quotas, ['doc_size'])
+    writer.close()
+    peer.close()
+  })
+})
@@ -0,0 +1,92 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { renderSvg, toExcalidrawScene } from '../scene-export.js'
+import { connect, createRoom, startServer } from './server.js'
+
+const text = (id: string, value: string, extra: Record<string, unknown> = {}) => ({
+  id,
+  type: 'text',
+  x: 0,
+  y: 0,
+  width: 100,
+  height: 25,
+  text: value,
+  ...extra,
+})
+
+describe('renderSvg', () => {
+  test('escapes text', () => {
+    const svg = renderSvg([text('a', `<script>alert("&'")</script>`)], {})
+    assert.equal(svg.includes('<script'), false)
+    assert.ok(svg.includes('&#60;script&#62;alert(&#34;&#38;&#39;&#34;)&#60;/script&#62;'))
+  })
+
+  test('escapes attributes', () => {
+    const svg = renderSvg([text('a', 'hi', { strokeColor: '"/><script>alert(1)</script><x a="' })], {})
+    assert.equal(svg.includes('<script'), false)
+    assert.ok(svg.includes('fill="&#34;/&#62;&#60;script&#62;'))
+  })
+
+  test('writes one line per line of text', () => {
+    const svg = renderSvg([text('a', 'one\ntwo')], {})
+    assert.equal(svg.match(/<tspan/g)?.length, 2)
+  })
+
+  test('leaves out the background when transparent', () => {
+    assert.ok(renderSvg([text('a', 'hi')], {}).includes('fill="#ffffff"'))
+    assert.equal(renderSvg([text('a', 'hi')], {}, null).includes('fill="#ffffff"'), false)
+  })
+})
+
+describe('toExcalidrawScene', () => {
+  test('wraps the elements in a scene file', () => {
+    const scene = toExcalidrawScene([text('a', 'hi')], {})
+    assert.equal(scene.type, 'excalidraw')
+    assert.deepEqual(scene.elements.map(({ id }) => id), ['a'])
+  })
+})
+
+describe('export routes', () => {
+  let server: Awaited<ReturnType<typeof startServer>>
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.stop())
+
+  test('answer a matching If-None-Match with 304 until the board changes', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const client = await connect(`${server.url}/${roomId}?token=${encodeURIComponent(token)}`)
+    client.doc.getMap('elements').set('a', text('a', '<b>'))
+    await client.sync()
+
+    for (const route of ['scene.json', 'image.svg']) {
+      const url = `${server.url}/rooms/${roomId}/${route}?token=${encodeURIComponent(token)}`
+      const first = await fetch(url)
+      assert.equal(first.status, 200)
+      const etag = first.headers.get('etag')!
+      assert.ok(etag)
+      assert.equal(first.headers.get('cache-control'), 'private, no-cache')
+
+      const cached = await fetch(url, { headers: { 'If-None-Match': etag } })
+      assert.equal(cached.status, 304)
+      assert.equal(cached.headers.get('etag'), etag)
+      assert.equal((await fetch(url, { headers: { 'If-None-Match': `W/${etag}` } })).status, 304)
+
+      // Each background has a tag of its own
+      assert.notEqual((await fetch(`${url}&background=transparent`)).headers.get('etag'), etag)
+    }
+
+    const url = `${server.url}/rooms/${roomId}/image.svg?token=${encodeURIComponent(token)}`
+    const previous = await fetch(url)
+    assert.equal((await previous.text()).includes('<b>'), false)
+    client.doc.getMap('elements').set('b', text('b', 'more'))
+    await client.sync()
+    const changed = await fetch(url, { headers: { 'If-None-Match': previous.headers.get('etag')! } })
+    assert.equal(changed.status, 200)
+    assert.notEqual(changed.headers.get('etag'), previous.headers.get('etag'))
+    assert.ok((await changed.text()).includes('more'))
+    client.close()
+  })
+})
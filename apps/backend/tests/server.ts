@@ -0,0 +1,112 @@
+import { spawn } from 'child_process'
+import fs from 'fs/promises'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import WebSocket from 'ws'
+import * as Y from 'yjs'
+import * as syncProtocol from 'y-protocols/sync'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+
+export const shareSecret = 'test-secret'
+
+const messageSync = 0
+
+const freePort = () =>
+  new Promise<number>((resolve, reject) => {
+    const server = net.createServer()
+    server.on('error', reject)
+    server.listen(0, () => {
+      const { port } = server.address() as net.AddressInfo
+      server.close(() => resolve(port))
+    })
+  })
+
+export const until = async (condition: () => boolean, what: string, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`)
+    await new Promise((resolve) => setTimeout(resolve, 20))
+  }
+}
+
+/**
+ * Runs raw-server.ts on a free port, with a persistence directory of its own,
+ * and resolves once it is listening.
+ */
+export const startServer = async (env: Record<string, string> = {}) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'easyboard-test-'))
+  const port = await freePort()
+  const server = spawn(process.execPath, ['--import', 'tsx', 'raw-server.ts'], {
+    cwd: path.join(import.meta.dirname, '..'),
+    env: { ...process.env, PORT: String(port), PERSISTENCE_DIR: dir, SHARE_SECRET: shareSecret, ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  })
+  const exited = new Promise((resolve) => server.once('exit', resolve))
+  await new Promise<void>((resolve, reject) => {
+    server.once('exit', (code) => reject(new Error(`Server exited (${code})`)))
+    server.stdout!.on('data', (data: Buffer) => {
+      if (data.toString().includes('Raw Server running')) resolve()
+    })
+  })
+  return {
+    url: `http://localhost:${port}`,
+    stop: async () => {
+      server.kill()
+      await exited
+      await fs.rm(dir, { recursive: true, force: true })
+    },
+  }
+}
+
+/**
+ * A minimal client: syncs a doc with the room at `url` (an http:// URL with
+ * the room and token) and hands every other message to `onMessage`.
+ */
+export const connect = async (url: string, onMessage: (type: number, decoder: decoding.Decoder) => void = () => {}) => {
+  const doc = new Y.Doc()
+  const ws = new WebSocket(url.replace('http', 'ws'))
+  ws.binaryType = 'arraybuffer'
+  let step2s = 0
+  const send = (write: (encoder: encoding.Encoder) => void) => {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageSync)
+    write(encoder)
+    ws.send(encoding.toUint8Array(encoder))
+  }
+  ws.on('message', (data) => {
+    const decoder = decoding.createDecoder(new Uint8Array(data as ArrayBuffer))
+    const type = decoding.readVarUint(decoder)
+    if (type !== messageSync) {
+      onMessage(type, decoder)
+      return
+    }
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageSync)
+    const syncType = syncProtocol.readSyncMessage(decoder, encoder, doc, ws)
+    if (syncType === syncProtocol.messageYjsSyncStep2) step2s++
+    if (encoding.length(encoder) > 1) ws.send(encoding.toUint8Array(encoder))
+  })
+  doc.on('update', (update: Uint8Array, origin: unknown) => {
+    if (origin !== ws) send((encoder) => syncProtocol.writeUpdate(encoder, update))
+  })
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve)
+    ws.once('error', reject)
+  })
+  // The server answers in order, so once it has, it has also handled everything sent before
+  const sync = async () => {
+    const answered = step2s
+    send((encoder) => syncProtocol.writeSyncStep1(encoder, doc))
+    await until(() => step2s > answered, 'a sync')
+  }
+  await sync()
+  return { doc, ws, sync, close: () => ws.close() }
+}
+
+// Creates a room and returns its edit token
+export const createRoom = async (url: string) => {
+  const response = await fetch(`${url}/rooms`, { method: 'POST' })
+  return (await response.json()) as { roomId: string; token: string }
+}
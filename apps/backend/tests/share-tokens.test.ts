@@ -0,0 +1,76 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createToken, verifyToken } from '../share-tokens.js'
+import { connect, createRoom, shareSecret, startServer, until } from './server.js'
+
+describe('share tokens', () => {
+  test('verify returns the role a token was created with', () => {
+    assert.equal(verifyToken('secret', 'room', createToken('secret', 'room', 'view')), 'view')
+    assert.equal(verifyToken('secret', 'room', createToken('secret', 'room', 'edit')), 'edit')
+  })
+
+  test('a tampered token is refused', () => {
+    const view = createToken('secret', 'room', 'view')
+    const [, sig] = view.split('.')
+    assert.equal(verifyToken('secret', 'room', `edit.${sig}`), null)
+    assert.equal(verifyToken('secret', 'room', `view.${sig.slice(0, -1)}${sig.endsWith('A') ? 'B' : 'A'}`), null)
+    assert.equal(verifyToken('secret', 'room', 'view.'), null)
+    assert.equal(verifyToken('secret', 'room', 'admin'), null)
+    assert.equal(verifyToken('secret', 'room', null), null)
+  })
+
+  test('a token only opens the room it was created for', () => {
+    assert.equal(verifyToken('secret', 'other', createToken('secret', 'room', 'edit')), null)
+  })
+
+  test('tokens from before the secret was rotated are refused', () => {
+    // Tokens don't expire; rotating SHARE_SECRET is what revokes them
+    assert.equal(verifyToken('rotated', 'room', createToken('secret', 'room', 'edit')), null)
+  })
+})
+
+describe('share tokens on the server', () => {
+  let server: Awaited<ReturnType<typeof startServer>>
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(() => server.stop())
+
+  test('refuses connections without a valid token', async () => {
+    const { roomId } = await createRoom(server.url)
+    await assert.rejects(connect(`${server.url}/${roomId}`), /401/)
+    await assert.rejects(connect(`${server.url}/${roomId}?token=edit.forged`), /401/)
+  })
+
+  test('hands out view links to viewers, and edit links only to editors', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const links = await (await fetch(`${server.url}/rooms/${roomId}/links?token=${encodeURIComponent(token)}`)).json()
+    assert.equal(verifyToken(shareSecret, roomId, links.view), 'view')
+    assert.equal(verifyToken(shareSecret, roomId, links.edit), 'edit')
+
+    const viewerLinks = await (await fetch(`${server.url}/rooms/${roomId}/links?token=${encodeURIComponent(links.view)}`)).json()
+    assert.equal(viewerLinks.edit, null)
+    assert.equal((await fetch(`${server.url}/rooms/${roomId}/links?token=view.forged`)).status, 403)
+  })
+
+  test('drops edits made with a view token', async () => {
+    const { roomId, token } = await createRoom(server.url)
+    const viewToken = createToken(shareSecret, roomId, 'view')
+    const editor = await connect(`${server.url}/${roomId}?token=${encodeURIComponent(token)}`)
+    const viewer = await connect(`${server.url}/${roomId}?token=${encodeURIComponent(viewToken)}`)
+
+    viewer.doc.getMap('elements').set('v', { id: 'v' })
+    editor.doc.getMap('elements').set('e', { id: 'e' })
+    await viewer.sync()
+    await editor.sync()
+
+    // Viewers still receive everyone else's edits
+    await until(() => viewer.doc.getMap('elements').has('e'), "the editor's edit")
+    const late = await connect(`${server.url}/${roomId}?token=${encodeURIComponent(token)}`)
+    assert.deepEqual(Array.from(late.doc.getMap('elements').keys()), ['e'])
+    assert.equal(editor.doc.getMap('elements').has('v'), false)
+    ;[editor, viewer, late].forEach((client) => client.close())
+  })
+})
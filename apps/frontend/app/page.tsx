@@ -1,9 +1,6 @@
-import { redirect } from 'next/navigation'
-import { v4 as uuidv4 } from 'uuid'
-
-// Force dynamic rendering to generate a new UUID on every request
-export const dynamic = 'force-dynamic'
+import Dashboard from '@/components/Dashboard'
 
+// Recent boards are stored in this browser, so the dashboard renders client-side
 export default function Home() {
-  redirect(`/room/${uuidv4()}`)
+  return <Dashboard />
 }
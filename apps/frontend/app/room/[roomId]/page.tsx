@@ -1,7 +1,31 @@
 import Editor from '@/components/Editor'
 import { use } from 'react'
 
-export default function RoomPage({ params }: { params: Promise<{ roomId: string }> }) {
+export default function RoomPage({
+  params,
+  searchParams,
+}: {
+  params: Promise<{ roomId: string }>
+  searchParams: Promise<{ token?: string }>
+}) {
   const { roomId } = use(params)
-  return <Editor roomId={roomId} />
+  const { token } = use(searchParams)
+
+  // Every share link carries a signed token; without one the server refuses the connection
+  if (!token) {
+    return (
+      <div style={{
+        width: '100%',
+        height: '100vh',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: '#f8f9fa',
+      }}>
+        This link is missing its access token. Ask the board owner for a new share link.
+      </div>
+    )
+  }
+
+  return <Editor roomId={roomId} token={token} />
 }
@@ -0,0 +1,106 @@
+'use client'
+
+import { useRef, useState } from 'react'
+import { IMPORT_ACCEPT, type ExportFormat } from '@/lib/import-export'
+
+interface Props {
+  readOnly: boolean
+  onExport: (format: ExportFormat) => void
+  onImport: (file: File) => void
+  onFork: () => void
+}
+
+const MenuIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M5 12h.01M12 12h.01M19 12h.01M6 12a1 1 0 11-2 0 1 1 0 012 0zm7 0a1 1 0 11-2 0 1 1 0 012 0zm7 0a1 1 0 11-2 0 1 1 0 012 0z" />
+  </svg>
+)
+
+const itemStyle = {
+  display: 'block',
+  width: '100%',
+  textAlign: 'left' as const,
+  background: 'none',
+  border: 'none',
+  borderRadius: 6,
+  padding: '6px 10px',
+  cursor: 'pointer',
+  fontSize: 13,
+  color: '#111827',
+  whiteSpace: 'nowrap' as const,
+}
+
+const exportOptions: { format: ExportFormat; label: string }[] = [
+  { format: 'excalidraw', label: 'Export as .excalidraw' },
+  { format: 'png', label: 'Export as PNG' },
+  { format: 'svg', label: 'Export as SVG' },
+]
+
+// Export, import and fork, next to the board title
+export default function BoardMenu({ readOnly, onExport, onImport, onFork }: Props) {
+  const [open, setOpen] = useState(false)
+  const fileInput = useRef<HTMLInputElement>(null)
+
+  const choose = (action: () => void) => {
+    setOpen(false)
+    action()
+  }
+
+  return (
+    <div style={{ position: 'relative', display: 'flex' }}>
+      <button
+        onClick={() => setOpen((isOpen) => !isOpen)}
+        title="Board menu"
+        aria-label="Board menu"
+        aria-expanded={open}
+        style={{ display: 'flex', background: 'none', border: 'none', cursor: 'pointer', color: '#6b7280', padding: 2 }}
+      >
+        <MenuIcon />
+      </button>
+
+      {open && (
+        <div
+          role="menu"
+          style={{
+            position: 'absolute',
+            top: 'calc(100% + 12px)',
+            left: -8,
+            background: 'white',
+            padding: 4,
+            borderRadius: 8,
+            boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+            zIndex: 1001,
+          }}
+        >
+          {exportOptions.map(({ format, label }) => (
+            <button key={format} role="menuitem" onClick={() => choose(() => onExport(format))} style={itemStyle}>
+              {label}
+            </button>
+          ))}
+          {!readOnly && (
+            <button role="menuitem" onClick={() => choose(() => fileInput.current?.click())} style={itemStyle}>
+              Import .excalidraw...
+            </button>
+          )}
+          <div style={{ height: 1, background: '#e5e7eb', margin: '4px 0' }} />
+          <button role="menuitem" onClick={() => choose(onFork)} style={itemStyle}>
+            Fork to new board
+          </button>
+        </div>
+      )}
+
+      <input
+        ref={fileInput}
+        type="file"
+        accept={IMPORT_ACCEPT}
+        hidden
+        onChange={(e) => {
+          const file = e.target.files?.[0]
+          // Reset, so picking the same file again still fires onChange
+          e.target.value = ''
+          if (file) onImport(file)
+        }}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,96 @@
+'use client'
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { sceneCoordsToViewportCoords } from '@excalidraw/excalidraw'
+import type { ExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import type { ExcalidrawImperativeAPI } from '@excalidraw/excalidraw/types'
+import { anchorPosition, type CommentThread } from '@/lib/comments'
+
+interface Props {
+  excalidrawAPI: ExcalidrawImperativeAPI
+  threads: CommentThread[]
+  activeThreadId: string | null
+  onSelect: (threadId: string) => void
+}
+
+interface Marker {
+  thread: CommentThread
+  left: number
+  top: number
+}
+
+const MARKER_SIZE = 26
+
+// Comment markers over the canvas. Positions are recomputed on every scene
+// change (scroll, zoom, element moves) but only re-rendered when they differ.
+export default function CommentMarkers({ excalidrawAPI, threads, activeThreadId, onSelect }: Props) {
+  const [markers, setMarkers] = useState<Marker[]>([])
+  const lastLayout = useRef('')
+
+  const layout = useCallback(() => {
+    const appState = excalidrawAPI.getAppState()
+    const elements = new Map<string, ExcalidrawElement>(
+      excalidrawAPI.getSceneElementsIncludingDeleted().map((el) => [el.id, el])
+    )
+    const next = threads
+      // Resolved threads stay in the panel; their marker only shows while selected
+      .filter((thread) => !thread.resolved || thread.id === activeThreadId)
+      .map((thread) => {
+        const scene = anchorPosition(thread.anchor, elements)
+        const { x, y } = sceneCoordsToViewportCoords({ sceneX: scene.x, sceneY: scene.y }, appState)
+        return { thread, left: Math.round(x), top: Math.round(y) }
+      })
+
+    const key = next.map((m) => `${m.thread.id}:${m.left},${m.top},${m.thread.comments.length}`).join('|')
+    if (key === lastLayout.current) return
+    lastLayout.current = key
+    setMarkers(next)
+  }, [excalidrawAPI, threads, activeThreadId])
+
+  useEffect(() => {
+    // Threads changed: force a re-render even if no marker moved
+    lastLayout.current = ''
+    const frame = requestAnimationFrame(layout)
+    const unsubscribe = excalidrawAPI.onChange(layout)
+    return () => {
+      cancelAnimationFrame(frame)
+      unsubscribe()
+    }
+  }, [excalidrawAPI, layout])
+
+  return (
+    <>
+      {markers.map(({ thread, left, top }) => {
+        const [first] = thread.comments
+        const active = thread.id === activeThreadId
+        return (
+          <button
+            key={thread.id}
+            onClick={() => onSelect(thread.id)}
+            title={`${first.author.name}: ${first.text}`}
+            aria-label={`Comment thread by ${first.author.name}`}
+            style={{
+              position: 'fixed',
+              left: left - MARKER_SIZE / 2,
+              top: top - MARKER_SIZE,
+              width: MARKER_SIZE,
+              height: MARKER_SIZE,
+              borderRadius: '50% 50% 50% 0',
+              background: thread.resolved ? '#9ca3af' : first.author.color,
+              color: 'white',
+              border: '2px solid white',
+              boxShadow: active ? '0 0 0 3px #6366f1' : '0 2px 6px rgba(0,0,0,0.25)',
+              fontSize: 11,
+              fontWeight: 700,
+              cursor: 'pointer',
+              zIndex: active ? 11 : 10,
+              padding: 0,
+            }}
+          >
+            {thread.comments.length}
+          </button>
+        )
+      })}
+    </>
+  )
+}
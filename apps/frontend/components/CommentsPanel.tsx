@@ -0,0 +1,228 @@
+'use client'
+
+import { useState } from 'react'
+import { MAX_COMMENT_LENGTH, threadPage, type Comment, type CommentThread } from '@/lib/comments'
+import type { Page } from '@/lib/pages'
+
+interface Props {
+  // Threads on every page; those on other pages are labelled with their page
+  threads: CommentThread[]
+  pages: Page[]
+  pageId: string
+  activeThreadId: string | null
+  readOnly: boolean
+  // What a new thread will be anchored to, e.g. "the selected element"
+  anchorLabel: string
+  onSelect: (threadId: string | null) => void
+  onCreate: (text: string) => void
+  onReply: (threadId: string, text: string) => void
+  onResolve: (threadId: string, resolved: boolean) => void
+  onClose: () => void
+}
+
+const formatTime = (ms: number) =>
+  new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+const primaryButton = {
+  background: '#6366f1',
+  color: 'white',
+  border: 'none',
+  borderRadius: 6,
+  padding: '6px 10px',
+  cursor: 'pointer',
+  fontWeight: 600,
+}
+
+const linkButton = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  cursor: 'pointer',
+  color: '#6366f1',
+  fontSize: 12,
+  fontWeight: 600,
+}
+
+const textareaStyle = {
+  resize: 'vertical' as const,
+  padding: '6px 8px',
+  border: '1px solid #e5e7eb',
+  borderRadius: 6,
+  fontSize: 13,
+  fontFamily: 'inherit',
+}
+
+function CommentView({ comment }: { comment: Comment }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: 6 }}>
+        <span style={{ fontWeight: 600, color: comment.author.color }}>{comment.author.name}</span>
+        <span style={{ color: '#9ca3af', fontSize: 11 }}>{formatTime(comment.createdAt)}</span>
+      </div>
+      <div style={{ color: '#111827', whiteSpace: 'pre-wrap', overflowWrap: 'anywhere' }}>{comment.text}</div>
+    </div>
+  )
+}
+
+export default function CommentsPanel({
+  threads,
+  pages,
+  pageId,
+  activeThreadId,
+  readOnly,
+  anchorLabel,
+  onSelect,
+  onCreate,
+  onReply,
+  onResolve,
+  onClose,
+}: Props) {
+  const [draft, setDraft] = useState('')
+  const [replyDraft, setReplyDraft] = useState('')
+  const [showResolved, setShowResolved] = useState(false)
+
+  const visible = threads.filter((thread) => showResolved || !thread.resolved || thread.id === activeThreadId)
+  const resolvedCount = threads.filter((thread) => thread.resolved).length
+  const pageName = (thread: CommentThread) => {
+    const page = threadPage(thread)
+    return page === pageId ? null : pages.find((p) => p.id === page)?.name ?? null
+  }
+
+  const create = () => {
+    if (!draft.trim()) return
+    onCreate(draft)
+    setDraft('')
+  }
+
+  const reply = (threadId: string) => {
+    if (!replyDraft.trim()) return
+    onReply(threadId, replyDraft)
+    setReplyDraft('')
+  }
+
+  const select = (threadId: string) => {
+    setReplyDraft('')
+    onSelect(activeThreadId === threadId ? null : threadId)
+  }
+
+  return (
+    <div
+      className="comments-panel"
+      style={{
+        position: 'fixed',
+        width: 300,
+        maxHeight: '70vh',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 8,
+        background: 'white',
+        padding: 12,
+        borderRadius: 12,
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+        zIndex: 1000,
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ fontWeight: 600, color: '#374151' }}>Comments</span>
+        <button onClick={onClose} aria-label="Close comments" style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: 16 }}>
+          ×
+        </button>
+      </div>
+
+      {!readOnly && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) create() }}
+            placeholder={`Comment on ${anchorLabel}`}
+            maxLength={MAX_COMMENT_LENGTH}
+            rows={2}
+            style={textareaStyle}
+          />
+          <button onClick={create} disabled={!draft.trim()} style={{ ...primaryButton, alignSelf: 'flex-end' }}>
+            Comment
+          </button>
+        </div>
+      )}
+
+      <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 4 }}>
+        {visible.length === 0 && (
+          <div style={{ color: '#6b7280' }}>
+            {readOnly ? 'No comments yet' : 'No open comments. Select an element to comment on it.'}
+          </div>
+        )}
+        {visible.map((thread) => {
+          const [first, ...replies] = thread.comments
+          const active = thread.id === activeThreadId
+          const otherPage = pageName(thread)
+          return (
+            <div
+              key={thread.id}
+              style={{
+                padding: '6px 8px',
+                borderRadius: 6,
+                background: active ? '#eef2ff' : 'transparent',
+                opacity: thread.resolved && !active ? 0.6 : 1,
+                display: 'flex',
+                flexDirection: 'column',
+                gap: 6,
+              }}
+            >
+              <button
+                onClick={() => select(thread.id)}
+                style={{ textAlign: 'left', background: 'none', border: 'none', padding: 0, cursor: 'pointer' }}
+              >
+                {otherPage && <div style={{ color: '#6b7280', fontSize: 11, marginBottom: 2 }}>On {otherPage}</div>}
+                <CommentView comment={first} />
+                {!active && replies.length > 0 && (
+                  <div style={{ color: '#6b7280', fontSize: 12, marginTop: 2 }}>
+                    {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+                  </div>
+                )}
+              </button>
+
+              {active && (
+                <>
+                  {replies.map((comment) => (
+                    <div key={comment.id} style={{ paddingLeft: 10, borderLeft: '2px solid #e5e7eb' }}>
+                      <CommentView comment={comment} />
+                    </div>
+                  ))}
+                  {!readOnly && (
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                      <textarea
+                        value={replyDraft}
+                        onChange={(e) => setReplyDraft(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) reply(thread.id) }}
+                        placeholder="Reply"
+                        maxLength={MAX_COMMENT_LENGTH}
+                        rows={2}
+                        style={textareaStyle}
+                      />
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <button onClick={() => onResolve(thread.id, !thread.resolved)} style={linkButton}>
+                          {thread.resolved ? 'Reopen' : 'Resolve'}
+                        </button>
+                        <button onClick={() => reply(thread.id)} disabled={!replyDraft.trim()} style={primaryButton}>
+                          Reply
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {resolvedCount > 0 && (
+        <button onClick={() => setShowResolved((show) => !show)} style={{ ...linkButton, alignSelf: 'flex-start' }}>
+          {showResolved ? 'Hide resolved' : `Show resolved (${resolvedCount})`}
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,217 @@
+'use client'
+
+import { useCallback, useEffect, useRef, useState } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/navigation'
+import { createRoom, roleFromToken, roomPath } from '@/lib/share'
+import { isEncryptedRoom } from '@/lib/e2e'
+import {
+  duplicateRoom,
+  forgetRoom,
+  listRecentRooms,
+  MAX_TITLE_LENGTH,
+  rememberRoom,
+  updateRoomMeta,
+  type RecentRoom,
+} from '@/lib/rooms'
+
+const formatTime = (ms: number) =>
+  new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+const actionStyle = {
+  background: 'none',
+  border: 'none',
+  padding: '2px 4px',
+  cursor: 'pointer',
+  color: '#6366f1',
+  fontSize: 12,
+  fontWeight: 600,
+}
+
+export default function Dashboard() {
+  const router = useRouter()
+  const [rooms, setRooms] = useState<RecentRoom[] | null>(null)
+  const [renaming, setRenaming] = useState<{ roomId: string; title: string } | null>(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [thumbnails, setThumbnails] = useState<Record<string, string>>({})
+  const thumbnailsRef = useRef<Record<string, string>>({})
+
+  // Thumbnails are Blobs in IndexedDB; show them through object URLs, released on reload and unmount
+  const showRooms = useCallback((next: RecentRoom[]) => {
+    Object.values(thumbnailsRef.current).forEach((url) => URL.revokeObjectURL(url))
+    const urls: Record<string, string> = {}
+    next.forEach((room) => {
+      if (room.thumbnail) urls[room.roomId] = URL.createObjectURL(room.thumbnail)
+    })
+    thumbnailsRef.current = urls
+    setThumbnails(urls)
+    setRooms(next)
+  }, [])
+
+  const refresh = useCallback(() => {
+    listRecentRooms()
+      .then(showRooms)
+      .catch(() => showRooms([]))
+  }, [showRooms])
+
+  useEffect(() => {
+    refresh()
+    return () => {
+      Object.values(thumbnailsRef.current).forEach((url) => URL.revokeObjectURL(url))
+      thumbnailsRef.current = {}
+    }
+  }, [refresh])
+
+  // Runs a dashboard action, reporting failures instead of throwing
+  const run = async (action: () => Promise<void>, failure: string) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch {
+      setError(failure)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // The backend generates the room ID and signs the creator's edit token; an encrypted room's key is made here
+  const create = (encrypted: boolean) =>
+    run(async () => {
+      const room = await createRoom({ encrypted })
+      router.push(roomPath(room.roomId, room.token, room.key))
+    }, 'Could not create a board. Is the server running?')
+
+  const rename = (room: RecentRoom, title: string) =>
+    run(async () => {
+      setRenaming(null)
+      const trimmed = title.trim()
+      if (!trimmed || trimmed === room.title) return
+      const meta = await updateRoomMeta(room.roomId, room.token, { title: trimmed })
+      await rememberRoom(room.roomId, room.token, { title: meta.title })
+      refresh()
+    }, 'Could not rename the board')
+
+  const duplicate = (room: RecentRoom) =>
+    run(async () => {
+      const copy = await duplicateRoom(room.roomId, room.token)
+      await rememberRoom(copy.roomId, copy.token, {
+        title: `Copy of ${room.title}`.slice(0, MAX_TITLE_LENGTH),
+        thumbnail: room.thumbnail,
+        key: room.key,
+      })
+      refresh()
+    }, 'Could not duplicate the board')
+
+  const forget = (room: RecentRoom) => {
+    if (!window.confirm(`Remove "${room.title}" from this browser? The board itself stays available to anyone with its link.`)) return
+    run(async () => {
+      await forgetRoom(room.roomId)
+      refresh()
+    }, 'Could not remove the board')
+  }
+
+  return (
+    <main style={{ minHeight: '100vh', background: '#f8f9fa', color: '#111827', padding: '40px 24px' }}>
+      <div style={{ maxWidth: 1000, margin: '0 auto', display: 'flex', flexDirection: 'column', gap: 24 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12 }}>
+          <h1 style={{ fontSize: 24, fontWeight: 700 }}>Your boards</h1>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              onClick={() => create(true)}
+              disabled={busy}
+              title="Only people with the link can read this board; the server stores it encrypted"
+              style={{ background: '#eef2ff', color: '#4338ca', border: 'none', borderRadius: 8, padding: '10px 18px', cursor: 'pointer', fontWeight: 600, fontSize: 14 }}
+            >
+              New encrypted board
+            </button>
+            <button
+              onClick={() => create(false)}
+              disabled={busy}
+              style={{ background: '#6366f1', color: 'white', border: 'none', borderRadius: 8, padding: '10px 18px', cursor: 'pointer', fontWeight: 600, fontSize: 14 }}
+            >
+              New board
+            </button>
+          </div>
+        </div>
+
+        {error && <div style={{ color: '#dc2626' }}>{error}</div>}
+
+        {rooms === null && <div style={{ color: '#6b7280' }}>Loading...</div>}
+        {rooms?.length === 0 && (
+          <div style={{ color: '#6b7280' }}>
+            Boards you create or open in this browser show up here.
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 16 }}>
+          {rooms?.map((room) => {
+            const canEdit = roleFromToken(room.token) === 'edit'
+            const encrypted = isEncryptedRoom(room.roomId)
+            const path = roomPath(room.roomId, room.token, room.key)
+            return (
+              <div
+                key={room.roomId}
+                style={{ background: 'white', borderRadius: 12, boxShadow: '0 1px 4px rgba(0,0,0,0.1)', overflow: 'hidden', display: 'flex', flexDirection: 'column' }}
+              >
+                <Link href={path} style={{ display: 'block', aspectRatio: '4 / 3', background: '#f3f4f6' }}>
+                  {thumbnails[room.roomId] && (
+                    // Local object URL, so next/image has nothing to optimize
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img
+                      src={thumbnails[room.roomId]}
+                      alt=""
+                      style={{ width: '100%', height: '100%', objectFit: 'contain' }}
+                    />
+                  )}
+                </Link>
+
+                <div style={{ padding: '10px 12px', display: 'flex', flexDirection: 'column', gap: 4 }}>
+                  {renaming?.roomId === room.roomId ? (
+                    <input
+                      autoFocus
+                      value={renaming.title}
+                      onChange={(e) => setRenaming({ roomId: room.roomId, title: e.target.value })}
+                      onBlur={() => rename(room, renaming.title)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') e.currentTarget.blur()
+                        if (e.key === 'Escape') setRenaming(null)
+                      }}
+                      maxLength={MAX_TITLE_LENGTH}
+                      aria-label="Board title"
+                      style={{ fontWeight: 600, fontSize: 14, border: '1px solid #e5e7eb', borderRadius: 6, padding: '2px 6px' }}
+                    />
+                  ) : (
+                    <Link href={path} style={{ fontWeight: 600, fontSize: 14, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {room.title}
+                    </Link>
+                  )}
+                  <div style={{ color: '#6b7280', fontSize: 12 }}>
+                    Opened {formatTime(room.openedAt)}
+                    {!canEdit && ' · View only'}
+                    {encrypted && ' · Encrypted'}
+                  </div>
+                  <div style={{ display: 'flex', gap: 4, marginTop: 4, marginLeft: -4 }}>
+                    {/* The server can't rename an encrypted board; rename it from inside */}
+                    {canEdit && !encrypted && (
+                      <button onClick={() => setRenaming({ roomId: room.roomId, title: room.title })} disabled={busy} style={actionStyle}>
+                        Rename
+                      </button>
+                    )}
+                    <button onClick={() => duplicate(room)} disabled={busy} style={actionStyle}>
+                      Duplicate
+                    </button>
+                    <button onClick={() => forget(room)} disabled={busy} style={{ ...actionStyle, color: '#dc2626' }}>
+                      Forget
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </main>
+  )
+}
@@ -18,6 +18,6 @@ const ExcalidrawCanvas = dynamic(() => import('./ExcalidrawCanvas'), {
   )
 })
 
-export default function Editor({ roomId }: { roomId: string }) {
-  return <ExcalidrawCanvas roomId={roomId} />
+export default function Editor({ roomId, token }: { roomId: string; token: string }) {
+  return <ExcalidrawCanvas roomId={roomId} token={token} />
 }
@@ -1,36 +1,163 @@
 'use client'
 
 import { useEffect, useState, useCallback, useRef } from 'react'
-import { Excalidraw } from '@excalidraw/excalidraw'
+import { Excalidraw, Footer, exportToBlob } from '@excalidraw/excalidraw'
 import '@excalidraw/excalidraw/index.css'
+import type { ExcalidrawElement, OrderedExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import type { AppState, BinaryFiles, ExcalidrawImperativeAPI } from '@excalidraw/excalidraw/types'
 import * as Y from 'yjs'
 import { WebsocketProvider } from 'y-websocket'
 import { IndexeddbPersistence } from 'y-indexeddb'
+import SharePanel from './SharePanel'
+import HistoryPanel from './HistoryPanel'
+import UndoRedoButtons from './UndoRedoButtons'
+import RoomTitle from './RoomTitle'
+import CommentsPanel from './CommentsPanel'
+import CommentMarkers from './CommentMarkers'
+import BoardMenu from './BoardMenu'
+import PagesPanel from './PagesPanel'
+import { CLOSE_INVALID_ROOM, CLOSE_ROOM_DELETED, WS_URL, describeClose } from '@/lib/backend'
+import { roleFromToken, roomUrl } from '@/lib/share'
+import {
+  getLocalUser,
+  pageOf,
+  saveUserName,
+  throttle,
+  toCollaborators,
+  type AwarenessState,
+} from '@/lib/collaborators'
+import {
+  LOCAL_ORIGIN,
+  applyRemoteChanges,
+  loadElements,
+  restoredElements,
+  writeLocalChanges,
+  type RestoreMarker,
+  type YElements,
+} from '@/lib/scene-sync'
+import { createFileSync, type YFiles } from '@/lib/files'
+import { createUndoManager, type CollaborativeUndo } from '@/lib/undo'
+import { reconnect, watchConnection, watchQuota, type ConnectionInfo } from '@/lib/connection'
+import { DEFAULT_TITLE, MAX_TITLE_LENGTH, duplicateRoom, readMeta, rememberRoom, type RoomMeta, type YMeta } from '@/lib/rooms'
+import { exportBoard, importBoard, type ExportFormat } from '@/lib/import-export'
+import { encryptedWebSocket, isEncryptedRoom, readRoomKey } from '@/lib/e2e'
+import { createFollowMode, visibleViewport, type FollowMode, type FollowState } from '@/lib/follow'
+import {
+  addReply,
+  anchorAt,
+  anchorPosition,
+  createThread,
+  readThreads,
+  setResolved,
+  threadPage,
+  type CommentThread,
+  type YComments,
+} from '@/lib/comments'
+import {
+  MAIN_PAGE_ID,
+  addPage,
+  deletePage,
+  getPageElements,
+  movePage,
+  observePages,
+  readPageParam,
+  renamePage,
+  writePageParam,
+  type Page,
+} from '@/lib/pages'
 
 interface Props {
   roomId: string
+  token: string
 }
 
-export default function ExcalidrawCanvas({ roomId }: Props) {
-  const [excalidrawAPI, setExcalidrawAPI] = useState<any>(null)
-  const [showCopied, setShowCopied] = useState(false)
+// Refresh the dashboard thumbnail this long after the last change
+const THUMBNAIL_DELAY_MS = 3000
+
+type SavedViewport = Pick<AppState, 'scrollX' | 'scrollY' | 'zoom'>
+
+// Scrolls a comment thread's marker into the middle of the screen
+function scrollToThread(api: ExcalidrawImperativeAPI, thread: CommentThread) {
+  const elements = new Map(api.getSceneElementsIncludingDeleted().map((el) => [el.id, el]))
+  const { x, y } = anchorPosition(thread.anchor, elements)
+  const { width, height, zoom } = api.getAppState()
+  api.updateScene({
+    appState: { scrollX: width / 2 / zoom.value - x, scrollY: height / 2 / zoom.value - y },
+  })
+}
+
+export default function ExcalidrawCanvas({ roomId, token }: Props) {
+  const [excalidrawAPI, setExcalidrawAPI] = useState<ExcalidrawImperativeAPI | null>(null)
+  const role = roleFromToken(token)
+  const encrypted = isEncryptedRoom(roomId)
+  // Encrypted rooms keep their key in the link's fragment, which the server never sees
+  const [roomKey] = useState(() => (encrypted ? readRoomKey(window.location.hash) : null))
+  // The latest encryption or decryption failure of an encrypted room (a new object each time)
+  const [e2eError, setE2EError] = useState<{ message: string } | null>(null)
+  const [user, setUser] = useState(getLocalUser)
+  const [panel, setPanel] = useState<'history' | 'comments' | 'pages' | null>(null)
+  const [undoState, setUndoState] = useState({ canUndo: false, canRedo: false })
+  const [connection, setConnection] = useState<ConnectionInfo>({ status: 'connecting', pending: 0, peers: null })
+  const [meta, setMeta] = useState<RoomMeta>({ title: DEFAULT_TITLE, description: '' })
+  const [follow, setFollow] = useState<FollowState>({ participants: [], following: null, presenting: false })
+  const [threads, setThreads] = useState<CommentThread[]>([])
+  const [activeThreadId, setActiveThreadId] = useState<string | null>(null)
+  const [hasSelection, setHasSelection] = useState(false)
+  const [pages, setPages] = useState<Page[]>([])
+  // The page asked for by the URL or a click; the first page is shown until it exists
+  const [requestedPage, setRequestedPage] = useState(readPageParam)
+  const pageId =
+    requestedPage !== null && pages.some((page) => page.id === requestedPage) ? requestedPage : pages[0]?.id ?? MAIN_PAGE_ID
   const yDocRef = useRef<Y.Doc | null>(null)
-  const yElementsRef = useRef<Y.Map<any> | null>(null)
-  const isLocalChange = useRef(false)
+  const yElementsRef = useRef<YElements | null>(null)
+  const yFilesRef = useRef<YFiles | null>(null)
+  const yMetaRef = useRef<YMeta | null>(null)
+  const yCommentsRef = useRef<YComments | null>(null)
+  const fileSyncRef = useRef<ReturnType<typeof createFileSync> | null>(null)
+  const providerRef = useRef<WebsocketProvider | null>(null)
+  const undoRef = useRef<CollaborativeUndo | null>(null)
+  // Each page has its own undo history, kept while the room is open
+  const undoManagers = useRef(new Map<string, CollaborativeUndo>())
+  // Where we were looking on each page, to come back to it
+  const viewports = useRef(new Map<string, SavedViewport>())
+  const shownPage = useRef<string | null>(null)
+  // A thread selected on another page, scrolled to once that page is shown
+  const pendingThread = useRef<CommentThread | null>(null)
+  const followRef = useRef<FollowMode | null>(null)
+  const sendPointerRef = useRef<((pointer: AwarenessState['pointer'], button: 'up' | 'down') => void) | null>(null)
+  const lastSelection = useRef('')
 
   // Initialize Yjs - runs ONCE per room
   useEffect(() => {
+    // Without its key, an encrypted room can't be read (see the message rendered below)
+    if (isEncryptedRoom(roomId) && !roomKey) return
+
     const yDoc = new Y.Doc()
-    const yElements = yDoc.getMap('elements')
     yDocRef.current = yDoc
-    yElementsRef.current = yElements
+    // Which image files exist in the room; the bytes live in the backend file store
+    yFilesRef.current = yDoc.getMap('files')
+    // Title and description, shared with everyone in the room
+    yMetaRef.current = yDoc.getMap('meta')
+    // Comment threads anchored to elements
+    yCommentsRef.current = yDoc.getMap('comments')
+    // The elements are per page (see lib/pages.ts), bound once the canvas shows a page
+    const undos = undoManagers.current
+    const pageViewports = viewports.current
 
-    // WebSocket Provider
-    const provider = new WebsocketProvider(
-      process.env.NEXT_PUBLIC_WS_URL || 'ws://localhost:1234',
-      roomId,
-      yDoc
-    )
+    // WebSocket Provider - the share token is sent as `?token=` and verified on upgrade.
+    // In encrypted rooms everything it sends is encrypted first (see lib/e2e.ts).
+    const provider = new WebsocketProvider(WS_URL, roomId, yDoc, {
+      params: { token },
+      WebSocketPolyfill: roomKey
+        ? (encryptedWebSocket(yDoc, roomKey, (message) => setE2EError({ message })) as unknown as typeof WebSocket)
+        : undefined,
+    })
+    providerRef.current = provider
+
+    // Pointer moves fire on every mouse event; ~20 updates/s is plenty for smooth cursors
+    sendPointerRef.current = throttle((pointer: AwarenessState['pointer'], button: 'up' | 'down') => {
+      provider.awareness.setLocalState({ ...provider.awareness.getLocalState(), pointer, button })
+    }, 50)
 
     // IndexedDB for offline - MUST store reference for cleanup
     const indexeddbProvider = new IndexeddbPersistence(roomId, yDoc)
@@ -39,89 +166,473 @@ export default function ExcalidrawCanvas({ roomId }: Props) {
       // Cleanup order matters! Destroy providers before Y.Doc
       indexeddbProvider.destroy()
       provider.destroy()
+      undos.forEach((undo) => undo.destroy())
+      undos.clear()
+      pageViewports.clear()
+      shownPage.current = null
       yDoc.destroy()
       yDocRef.current = null
       yElementsRef.current = null
+      yFilesRef.current = null
+      yMetaRef.current = null
+      yCommentsRef.current = null
+      providerRef.current = null
+      undoRef.current = null
+      sendPointerRef.current = null
     }
-  }, [roomId])
+  }, [roomId, token, roomKey])
 
-  // Separate effect for observing remote changes (depends on excalidrawAPI)
+  // Keep the title in sync, and list this room on the dashboard
   useEffect(() => {
-    const yElements = yElementsRef.current
+    const yMeta = yMetaRef.current
+    if (!yMeta) return
+
+    rememberRoom(roomId, token, roomKey ? { openedAt: Date.now(), key: roomKey } : { openedAt: Date.now() }).catch(() => {})
+    const update = () => {
+      const next = readMeta(yMeta)
+      setMeta(next)
+      document.title = `${next.title} · EasyBoard`
+      rememberRoom(roomId, token, { title: next.title }).catch(() => {})
+    }
+    yMeta.observe(update)
+    update()
+    return () => yMeta.unobserve(update)
+  }, [roomId, token, roomKey])
+
+  // Follow the page list. We stay on the page we're on when pages are added or
+  // moved; if it is deleted (by anyone), we move to the page that took its place.
+  useEffect(() => {
+    const yDoc = yDocRef.current
+    if (!yDoc || !excalidrawAPI) return
+
+    let known: Page[] = []
+    return observePages(yDoc, (next) => {
+      const shown = shownPage.current
+      const index = known.findIndex((page) => page.id === shown)
+      const deleted = index !== -1 && !next.some((page) => page.id === shown)
+      setPages(next)
+      if (deleted) {
+        const replacement = next[Math.min(index, next.length - 1)]
+        setRequestedPage(replacement.id)
+        writePageParam(replacement.id)
+        excalidrawAPI.setToast({ message: `"${known[index].name}" was deleted`, closable: true, duration: 4000 })
+      } else if (shown) {
+        setRequestedPage((requested) => requested ?? shown)
+      }
+      known = next
+    })
+  }, [excalidrawAPI])
+
+  // Show the current page: bind its elements and undo history, load it into the
+  // canvas, and tell everyone which page we're on
+  useEffect(() => {
+    const yDoc = yDocRef.current
+    const yElements = yDoc && getPageElements(yDoc, pageId)
     if (!yElements || !excalidrawAPI) return
 
-    // Listen for remote changes only
-    const observer = (event: Y.YMapEvent<any>, transaction: Y.Transaction) => {
-      if (transaction.local) return
-
-      const elements = Array.from(yElements.values())
-      if (elements.length > 0) {
-        isLocalChange.current = true
-        excalidrawAPI.updateScene({ elements })
-        setTimeout(() => {
-          isLocalChange.current = false
-        }, 100)
+    yElementsRef.current = yElements
+    let undo = undoManagers.current.get(pageId)
+    if (!undo) {
+      // Undo/redo only ever reverts edits made in this tab
+      undo = createUndoManager(yElements)
+      undoManagers.current.set(pageId, undo)
+    }
+    undoRef.current = undo
+
+    const previous = shownPage.current
+    shownPage.current = pageId
+    if (previous === null) {
+      // Load whatever is already in the doc
+      applyRemoteChanges(excalidrawAPI, yElements)
+    } else if (previous !== pageId) {
+      const { scrollX, scrollY, zoom } = excalidrawAPI.getAppState()
+      viewports.current.set(previous, { scrollX, scrollY, zoom })
+      loadElements(excalidrawAPI, yElements)
+
+      // Go to the comment picked on this page, to whoever we follow, back to where we were, or to the content
+      const thread = pendingThread.current
+      pendingThread.current = null
+      if (thread && threadPage(thread) === pageId) {
+        scrollToThread(excalidrawAPI, thread)
+      } else if (!followRef.current?.refit()) {
+        const viewport = viewports.current.get(pageId)
+        if (viewport) excalidrawAPI.updateScene({ appState: viewport })
+        else if (excalidrawAPI.getSceneElements().length > 0) excalidrawAPI.scrollToContent()
       }
     }
+    providerRef.current?.awareness.setLocalStateField('page', pageId)
+  }, [excalidrawAPI, pageId])
 
-    yElements.observe(observer)
+  const switchPage = useCallback((id: string) => {
+    setRequestedPage(id)
+    writePageParam(id)
+  }, [])
 
+  // Refresh the dashboard thumbnail (of the page shown) a moment after the board stops changing
+  useEffect(() => {
+    const yElements = yElementsRef.current
+    if (!yElements || !excalidrawAPI) return
+
+    let timer: ReturnType<typeof setTimeout> | undefined
+    const capture = () => {
+      const elements = excalidrawAPI.getSceneElements()
+      if (elements.length === 0) return
+      exportToBlob({
+        elements,
+        appState: { exportBackground: true, viewBackgroundColor: excalidrawAPI.getAppState().viewBackgroundColor },
+        files: excalidrawAPI.getFiles(),
+        mimeType: 'image/png',
+        maxWidthOrHeight: 320,
+      })
+        .then((thumbnail: Blob) => rememberRoom(roomId, token, { thumbnail }))
+        .catch(() => {})
+    }
+    const schedule = () => {
+      clearTimeout(timer)
+      timer = setTimeout(capture, THUMBNAIL_DELAY_MS)
+    }
+    yElements.observe(schedule)
+    schedule()
     return () => {
-      yElements.unobserve(observer)
+      clearTimeout(timer)
+      yElements.unobserve(schedule)
     }
+  }, [excalidrawAPI, roomId, token, pageId])
+
+  const handleMetaChange = useCallback((update: Partial<RoomMeta>) => {
+    const yMeta = yMetaRef.current
+    if (!yMeta) return
+    yMeta.doc?.transact(() => {
+      Object.entries(update).forEach(([key, value]) => yMeta.set(key, value))
+    }, LOCAL_ORIGIN)
+  }, [])
+
+  const handleExport = useCallback((format: ExportFormat) => {
+    if (!excalidrawAPI) return
+    exportBoard(excalidrawAPI, meta.title, format).catch(() => {
+      excalidrawAPI.setToast({ message: 'Could not export the board', closable: true })
+    })
+  }, [excalidrawAPI, meta.title])
+
+  // The imported scene is one local transaction: everyone sees it at once, and one undo removes it
+  const handleImport = useCallback((file: File) => {
+    const yElements = yElementsRef.current
+    if (!yElements || !excalidrawAPI) return
+    importBoard(excalidrawAPI, yElements, file)
+      .then((count) => {
+        excalidrawAPI.setToast({ message: count > 0 ? `Imported ${count} elements` : 'That file has nothing to import', duration: 3000 })
+      })
+      .catch(() => {
+        excalidrawAPI.setToast({ message: 'That file is not an Excalidraw scene', closable: true })
+      })
   }, [excalidrawAPI])
 
-  // Load initial data when API is ready
+  // Copies the board server-side (view links too) and opens the copy with an edit link.
+  // An encrypted board's copy uses the same key.
+  const handleFork = useCallback(() => {
+    duplicateRoom(roomId, token)
+      .then(async (copy) => {
+        const title = `Copy of ${meta.title}`.slice(0, MAX_TITLE_LENGTH)
+        await rememberRoom(copy.roomId, copy.token, roomKey ? { title, key: roomKey } : { title }).catch(() => {})
+        window.location.assign(roomUrl(copy.roomId, copy.token, roomKey))
+      })
+      .catch(() => {
+        excalidrawAPI?.setToast({ message: 'Could not fork the board. Is the server reachable?', closable: true })
+      })
+  }, [roomId, token, roomKey, meta.title, excalidrawAPI])
+
+  // Comment threads, from us and everyone else (including replies written offline)
   useEffect(() => {
-    if (!excalidrawAPI || !yElementsRef.current) return
+    const yComments = yCommentsRef.current
+    if (!yComments) return
 
-    const yElements = yElementsRef.current
-    const elements = Array.from(yElements.values())
-    if (elements.length > 0) {
-      isLocalChange.current = true
-      excalidrawAPI.updateScene({ elements })
-      setTimeout(() => {
-        isLocalChange.current = false
-      }, 100)
+    const update = () => setThreads(readThreads(yComments))
+    yComments.observeDeep(update)
+    update()
+    return () => yComments.unobserveDeep(update)
+  }, [roomId, token])
+
+  // New threads go on the selected element, or the middle of the screen
+  const handleCreateComment = useCallback((text: string) => {
+    const yComments = yCommentsRef.current
+    if (!yComments || !excalidrawAPI) return
+    const appState = excalidrawAPI.getAppState()
+    const selected = excalidrawAPI.getSceneElements().find((el) => appState.selectedElementIds[el.id]) ?? null
+    const viewport = visibleViewport(appState)
+    const anchor = anchorAt(pageId, selected, viewport.x + viewport.width / 2, viewport.y + viewport.height / 2)
+    setActiveThreadId(createThread(yComments, anchor, user, text))
+  }, [excalidrawAPI, user, pageId])
+
+  const handleReply = useCallback((threadId: string, text: string) => {
+    if (yCommentsRef.current) addReply(yCommentsRef.current, threadId, user, text)
+  }, [user])
+
+  const handleResolve = useCallback((threadId: string, resolved: boolean) => {
+    if (yCommentsRef.current) setResolved(yCommentsRef.current, threadId, resolved)
+  }, [])
+
+  // Selecting a thread in the panel scrolls its marker into the middle of the screen,
+  // switching to its page first if it's on another one
+  const handleSelectThread = useCallback((threadId: string | null) => {
+    setActiveThreadId(threadId)
+    const thread = threads.find((t) => t.id === threadId)
+    if (!thread || !excalidrawAPI) return
+    if (threadPage(thread) === pageId) {
+      scrollToThread(excalidrawAPI, thread)
+      return
+    }
+    followRef.current?.follow(null)
+    pendingThread.current = thread
+    switchPage(threadPage(thread))
+  }, [threads, excalidrawAPI, pageId, switchPage])
+
+  const handleMarkerClick = useCallback((threadId: string) => {
+    setActiveThreadId(threadId)
+    setPanel('comments')
+  }, [])
+
+  // Track the provider's status, unsynced local edits and the room's participant count
+  useEffect(() => {
+    const provider = providerRef.current
+    const yDoc = yDocRef.current
+    if (!provider || !yDoc) return
+    return watchConnection(provider, yDoc, setConnection)
+  }, [roomId, token])
+
+  const handleReconnect = useCallback(() => {
+    if (providerRef.current) reconnect(providerRef.current)
+  }, [])
+
+  // Mirror the undo/redo stacks into state for the buttons
+  useEffect(() => {
+    const undo = undoRef.current
+    if (!undo) return
+
+    const update = () => setUndoState({ canUndo: undo.canUndo(), canRedo: undo.canRedo() })
+    update()
+    return undo.subscribe(update)
+  }, [excalidrawAPI, pageId])
+
+  // Route the undo/redo shortcuts to the shared undo manager. Runs in the capture
+  // phase so Excalidraw's own (local-only) history never sees them.
+  useEffect(() => {
+    if (role !== 'edit') return
+
+    const onKeyDown = (event: KeyboardEvent) => {
+      const target = event.target as HTMLElement | null
+      // Text inputs (including Excalidraw's text editor) keep native undo
+      if (target?.closest('input, textarea, [contenteditable="true"]')) return
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+
+      const key = event.key.toLowerCase()
+      const isUndo = key === 'z' && !event.shiftKey
+      const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey && !event.shiftKey)
+      if (!isUndo && !isRedo) return
+
+      event.preventDefault()
+      event.stopPropagation()
+      if (isUndo) undoRef.current?.undo()
+      else undoRef.current?.redo()
+    }
+
+    window.addEventListener('keydown', onKeyDown, { capture: true })
+    return () => window.removeEventListener('keydown', onKeyDown, { capture: true })
+  }, [role])
+
+  // Upload images added locally, download images added by others
+  useEffect(() => {
+    const yFiles = yFilesRef.current
+    if (!yFiles || !excalidrawAPI) return
+
+    const fileSync = createFileSync(excalidrawAPI, yFiles, roomId, token, role === 'view', roomKey)
+    fileSyncRef.current = fileSync
+
+    return () => {
+      fileSync.destroy()
+      fileSyncRef.current = null
+    }
+  }, [excalidrawAPI, roomId, token, role, roomKey])
+
+  // Publish who we are (name + colour) to everyone in the room
+  useEffect(() => {
+    providerRef.current?.awareness.setLocalStateField('user', user)
+  }, [user, roomId, token])
+
+  // Render remote cursors and selections. Departed clients are removed from
+  // awareness (by the server on disconnect, or by timeout), so their cursors vanish.
+  // Switching pages changes our own state, so the cursors shown follow along.
+  useEffect(() => {
+    const awareness = providerRef.current?.awareness
+    if (!awareness || !excalidrawAPI) return
+
+    const renderCollaborators = () => {
+      const states = awareness.getStates() as Map<number, AwarenessState>
+      const page = pageOf(states.get(awareness.clientID) ?? {})
+      excalidrawAPI.updateScene({ collaborators: toCollaborators(states, awareness.clientID, page) })
+    }
+
+    awareness.on('change', renderCollaborators)
+    renderCollaborators()
+
+    return () => {
+      awareness.off('change', renderCollaborators)
     }
   }, [excalidrawAPI])
 
-  // Sync local changes to Yjs
-  const handleChange = useCallback(
-    (elements: readonly any[], appState: any) => {
-      if (isLocalChange.current) return
+  // Follow other participants' viewports, and everyone follows a presenter.
+  // Registered after the collaborators listener, so Excalidraw already knows whom we follow.
+  useEffect(() => {
+    const awareness = providerRef.current?.awareness
+    if (!awareness || !excalidrawAPI) return
 
-      const yElements = yElementsRef.current
-      const yDoc = yDocRef.current
-      if (!yElements || !yDoc) return
+    const followMode = createFollowMode(excalidrawAPI, awareness, setFollow, switchPage)
+    followRef.current = followMode
+    followMode.publishViewport(excalidrawAPI.getAppState())
+
+    return () => {
+      followMode.destroy()
+      followRef.current = null
+    }
+  }, [excalidrawAPI, switchPage])
+
+  // Picking a page ourselves stops following whoever is on another one
+  const handleSelectPage = useCallback((id: string) => {
+    followRef.current?.follow(null)
+    switchPage(id)
+  }, [switchPage])
+
+  const handleAddPage = useCallback(() => {
+    if (yDocRef.current) handleSelectPage(addPage(yDocRef.current))
+  }, [handleSelectPage])
+
+  const handleRenamePage = useCallback((id: string, name: string) => {
+    if (yDocRef.current) renamePage(yDocRef.current, id, name)
+  }, [])
+
+  const handleMovePage = useCallback((id: string, direction: -1 | 1) => {
+    if (yDocRef.current) movePage(yDocRef.current, id, direction)
+  }, [])
+
+  // Deleting a page can't be undone, so ask first. Anyone on it moves to the page that takes its place.
+  const handleDeletePage = useCallback((id: string) => {
+    const page = pages.find((p) => p.id === id)
+    if (!yDocRef.current || !page) return
+    if (!window.confirm(`Delete "${page.name}" and everything on it for everyone? This can't be undone.`)) return
+    deletePage(yDocRef.current, id)
+  }, [pages])
+
+  const handleFollow = useCallback((clientId: number | null) => {
+    followRef.current?.follow(clientId)
+  }, [])
+
+  const handleTogglePresenting = useCallback(() => {
+    followRef.current?.setPresenting(!follow.presenting)
+  }, [follow.presenting])
+
+  // Explain why the server closed the connection or refused a change, and stop retrying when it can't succeed
+  useEffect(() => {
+    const provider = providerRef.current
+    if (!provider || !excalidrawAPI) return
+
+    const onClose = (event: CloseEvent | null) => {
+      if (!event) return
+      const message = describeClose(event.code)
+      if (message) excalidrawAPI.setToast({ message, closable: true, duration: 5000 })
+      if (event.code === CLOSE_INVALID_ROOM || event.code === CLOSE_ROOM_DELETED) provider.disconnect()
+    }
+
+    provider.on('connection-close', onClose)
+    const stopQuota = watchQuota(provider, (message) => excalidrawAPI.setToast({ message, closable: true, duration: 10000 }))
+    return () => {
+      provider.off('connection-close', onClose)
+      stopQuota()
+    }
+  }, [excalidrawAPI])
+
+  // Encryption failures mean changes are missing or not sent, so they stay on screen until closed
+  useEffect(() => {
+    if (e2eError && excalidrawAPI) excalidrawAPI.setToast({ message: e2eError.message, closable: true, duration: Infinity })
+  }, [e2eError, excalidrawAPI])
 
-      yDoc.transact(() => {
-        const currentKeys = new Set(yElements.keys())
+  // Separate effect for observing remote changes to the page shown (depends on excalidrawAPI)
+  useEffect(() => {
+    const yDoc = yDocRef.current
+    const yElements = yElementsRef.current
+    if (!yDoc || !yElements || !excalidrawAPI) return
 
-        elements.forEach((el) => {
-          yElements.set(el.id, el)
-          currentKeys.delete(el.id)
-        })
+    // The page was loaded when it was shown; merge only the keys each transaction touches.
+    // Our own edits are already in the scene; undo/redo is applied like a remote change.
+    const observer = (event: Y.YMapEvent<ExcalidrawElement>, transaction: Y.Transaction) => {
+      if (transaction.origin === LOCAL_ORIGIN) return
+      applyRemoteChanges(excalidrawAPI, yElements, event.keysChanged)
+    }
+    // A restored value is only accepted once it's marked, which happens right after the undo/redo
+    const markers = restoredElements(yDoc)
+    const restoreObserver = (event: Y.YMapEvent<RestoreMarker>) => {
+      const keys = Array.from(event.keysChanged).filter((key) => yElements.has(key))
+      if (keys.length > 0) applyRemoteChanges(excalidrawAPI, yElements, keys)
+    }
 
-        currentKeys.forEach((key) => {
-          yElements.delete(key)
-        })
-      }, 'local')
+    yElements.observe(observer)
+    markers.observe(restoreObserver)
+
+    return () => {
+      yElements.unobserve(observer)
+      markers.unobserve(restoreObserver)
+    }
+  }, [excalidrawAPI, pageId])
+
+  const handlePointerUpdate = useCallback(
+    (payload: { pointer: AwarenessState['pointer']; button: 'up' | 'down' }) => {
+      sendPointerRef.current?.(payload.pointer, payload.button)
     },
     []
   )
 
-  const copyLink = useCallback(() => {
-    navigator.clipboard.writeText(window.location.href)
-    setShowCopied(true)
-    setTimeout(() => setShowCopied(false), 2000)
+  const handleUserNameChange = useCallback((name: string) => {
+    saveUserName(name)
+    setUser(getLocalUser())
   }, [])
 
+  // Sync local changes to Yjs. Scene updates we applied from remote also land
+  // here, but they already match the Y.Map so nothing is written back.
+  const handleChange = useCallback(
+    (elements: readonly OrderedExcalidrawElement[], appState: AppState, files: BinaryFiles) => {
+      // Share our selection so others can see what we're working on
+      const selection = Object.keys(appState.selectedElementIds).sort().join(',')
+      if (selection !== lastSelection.current) {
+        lastSelection.current = selection
+        providerRef.current?.awareness.setLocalStateField('selectedElementIds', appState.selectedElementIds)
+        setHasSelection(selection !== '')
+      }
+      // And what we're looking at, for anyone following us
+      followRef.current?.publishViewport(appState)
+
+      const yElements = yElementsRef.current
+      if (!yElements) return
+      writeLocalChanges(yElements, elements)
+      fileSyncRef.current?.syncFiles(elements, files)
+    },
+    []
+  )
+
+  if (encrypted && !roomKey) {
+    return (
+      <div style={{ width: '100%', height: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: '#f8f9fa' }}>
+        This board is end-to-end encrypted, and the link is missing its key. Ask for the full share link.
+      </div>
+    )
+  }
+
   return (
     <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
       <Excalidraw
-        excalidrawAPI={(api: any) => setExcalidrawAPI(api)}
+        excalidrawAPI={(api) => setExcalidrawAPI(api)}
         onChange={handleChange}
+        onPointerUpdate={handlePointerUpdate}
+        isCollaborating
+        // Viewers get a read-only canvas; the server drops their writes anyway
+        viewModeEnabled={role === 'view'}
         UIOptions={{
           // Hide hamburger menu at top-left
           canvasActions: {
@@ -133,83 +644,112 @@ export default function ExcalidrawCanvas({ roomId }: Props) {
             clearCanvas: true,
             toggleTheme: true,
           },
-          // Hide help button (bottom-right ?)
+          // Images are synced through the backend file store
           tools: {
-            image: false, // Disable image upload
+            image: role === 'edit',
           },
         }}
         // Hide the welcome screen on first load
         initialData={{ appState: { viewBackgroundColor: '#ffffff' } }}
-      />
-      
-      {/* Share Panel - Prominent and integrated */}
-      <div
-        className="share-panel"
-        style={{
-          position: 'fixed',
-          display: 'flex',
-          alignItems: 'center',
-          gap: 12,
-          background: 'white',
-          padding: '8px 12px',
-          borderRadius: 12,
-          boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
-          zIndex: 1000,
-        }}
       >
-        {/* Live indicator */}
-        <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-          <div
-            style={{
-              width: 8,
-              height: 8,
-              borderRadius: '50%',
-              background: '#10b981',
-              animation: 'pulse 2s infinite',
-            }}
-          />
-          <span style={{ fontSize: 13, color: '#6b7280', fontWeight: 500 }}>
-            Live
-          </span>
-        </div>
-        
-        <div style={{ width: 1, height: 20, background: '#e5e7eb' }} />
-        
-        {/* Share button */}
+        {role === 'edit' && (
+          <Footer>
+            <UndoRedoButtons
+              canUndo={undoState.canUndo}
+              canRedo={undoState.canRedo}
+              onUndo={() => undoRef.current?.undo()}
+              onRedo={() => undoRef.current?.redo()}
+            />
+          </Footer>
+        )}
+      </Excalidraw>
+      
+      {excalidrawAPI && (
+        <CommentMarkers
+          excalidrawAPI={excalidrawAPI}
+          threads={threads.filter((thread) => threadPage(thread) === pageId)}
+          activeThreadId={activeThreadId}
+          onSelect={handleMarkerClick}
+        />
+      )}
+
+      <RoomTitle meta={meta} readOnly={role === 'view'} onChange={handleMetaChange}>
         <button
-          onClick={copyLink}
+          onClick={() => setPanel((open) => (open === 'pages' ? null : 'pages'))}
+          title="Pages"
+          aria-expanded={panel === 'pages'}
           style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: 6,
-            background: showCopied ? '#10b981' : '#6366f1',
-            color: 'white',
-            padding: '8px 16px',
-            borderRadius: 8,
+            maxWidth: 90,
+            background: '#f3f4f6',
             border: 'none',
+            borderRadius: 6,
+            padding: '2px 8px',
             cursor: 'pointer',
-            fontWeight: 600,
-            fontSize: 14,
-            transition: 'all 0.2s ease',
+            color: '#374151',
+            fontSize: 12,
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
           }}
         >
-          {showCopied ? (
-            <>
-              <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
-              </svg>
-              Copied!
-            </>
-          ) : (
-            <>
-              <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
-              </svg>
-              Share
-            </>
-          )}
+          {pages.find((page) => page.id === pageId)?.name}
         </button>
-      </div>
+        <BoardMenu readOnly={role === 'view'} onExport={handleExport} onImport={handleImport} onFork={handleFork} />
+      </RoomTitle>
+
+      {/* Share Panel - Prominent and integrated */}
+      <SharePanel
+        roomId={roomId}
+        token={token}
+        role={role}
+        roomKey={roomKey}
+        user={user}
+        onUserNameChange={handleUserNameChange}
+        // The server can't keep versions of a board it can't read
+        onToggleHistory={encrypted ? null : () => setPanel((open) => (open === 'history' ? null : 'history'))}
+        onToggleComments={() => setPanel((open) => (open === 'comments' ? null : 'comments'))}
+        openComments={threads.filter((thread) => !thread.resolved).length}
+        connection={connection}
+        onReconnect={handleReconnect}
+        follow={follow}
+        onFollow={handleFollow}
+        onTogglePresenting={handleTogglePresenting}
+      />
+
+      {panel === 'history' && (
+        <HistoryPanel roomId={roomId} token={token} role={role} pageId={pageId} onClose={() => setPanel(null)} />
+      )}
+
+      {panel === 'pages' && (
+        <PagesPanel
+          pages={pages}
+          pageId={pageId}
+          participants={follow.participants}
+          readOnly={role === 'view'}
+          onSelect={handleSelectPage}
+          onAdd={handleAddPage}
+          onRename={handleRenamePage}
+          onMove={handleMovePage}
+          onDelete={handleDeletePage}
+          onClose={() => setPanel(null)}
+        />
+      )}
+
+      {panel === 'comments' && (
+        <CommentsPanel
+          threads={threads}
+          pages={pages}
+          pageId={pageId}
+          activeThreadId={activeThreadId}
+          readOnly={role === 'view'}
+          anchorLabel={hasSelection ? 'the selected element' : 'the middle of the screen'}
+          onSelect={handleSelectThread}
+          onCreate={handleCreateComment}
+          onReply={handleReply}
+          onResolve={handleResolve}
+          onClose={() => setPanel(null)}
+        />
+      )}
     </div>
   )
 }
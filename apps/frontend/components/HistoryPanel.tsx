@@ -0,0 +1,190 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { exportToSvg } from '@excalidraw/excalidraw'
+import type { NonDeletedExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import {
+  listVersions,
+  previewVersion,
+  restoreVersion,
+  saveVersion,
+  type VersionInfo,
+} from '@/lib/history'
+import type { Role } from '@/lib/share'
+
+interface Props {
+  roomId: string
+  token: string
+  role: Role
+  // The page to preview; restoring brings back every page
+  pageId: string
+  onClose: () => void
+}
+
+const formatTime = (ms: number) =>
+  new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+export default function HistoryPanel({ roomId, token, role, pageId, onClose }: Props) {
+  const [versions, setVersions] = useState<VersionInfo[] | null>(null)
+  const [selected, setSelected] = useState<string | null>(null)
+  const [previewSvg, setPreviewSvg] = useState<string | null>(null)
+  const [pageMissing, setPageMissing] = useState(false)
+  const [versionName, setVersionName] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const refresh = useCallback(() => {
+    listVersions(roomId, token)
+      .then(setVersions)
+      .catch(() => setError('Could not load history'))
+  }, [roomId, token])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const select = async (version: VersionInfo) => {
+    setSelected(version.id)
+    setPreviewSvg(null)
+    setPageMissing(false)
+    try {
+      const elements = await previewVersion(roomId, token, version.id, pageId)
+      if (!elements) {
+        setPageMissing(true)
+        return
+      }
+      const svg = await exportToSvg({
+        elements: elements.filter((el) => !el.isDeleted) as NonDeletedExcalidrawElement[],
+        appState: { exportBackground: true, viewBackgroundColor: '#ffffff' },
+        files: null,
+      })
+      setPreviewSvg(svg.outerHTML)
+    } catch {
+      setError('Could not load preview')
+    }
+  }
+
+  const save = async () => {
+    setBusy(true)
+    try {
+      await saveVersion(roomId, token, versionName)
+      setVersionName('')
+      refresh()
+    } catch {
+      setError('Could not save version')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Restoring is applied server-side as a new update, so everyone in the room sees it
+  const restore = async (id: string) => {
+    setBusy(true)
+    try {
+      await restoreVersion(roomId, token, id)
+      setSelected(null)
+      refresh()
+    } catch {
+      setError('Could not restore version')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div
+      className="history-panel"
+      style={{
+        position: 'fixed',
+        width: 300,
+        maxHeight: '70vh',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 8,
+        background: 'white',
+        padding: 12,
+        borderRadius: 12,
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+        zIndex: 1000,
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ fontWeight: 600, color: '#374151' }}>Version history</span>
+        <button onClick={onClose} aria-label="Close history" style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: 16 }}>
+          ×
+        </button>
+      </div>
+
+      {role === 'edit' && (
+        <div style={{ display: 'flex', gap: 6 }}>
+          <input
+            value={versionName}
+            onChange={(e) => setVersionName(e.target.value)}
+            placeholder="Name this version"
+            maxLength={100}
+            style={{ flex: 1, padding: '6px 8px', border: '1px solid #e5e7eb', borderRadius: 6 }}
+          />
+          <button
+            onClick={save}
+            disabled={busy}
+            style={{ background: '#6366f1', color: 'white', border: 'none', borderRadius: 6, padding: '6px 10px', cursor: 'pointer', fontWeight: 600 }}
+          >
+            Save
+          </button>
+        </div>
+      )}
+
+      {error && <div style={{ color: '#dc2626' }}>{error}</div>}
+
+      <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 4 }}>
+        {versions === null && <div style={{ color: '#6b7280' }}>Loading...</div>}
+        {versions?.length === 0 && <div style={{ color: '#6b7280' }}>No versions yet</div>}
+        {versions?.map((version) => (
+          <div key={version.id}>
+            <button
+              onClick={() => select(version)}
+              style={{
+                width: '100%',
+                textAlign: 'left',
+                padding: '6px 8px',
+                border: 'none',
+                borderRadius: 6,
+                cursor: 'pointer',
+                background: selected === version.id ? '#eef2ff' : 'transparent',
+              }}
+            >
+              <div style={{ fontWeight: version.auto ? 400 : 600, color: '#111827' }}>{version.name}</div>
+              <div style={{ color: '#6b7280', fontSize: 12 }}>{formatTime(version.createdAt)}</div>
+            </button>
+
+            {selected === version.id && (
+              <div style={{ padding: 8, display: 'flex', flexDirection: 'column', gap: 8 }}>
+                {pageMissing ? (
+                  <div style={{ color: '#6b7280' }}>This page didn&apos;t exist in this version</div>
+                ) : previewSvg ? (
+                  <div
+                    className="history-preview"
+                    style={{ border: '1px solid #e5e7eb', borderRadius: 6, overflow: 'hidden' }}
+                    dangerouslySetInnerHTML={{ __html: previewSvg }}
+                  />
+                ) : (
+                  <div style={{ color: '#6b7280' }}>Loading preview...</div>
+                )}
+                {role === 'edit' && (
+                  <button
+                    onClick={() => restore(version.id)}
+                    disabled={busy}
+                    style={{ background: '#10b981', color: 'white', border: 'none', borderRadius: 6, padding: '6px 10px', cursor: 'pointer', fontWeight: 600 }}
+                  >
+                    Restore this version
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,166 @@
+'use client'
+
+import { useState } from 'react'
+import { MAX_PAGE_NAME_LENGTH, type Page } from '@/lib/pages'
+import type { Participant } from '@/lib/follow'
+
+interface Props {
+  pages: Page[]
+  pageId: string
+  // Everyone else in the room, shown on the page they are looking at
+  participants: Participant[]
+  readOnly: boolean
+  onSelect: (pageId: string) => void
+  onAdd: () => void
+  onRename: (pageId: string, name: string) => void
+  onMove: (pageId: string, direction: -1 | 1) => void
+  onDelete: (pageId: string) => void
+  onClose: () => void
+}
+
+const iconButton = {
+  background: 'none',
+  border: 'none',
+  padding: '0 4px',
+  cursor: 'pointer',
+  color: '#6b7280',
+  fontSize: 12,
+}
+
+// The board's pages: switch between them, and (with an edit link) add, rename, reorder and delete them
+export default function PagesPanel({
+  pages,
+  pageId,
+  participants,
+  readOnly,
+  onSelect,
+  onAdd,
+  onRename,
+  onMove,
+  onDelete,
+  onClose,
+}: Props) {
+  // The page being renamed, and its draft name
+  const [editing, setEditing] = useState<{ id: string; name: string } | null>(null)
+
+  const commitRename = () => {
+    if (editing) onRename(editing.id, editing.name)
+    setEditing(null)
+  }
+
+  return (
+    <div
+      className="pages-panel"
+      style={{
+        position: 'fixed',
+        width: 260,
+        maxHeight: '70vh',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 8,
+        background: 'white',
+        padding: 12,
+        borderRadius: 12,
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+        zIndex: 1000,
+        fontSize: 13,
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ fontWeight: 600, color: '#374151' }}>Pages</span>
+        <button onClick={onClose} aria-label="Close pages" style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: 16 }}>
+          ×
+        </button>
+      </div>
+
+      <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {pages.map((page, i) => {
+          const current = page.id === pageId
+          const here = participants.filter((p) => p.page === page.id)
+          return (
+            <div
+              key={page.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 4,
+                padding: '4px 6px',
+                borderRadius: 6,
+                background: current ? '#eef2ff' : 'transparent',
+              }}
+            >
+              {editing?.id === page.id ? (
+                <input
+                  autoFocus
+                  value={editing.name}
+                  onChange={(e) => setEditing({ id: page.id, name: e.target.value })}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') e.currentTarget.blur()
+                    if (e.key === 'Escape') setEditing(null)
+                  }}
+                  maxLength={MAX_PAGE_NAME_LENGTH}
+                  aria-label="Page name"
+                  style={{ flex: 1, minWidth: 0, padding: '2px 6px', border: '1px solid #e5e7eb', borderRadius: 6, fontSize: 13 }}
+                />
+              ) : (
+                <button
+                  onClick={() => onSelect(page.id)}
+                  onDoubleClick={() => !readOnly && setEditing({ id: page.id, name: page.name })}
+                  title={readOnly ? page.name : `${page.name} (double-click to rename)`}
+                  style={{
+                    flex: 1,
+                    minWidth: 0,
+                    textAlign: 'left',
+                    background: 'none',
+                    border: 'none',
+                    padding: 0,
+                    cursor: 'pointer',
+                    color: '#111827',
+                    fontWeight: current ? 600 : 400,
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap',
+                  }}
+                >
+                  {page.name}
+                </button>
+              )}
+
+              {here.map((p) => (
+                <span
+                  key={p.clientId}
+                  title={p.user.name}
+                  style={{ width: 8, height: 8, borderRadius: '50%', background: p.user.color.background, flexShrink: 0 }}
+                />
+              ))}
+
+              {!readOnly && (
+                <>
+                  <button onClick={() => onMove(page.id, -1)} disabled={i === 0} aria-label={`Move ${page.name} up`} style={iconButton}>
+                    ↑
+                  </button>
+                  <button onClick={() => onMove(page.id, 1)} disabled={i === pages.length - 1} aria-label={`Move ${page.name} down`} style={iconButton}>
+                    ↓
+                  </button>
+                  <button onClick={() => onDelete(page.id)} disabled={pages.length === 1} aria-label={`Delete ${page.name}`} style={iconButton}>
+                    ×
+                  </button>
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {!readOnly && (
+        <button
+          onClick={onAdd}
+          style={{ alignSelf: 'flex-start', background: '#6366f1', color: 'white', border: 'none', borderRadius: 6, padding: '6px 10px', cursor: 'pointer', fontWeight: 600 }}
+        >
+          Add page
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,114 @@
+'use client'
+
+import { useState, type ReactNode } from 'react'
+import Link from 'next/link'
+import { MAX_DESCRIPTION_LENGTH, MAX_TITLE_LENGTH, type RoomMeta } from '@/lib/rooms'
+
+interface Props {
+  meta: RoomMeta
+  readOnly: boolean
+  onChange: (meta: Partial<RoomMeta>) => void
+  // Board actions shown at the end of the title row
+  children?: ReactNode
+}
+
+const HomeIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
+  </svg>
+)
+
+// Board title (and an optional description) shared with everyone through the doc's `meta` map
+export default function RoomTitle({ meta, readOnly, onChange, children }: Props) {
+  // Drafts only exist while a field is being edited; otherwise peers' renames show up live
+  const [titleDraft, setTitleDraft] = useState<string | null>(null)
+  const [descriptionDraft, setDescriptionDraft] = useState<string | null>(null)
+  const [showDescription, setShowDescription] = useState(false)
+
+  const commitTitle = () => {
+    const title = titleDraft?.trim()
+    if (title && title !== meta.title) onChange({ title })
+    setTitleDraft(null)
+  }
+
+  const commitDescription = () => {
+    if (descriptionDraft !== null && descriptionDraft !== meta.description) onChange({ description: descriptionDraft })
+    setDescriptionDraft(null)
+  }
+
+  return (
+    <div
+      className="room-title"
+      style={{
+        position: 'fixed',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 6,
+        background: 'white',
+        padding: '8px 12px',
+        borderRadius: 12,
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+        zIndex: 1000,
+        maxWidth: 280,
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <Link href="/" title="All boards" aria-label="All boards" style={{ display: 'flex', color: '#6b7280' }}>
+          <HomeIcon />
+        </Link>
+        <input
+          value={titleDraft ?? meta.title}
+          readOnly={readOnly}
+          onFocus={() => !readOnly && setTitleDraft(meta.title)}
+          onChange={(e) => setTitleDraft(e.target.value)}
+          onBlur={commitTitle}
+          onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur() }}
+          maxLength={MAX_TITLE_LENGTH}
+          aria-label="Board title"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            border: 'none',
+            outline: 'none',
+            fontSize: 14,
+            fontWeight: 600,
+            color: '#111827',
+            background: 'transparent',
+          }}
+        />
+        <button
+          onClick={() => setShowDescription((open) => !open)}
+          title={showDescription ? 'Hide description' : 'Show description'}
+          aria-label={showDescription ? 'Hide description' : 'Show description'}
+          style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#6b7280', fontSize: 12 }}
+        >
+          {showDescription ? '▲' : '▼'}
+        </button>
+        {children}
+      </div>
+
+      {showDescription && (
+        <textarea
+          value={descriptionDraft ?? meta.description}
+          readOnly={readOnly}
+          onFocus={() => !readOnly && setDescriptionDraft(meta.description)}
+          onChange={(e) => setDescriptionDraft(e.target.value)}
+          onBlur={commitDescription}
+          maxLength={MAX_DESCRIPTION_LENGTH}
+          placeholder={readOnly ? 'No description' : 'Add a description'}
+          aria-label="Board description"
+          rows={3}
+          style={{
+            resize: 'vertical',
+            border: '1px solid #e5e7eb',
+            borderRadius: 6,
+            padding: '6px 8px',
+            fontSize: 13,
+            color: '#374151',
+            outline: 'none',
+          }}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,350 @@
+'use client'
+
+import { useCallback, useState } from 'react'
+import { fetchShareLinks, roomUrl, type Role } from '@/lib/share'
+import type { AwarenessUser } from '@/lib/collaborators'
+import type { ConnectionInfo, ConnectionStatus } from '@/lib/connection'
+import type { FollowState } from '@/lib/follow'
+
+interface Props {
+  roomId: string
+  token: string
+  role: Role
+  // Key of an end-to-end encrypted room, added to copied links
+  roomKey: string | null
+  user: AwarenessUser
+  onUserNameChange: (name: string) => void
+  // Null when the server can't keep versions (encrypted rooms)
+  onToggleHistory: (() => void) | null
+  onToggleComments: () => void
+  // Unresolved comment threads
+  openComments: number
+  connection: ConnectionInfo
+  onReconnect: () => void
+  follow: FollowState
+  onFollow: (clientId: number | null) => void
+  onTogglePresenting: () => void
+}
+
+type LinkKind = 'edit' | 'view'
+
+const ShareIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+  </svg>
+)
+
+const HistoryIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+  </svg>
+)
+
+const UsersIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+  </svg>
+)
+
+const ReconnectIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+  </svg>
+)
+
+const CommentIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+  </svg>
+)
+
+const PresentIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+  </svg>
+)
+
+const LockIcon = () => (
+  <svg width="14" height="14" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+  </svg>
+)
+
+const CheckIcon = () => (
+  <svg width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
+  </svg>
+)
+
+const statusLabels: Record<ConnectionStatus, string> = {
+  synced: 'Live',
+  connecting: 'Connecting...',
+  reconnecting: 'Reconnecting...',
+  offline: 'Offline',
+}
+
+const statusColors: Record<ConnectionStatus, string> = {
+  synced: '#10b981',
+  connecting: '#f59e0b',
+  reconnecting: '#f59e0b',
+  offline: '#9ca3af',
+}
+
+// Show at most this many participants' avatars; the rest are counted
+const MAX_AVATARS = 4
+
+const Avatar = ({ user, highlighted = false }: { user: AwarenessUser; highlighted?: boolean }) => (
+  <div
+    style={{
+      width: 24,
+      height: 24,
+      borderRadius: '50%',
+      background: user.color.background,
+      border: `2px solid ${user.color.stroke}`,
+      boxShadow: highlighted ? `0 0 0 2px white, 0 0 0 4px ${user.color.stroke}` : undefined,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: 12,
+      fontWeight: 600,
+      color: user.color.stroke,
+    }}
+  >
+    {user.name.charAt(0).toUpperCase()}
+  </div>
+)
+
+export default function SharePanel({
+  roomId,
+  token,
+  role,
+  roomKey,
+  user,
+  onUserNameChange,
+  onToggleHistory,
+  onToggleComments,
+  openComments,
+  connection,
+  onReconnect,
+  follow,
+  onFollow,
+  onTogglePresenting,
+}: Props) {
+  const [copied, setCopied] = useState<LinkKind | null>(null)
+  const [nameDraft, setNameDraft] = useState(user.name)
+  const [copyError, setCopyError] = useState<string | null>(null)
+
+  // Commit on blur / Enter rather than every keystroke, so peers don't see half-typed names
+  const commitName = () => {
+    const name = nameDraft.trim()
+    if (name && name !== user.name) onUserNameChange(name)
+    else setNameDraft(user.name)
+  }
+
+  // Tokens are signed by the backend, so ask it for the links we're allowed to share
+  const copyLink = useCallback(async (kind: LinkKind) => {
+    setCopyError(null)
+    try {
+      const links = await fetchShareLinks(roomId, token)
+      const linkToken = kind === 'edit' ? links.edit : links.view
+      if (!linkToken) return
+      await navigator.clipboard.writeText(roomUrl(roomId, linkToken, roomKey))
+      setCopied(kind)
+      setTimeout(() => setCopied(null), 2000)
+    } catch {
+      setCopyError('Could not copy the link')
+    }
+  }, [roomId, token, roomKey])
+
+  const buttonStyle = (kind: LinkKind, primary: boolean) => ({
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6,
+    background: copied === kind ? '#10b981' : primary ? '#6366f1' : '#eef2ff',
+    color: copied === kind || primary ? 'white' : '#4338ca',
+    padding: '8px 16px',
+    borderRadius: 8,
+    border: 'none',
+    cursor: 'pointer',
+    fontWeight: 600,
+    fontSize: 14,
+    transition: 'all 0.2s ease',
+  })
+
+  return (
+    <div
+      className="share-panel"
+      style={{
+        position: 'fixed',
+        display: 'flex',
+        alignItems: 'center',
+        gap: 12,
+        background: 'white',
+        padding: '8px 12px',
+        borderRadius: 12,
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+        zIndex: 1000,
+      }}
+    >
+      {/* Display name shown next to our cursor for everyone else */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <Avatar user={user} />
+        <input
+          value={nameDraft}
+          onChange={(e) => setNameDraft(e.target.value)}
+          onBlur={commitName}
+          onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur() }}
+          maxLength={32}
+          aria-label="Your name"
+          style={{
+            width: 100,
+            border: 'none',
+            outline: 'none',
+            fontSize: 13,
+            color: '#374151',
+            background: 'transparent',
+          }}
+        />
+      </div>
+
+      <div style={{ width: 1, height: 20, background: '#e5e7eb' }} />
+
+      {/* Connection status, reflecting the WebSocket provider */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <div
+          style={{
+            width: 8,
+            height: 8,
+            borderRadius: '50%',
+            background: statusColors[connection.status],
+            animation: connection.status === 'offline' ? undefined : 'pulse 2s infinite',
+          }}
+        />
+        <span style={{ fontSize: 13, color: '#6b7280', fontWeight: 500 }}>
+          {statusLabels[connection.status]}
+          {role === 'view' && ' · View only'}
+        </span>
+        {roomKey && (
+          <span title="End-to-end encrypted: the server only stores data it can't read" style={{ display: 'flex', color: '#10b981' }}>
+            <LockIcon />
+          </span>
+        )}
+        {connection.pending > 0 && (
+          <span
+            title="Changes made while disconnected; they sync when the connection is back"
+            style={{ fontSize: 12, color: '#b45309', background: '#fef3c7', borderRadius: 6, padding: '1px 6px' }}
+          >
+            {connection.pending} unsynced
+          </span>
+        )}
+        {connection.status !== 'synced' && (
+          <button
+            onClick={onReconnect}
+            title="Reconnect now"
+            aria-label="Reconnect now"
+            style={{ display: 'flex', background: 'none', border: 'none', cursor: 'pointer', color: '#6b7280', padding: 2 }}
+          >
+            <ReconnectIcon />
+          </button>
+        )}
+      </div>
+
+      {/* Click someone to follow their view; following stops when you move the canvas */}
+      {follow.participants.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          {follow.participants.slice(0, MAX_AVATARS).map(({ clientId, user: participant, presenting }) => {
+            const isFollowed = follow.following === clientId
+            const label = isFollowed ? `Stop following ${participant.name}` : `Follow ${participant.name}`
+            return (
+              <button
+                key={clientId}
+                onClick={() => onFollow(isFollowed ? null : clientId)}
+                title={presenting ? `${label} (presenting)` : label}
+                aria-label={label}
+                aria-pressed={isFollowed}
+                style={{ background: 'none', border: 'none', padding: 0, marginLeft: -4, cursor: 'pointer', position: 'relative' }}
+              >
+                <Avatar user={participant} highlighted={isFollowed} />
+                {presenting && (
+                  <span
+                    style={{ position: 'absolute', right: -2, bottom: -2, width: 10, height: 10, borderRadius: '50%', background: '#ef4444', border: '2px solid white' }}
+                  />
+                )}
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      {connection.peers !== null && (
+        <div
+          title={`${connection.peers} ${connection.peers === 1 ? 'person' : 'people'} in this room`}
+          style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13, color: '#6b7280' }}
+        >
+          <UsersIcon />
+          {connection.peers}
+        </div>
+      )}
+
+      <div style={{ width: 1, height: 20, background: '#e5e7eb' }} />
+
+      {onToggleHistory && (
+        <button
+          onClick={onToggleHistory}
+          title="Version history"
+          aria-label="Version history"
+          style={{ display: 'flex', background: 'none', border: 'none', cursor: 'pointer', color: '#6b7280', padding: 4 }}
+        >
+          <HistoryIcon />
+        </button>
+      )}
+
+      <button
+        onClick={onToggleComments}
+        title="Comments"
+        aria-label="Comments"
+        style={{ display: 'flex', alignItems: 'center', gap: 2, background: 'none', border: 'none', cursor: 'pointer', color: '#6b7280', padding: 4, fontSize: 12 }}
+      >
+        <CommentIcon />
+        {openComments > 0 && openComments}
+      </button>
+
+      {/* Presenting asks everyone else in the room to follow our view */}
+      {role === 'edit' && (
+        <button
+          onClick={onTogglePresenting}
+          title={follow.presenting ? 'Stop presenting' : 'Present: everyone follows your view'}
+          aria-label={follow.presenting ? 'Stop presenting' : 'Present'}
+          aria-pressed={follow.presenting}
+          style={{
+            display: 'flex',
+            background: follow.presenting ? '#fee2e2' : 'none',
+            border: 'none',
+            borderRadius: 6,
+            cursor: 'pointer',
+            color: follow.presenting ? '#dc2626' : '#6b7280',
+            padding: 4,
+          }}
+        >
+          <PresentIcon />
+        </button>
+      )}
+
+      {copyError && <span style={{ fontSize: 13, color: '#dc2626' }}>{copyError}</span>}
+
+      {/* Editors can hand out both link kinds; viewers can only pass on view access */}
+      {role === 'edit' && (
+        <button onClick={() => copyLink('edit')} style={buttonStyle('edit', true)} title="Copy a link that can edit this board">
+          {copied === 'edit' ? <><CheckIcon />Copied!</> : <><ShareIcon />Share</>}
+        </button>
+      )}
+      <button
+        onClick={() => copyLink('view')}
+        style={buttonStyle('view', role === 'view')}
+        title="Copy a read-only link to this board"
+      >
+        {copied === 'view' ? <><CheckIcon />Copied!</> : role === 'view' ? <><ShareIcon />Share</> : 'View link'}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+'use client'
+
+import type { CSSProperties } from 'react'
+
+interface Props {
+  canUndo: boolean
+  canRedo: boolean
+  onUndo: () => void
+  onRedo: () => void
+}
+
+// Replaces Excalidraw's undo/redo buttons (hidden in globals.css), which drive its local-only history
+export default function UndoRedoButtons({ canUndo, canRedo, onUndo, onRedo }: Props) {
+  const buttonStyle = (enabled: boolean): CSSProperties => ({
+    width: 36,
+    height: 36,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    border: 'none',
+    background: 'transparent',
+    color: '#374151',
+    cursor: enabled ? 'pointer' : 'default',
+    opacity: enabled ? 1 : 0.4,
+  })
+
+  return (
+    <div
+      className="collab-undo-redo"
+      style={{
+        display: 'flex',
+        background: 'white',
+        borderRadius: 8,
+        boxShadow: '0 0 0 1px rgba(0,0,0,0.08)',
+        overflow: 'hidden',
+      }}
+    >
+      <button onClick={onUndo} disabled={!canUndo} aria-label="Undo" title="Undo — Ctrl+Z" style={buttonStyle(canUndo)}>
+        <UndoIcon />
+      </button>
+      <button onClick={onRedo} disabled={!canRedo} aria-label="Redo" title="Redo — Ctrl+Shift+Z" style={buttonStyle(canRedo)}>
+        <UndoIcon mirrored />
+      </button>
+    </div>
+  )
+}
+
+function UndoIcon({ mirrored = false }: { mirrored?: boolean }) {
+  return (
+    <svg
+      width="18"
+      height="18"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      style={mirrored ? { transform: 'scaleX(-1)' } : undefined}
+    >
+      <path d="M9 14 4 9l5-5" />
+      <path d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11" />
+    </svg>
+  )
+}
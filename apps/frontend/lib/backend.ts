@@ -0,0 +1,31 @@
+// Backend endpoints. The HTTP API lives on the same host as the WebSocket server.
+export const WS_URL = process.env.NEXT_PUBLIC_WS_URL || 'ws://localhost:1234'
+export const HTTP_URL = WS_URL.replace(/^ws/, 'http')
+
+// WebSocket close codes sent by the backend (keep in sync with raw-server.ts)
+export const CLOSE_MESSAGE_TOO_BIG = 1009
+export const CLOSE_INVALID_ROOM = 4400
+export const CLOSE_RATE_LIMITED = 4429
+export const CLOSE_ROOM_DELETED = 4410
+export const CLOSE_QUOTA_EXCEEDED = 4413
+export const CLOSE_MISDIRECTED = 4421
+
+// User-facing explanation for a close code, or null for ordinary disconnects
+export function describeClose(code: number): string | null {
+  switch (code) {
+    case CLOSE_MESSAGE_TOO_BIG:
+      return 'A change was too large to sync. Reconnecting...'
+    case CLOSE_INVALID_ROOM:
+      return 'This room name is not valid.'
+    case CLOSE_RATE_LIMITED:
+      return 'Too many changes at once. Reconnecting...'
+    case CLOSE_ROOM_DELETED:
+      return 'This board was deleted.'
+    case CLOSE_QUOTA_EXCEEDED:
+      return 'This board is full. Reconnecting...'
+    case CLOSE_MISDIRECTED:
+      return 'This board is open on another server. Reconnecting...'
+    default:
+      return null
+  }
+}
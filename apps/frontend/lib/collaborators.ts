@@ -0,0 +1,113 @@
+import type { Collaborator, SocketId } from '@excalidraw/excalidraw/types'
+import { MAIN_PAGE_ID } from './pages'
+
+// Shape of the local state each client publishes through `provider.awareness`
+export interface AwarenessUser {
+  id: string
+  name: string
+  color: { background: string; stroke: string }
+}
+
+// The part of the scene a client can see, in scene coordinates
+export interface Viewport {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+export interface AwarenessState {
+  user?: AwarenessUser
+  pointer?: { x: number; y: number; tool: 'pointer' | 'laser' } | null
+  button?: 'up' | 'down'
+  selectedElementIds?: Record<string, true>
+  viewport?: Viewport
+  // When this client started presenting (everyone follows the latest presenter), or null
+  presenting?: number | null
+  // The page this client is looking at (see pages.ts)
+  page?: string
+}
+
+// Clients that don't share their page are on the first one
+export const pageOf = (state: AwarenessState) => state.page ?? MAIN_PAGE_ID
+
+const USER_ID_KEY = 'easyboard:user-id'
+const USER_NAME_KEY = 'easyboard:user-name'
+
+// Same hues Excalidraw uses for collaborator cursors, so they blend with the UI
+const PALETTE = [
+  { background: '#ffc9c9', stroke: '#e03131' },
+  { background: '#b2f2bb', stroke: '#2f9e44' },
+  { background: '#a5d8ff', stroke: '#1971c2' },
+  { background: '#ffec99', stroke: '#f08c00' },
+  { background: '#eebefa', stroke: '#9c36b5' },
+  { background: '#99e9f2', stroke: '#0c8599' },
+  { background: '#ffd8a8', stroke: '#e8590c' },
+  { background: '#d0bfff', stroke: '#6741d9' },
+]
+
+// A random ID persisted per browser, so a user keeps their colour across reloads and rooms
+function getUserId() {
+  let id = localStorage.getItem(USER_ID_KEY)
+  if (!id) {
+    id = crypto.randomUUID()
+    localStorage.setItem(USER_ID_KEY, id)
+  }
+  return id
+}
+
+function colorFor(id: string) {
+  let hash = 0
+  for (let i = 0; i < id.length; i++) {
+    hash = (hash * 31 + id.charCodeAt(i)) | 0
+  }
+  return PALETTE[Math.abs(hash) % PALETTE.length]
+}
+
+export function getLocalUser(): AwarenessUser {
+  const id = getUserId()
+  const name = localStorage.getItem(USER_NAME_KEY) || `Guest ${id.slice(0, 4).toUpperCase()}`
+  return { id, name, color: colorFor(id) }
+}
+
+export function saveUserName(name: string) {
+  localStorage.setItem(USER_NAME_KEY, name)
+}
+
+// Converts remote awareness states into the map Excalidraw renders cursors and selections from.
+// Everyone is listed, but only collaborators on `pageId` have a cursor and selection on it.
+export function toCollaborators(states: Map<number, AwarenessState>, localClientId: number, pageId: string) {
+  const collaborators = new Map<SocketId, Collaborator>()
+  states.forEach((state, clientId) => {
+    if (clientId === localClientId || !state.user) return
+    const samePage = pageOf(state) === pageId
+    collaborators.set(String(clientId) as SocketId, {
+      id: state.user.id,
+      socketId: String(clientId) as SocketId,
+      username: state.user.name,
+      color: state.user.color,
+      pointer: samePage ? state.pointer || undefined : undefined,
+      button: state.button,
+      selectedElementIds: samePage ? state.selectedElementIds : undefined,
+    })
+  })
+  return collaborators
+}
+
+// Invokes `fn` at most once per `ms`, always delivering the latest arguments
+export function throttle<A extends unknown[]>(fn: (...args: A) => void, ms: number) {
+  let last = 0
+  let timer: ReturnType<typeof setTimeout> | null = null
+  let pending: A | null = null
+  return (...args: A) => {
+    pending = args
+    if (timer) return
+    const wait = Math.max(0, last + ms - Date.now())
+    timer = setTimeout(() => {
+      timer = null
+      last = Date.now()
+      if (pending) fn(...pending)
+      pending = null
+    }, wait)
+  }
+}
@@ -0,0 +1,137 @@
+import * as Y from 'yjs'
+import type { ExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import { LOCAL_ORIGIN } from './scene-sync'
+import type { AwarenessUser } from './collaborators'
+import { MAIN_PAGE_ID } from './pages'
+
+/**
+ * Comment threads, stored in the doc's `comments` Y.Map (thread ID -> thread).
+ *
+ * Each thread is a nested Y.Map, and its comments a Y.Array, so concurrent
+ * replies (including ones written offline) are all kept, and resolving is a
+ * single last-writer-wins key. The first comment of a thread is its opening
+ * comment; the rest are replies.
+ *
+ * A thread is anchored to an element: its marker sits at a fixed offset from
+ * the element's top-left corner, so it follows the element when it moves. The
+ * scene position it was placed at is kept too, for threads on the bare canvas
+ * and for when the element is deleted. Threads belong to the page they were
+ * started on; threads from before pages existed are on the first page.
+ */
+
+export type YComments = Y.Map<Y.Map<unknown>>
+
+export interface CommentAuthor {
+  id: string
+  name: string
+  color: string
+}
+
+export interface Comment {
+  id: string
+  author: CommentAuthor
+  text: string
+  createdAt: number
+}
+
+export interface CommentAnchor {
+  x: number
+  y: number
+  page?: string
+  elementId?: string
+  offsetX?: number
+  offsetY?: number
+}
+
+export interface CommentThread {
+  id: string
+  anchor: CommentAnchor
+  resolved: boolean
+  createdAt: number
+  comments: Comment[]
+}
+
+export const MAX_COMMENT_LENGTH = 2000
+
+const authorOf = (user: AwarenessUser): CommentAuthor => ({
+  id: user.id,
+  name: user.name,
+  color: user.color.stroke,
+})
+
+const newComment = (user: AwarenessUser, text: string): Comment => ({
+  id: crypto.randomUUID(),
+  author: authorOf(user),
+  text: text.trim().slice(0, MAX_COMMENT_LENGTH),
+  createdAt: Date.now(),
+})
+
+// Threads as plain objects, oldest first
+export function readThreads(yComments: YComments): CommentThread[] {
+  const threads: CommentThread[] = []
+  yComments.forEach((yThread, id) => {
+    const comments = yThread.get('comments') as Y.Array<Comment> | undefined
+    if (!comments || comments.length === 0) return
+    threads.push({
+      id,
+      anchor: yThread.get('anchor') as CommentAnchor,
+      resolved: Boolean(yThread.get('resolved')),
+      createdAt: yThread.get('createdAt') as number,
+      comments: comments.toArray(),
+    })
+  })
+  return threads.sort((a, b) => a.createdAt - b.createdAt)
+}
+
+export const threadPage = (thread: CommentThread) => thread.anchor.page ?? MAIN_PAGE_ID
+
+// Anchors a new thread on `page` to `element` (at its top-right corner), or to a point on the canvas
+export function anchorAt(page: string, element: ExcalidrawElement | null, x: number, y: number): CommentAnchor {
+  if (!element) return { x, y, page }
+  return {
+    x: element.x + element.width,
+    y: element.y,
+    page,
+    elementId: element.id,
+    offsetX: element.width,
+    offsetY: 0,
+  }
+}
+
+// Where a thread's marker goes: next to its element if that still exists
+export function anchorPosition(anchor: CommentAnchor, elements: Map<string, ExcalidrawElement>) {
+  const element = anchor.elementId ? elements.get(anchor.elementId) : undefined
+  if (!element || element.isDeleted) return { x: anchor.x, y: anchor.y, attached: false }
+  return {
+    x: element.x + (anchor.offsetX ?? 0),
+    y: element.y + (anchor.offsetY ?? 0),
+    attached: true,
+  }
+}
+
+export function createThread(yComments: YComments, anchor: CommentAnchor, user: AwarenessUser, text: string) {
+  const id = crypto.randomUUID()
+  yComments.doc?.transact(() => {
+    const yThread = new Y.Map<unknown>()
+    const comments = new Y.Array<Comment>()
+    comments.push([newComment(user, text)])
+    yThread.set('anchor', anchor)
+    yThread.set('resolved', false)
+    yThread.set('createdAt', Date.now())
+    yThread.set('comments', comments)
+    yComments.set(id, yThread)
+  }, LOCAL_ORIGIN)
+  return id
+}
+
+export function addReply(yComments: YComments, threadId: string, user: AwarenessUser, text: string) {
+  const comments = yComments.get(threadId)?.get('comments') as Y.Array<Comment> | undefined
+  if (!comments) return
+  yComments.doc?.transact(() => comments.push([newComment(user, text)]), LOCAL_ORIGIN)
+}
+
+export function setResolved(yComments: YComments, threadId: string, resolved: boolean) {
+  const yThread = yComments.get(threadId)
+  if (!yThread) return
+  yComments.doc?.transact(() => yThread.set('resolved', resolved), LOCAL_ORIGIN)
+}
@@ -0,0 +1,145 @@
+import type * as Y from 'yjs'
+import type { WebsocketProvider } from 'y-websocket'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import { isPageElements } from './pages'
+
+/**
+ * Connection state shown in the share panel.
+ *
+ * - status: derived from the `WebsocketProvider`:
+ *     connecting   - first connection / initial sync in progress
+ *     synced       - connected and the initial sync finished
+ *     reconnecting - lost a synced connection, retrying with backoff
+ *     offline      - the browser is offline, or the provider stopped retrying
+ * - pending: elements (on any page) edited locally while not synced. They are
+ *   pushed as soon as the connection is back (the Sync Step 2 that follows reconnecting).
+ * - peers: everyone in the room (this tab included), from the backend's
+ *   `messageStats` reply; null until the first reply arrives.
+ */
+
+export type ConnectionStatus = 'connecting' | 'synced' | 'reconnecting' | 'offline'
+
+export interface ConnectionInfo {
+  status: ConnectionStatus
+  pending: number
+  peers: number | null
+}
+
+// Message type the backend answers with the room's participant count
+const messageStats = 10
+
+// Message type the backend sends when it refused one of our updates: [quota, message]
+const messageQuotaExceeded = 11
+
+// Ask for a fresh participant count this often while connected
+const STATS_INTERVAL_MS = 10_000
+
+/**
+ * watchConnection
+ * ---------------
+ * Calls `onChange` whenever the provider's status, the number of pending
+ * local changes or the participant count changes. Returns a cleanup function.
+ */
+export function watchConnection(
+  provider: WebsocketProvider,
+  yDoc: Y.Doc,
+  onChange: (info: ConnectionInfo) => void
+) {
+  let wasSynced = false
+  let peers: number | null = null
+  const pending = new Set<string>()
+
+  const status = (): ConnectionStatus => {
+    if (provider.wsconnected && provider.synced) return 'synced'
+    if (!provider.shouldConnect || (typeof navigator !== 'undefined' && !navigator.onLine)) return 'offline'
+    return wasSynced ? 'reconnecting' : 'connecting'
+  }
+
+  const emit = () => onChange({ status: status(), pending: pending.size, peers })
+
+  const requestStats = () => {
+    const ws = provider.ws
+    if (!provider.wsconnected || !ws || ws.readyState !== WebSocket.OPEN) return
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageStats)
+    ws.send(encoding.toUint8Array(encoder))
+  }
+
+  provider.messageHandlers[messageStats] = (_encoder, decoder) => {
+    peers = decoding.readVarUint(decoder)
+    emit()
+  }
+
+  const onSync = (isSynced: boolean) => {
+    if (isSynced) {
+      wasSynced = true
+      // Our Sync Step 2 (with everything the server was missing) went out before the server's arrived
+      pending.clear()
+      requestStats()
+    }
+    emit()
+  }
+
+  // Local edits (and undo/redo) made while not synced are waiting to be pushed
+  const onTransaction = (transaction: Y.Transaction) => {
+    if (!transaction.local || provider.synced) return
+    let edited = false
+    transaction.changed.forEach((keys, type) => {
+      if (!isPageElements(yDoc, type)) return
+      edited = true
+      keys.forEach((key) => {
+        if (key !== null) pending.add(key)
+      })
+    })
+    if (edited) emit()
+  }
+
+  // Someone joined or left: refresh the count
+  const onAwarenessChange = ({ added, removed }: { added: number[]; removed: number[] }) => {
+    if (added.length > 0 || removed.length > 0) requestStats()
+  }
+
+  provider.on('status', emit)
+  provider.on('sync', onSync)
+  provider.awareness.on('change', onAwarenessChange)
+  yDoc.on('afterTransaction', onTransaction)
+  window.addEventListener('online', emit)
+  window.addEventListener('offline', emit)
+  const statsTimer = setInterval(requestStats, STATS_INTERVAL_MS)
+  requestStats()
+  emit()
+
+  return () => {
+    clearInterval(statsTimer)
+    provider.off('status', emit)
+    provider.off('sync', onSync)
+    provider.awareness.off('change', onAwarenessChange)
+    yDoc.off('afterTransaction', onTransaction)
+    window.removeEventListener('online', emit)
+    window.removeEventListener('offline', emit)
+    delete provider.messageHandlers[messageStats]
+  }
+}
+
+/**
+ * watchQuota
+ * ----------
+ * Calls `onExceeded` with the backend's explanation whenever it refuses one
+ * of our updates because the room is full. Returns a cleanup function.
+ */
+export function watchQuota(provider: WebsocketProvider, onExceeded: (message: string) => void) {
+  provider.messageHandlers[messageQuotaExceeded] = (_encoder, decoder) => {
+    decoding.readVarString(decoder) // Which quota: 'doc_size' or 'elements'
+    onExceeded(decoding.readVarString(decoder))
+  }
+  return () => {
+    delete provider.messageHandlers[messageQuotaExceeded]
+  }
+}
+
+// Drops the current connection (if any) and connects again right away
+export function reconnect(provider: WebsocketProvider) {
+  provider.disconnect()
+  provider.connect()
+}
@@ -0,0 +1,304 @@
+import * as Y from 'yjs'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+
+/**
+ * End-to-end encrypted rooms.
+ *
+ * - The room key is an AES-GCM key generated in the browser. It travels only
+ *   in the link's `#key=` fragment, which browsers never send to a server.
+ * - The backend can't read these rooms: it stores and relays an opaque log of
+ *   encrypted updates (see the backend's encrypted-log.ts).
+ * - `encryptedWebSocket` slots under y-websocket as its WebSocket. It turns
+ *   the provider's sync and awareness messages into encrypted log entries and
+ *   back, so the provider, awareness and everything built on them work
+ *   unchanged.
+ * - When the log gets long, the backend asks a client to compact it: the
+ *   client uploads an encrypted snapshot of its doc that replaces every entry
+ *   it had seen.
+ * - Images are encrypted with the same key before they are uploaded.
+ */
+
+// Keep in sync with the backend's encrypted-log.ts
+const ENCRYPTED_ROOM_PREFIX = 'e2e-'
+const messageSync = 0
+const messageAwareness = 1
+// Sync message subtypes, as in y-protocols/sync
+const messageYjsSyncStep1 = 0
+const messageYjsSyncStep2 = 1
+const messageYjsUpdate = 2
+const messageE2EUpdate = 20
+const messageE2EAwareness = 21
+const messageE2ECompact = 22
+const messageE2ESync = 23
+const messageE2EAck = 24
+const messageE2ELeave = 25
+
+// AES-GCM nonce, prepended to every ciphertext
+const IV_BYTES = 12
+
+export const isEncryptedRoom = (roomId: string) => roomId.startsWith(ENCRYPTED_ROOM_PREFIX)
+
+const toBase64Url = (bytes: Uint8Array) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+const fromBase64Url = (text: string) =>
+  Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0))
+
+// A new room key, encoded for the link fragment
+export async function generateRoomKey(): Promise<string> {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+  return toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', key)))
+}
+
+export const importRoomKey = (encoded: string) =>
+  crypto.subtle.importKey('raw', fromBase64Url(encoded), 'AES-GCM', false, ['encrypt', 'decrypt'])
+
+// The room key from a location hash like `#key=...`, or null
+export function readRoomKey(hash: string): string | null {
+  return new URLSearchParams(hash.replace(/^#/, '')).get('key')
+}
+
+export async function encrypt(key: CryptoKey, data: Uint8Array): Promise<Uint8Array<ArrayBuffer>> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES))
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data.slice()))
+  const message = new Uint8Array(IV_BYTES + ciphertext.length)
+  message.set(iv)
+  message.set(ciphertext, IV_BYTES)
+  return message
+}
+
+// Throws if the data wasn't encrypted with this key (or was tampered with)
+export async function decrypt(key: CryptoKey, message: Uint8Array): Promise<Uint8Array<ArrayBuffer>> {
+  const iv = message.slice(0, IV_BYTES)
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, message.slice(IV_BYTES)))
+}
+
+// --- Transport --------------------------------------------------------------
+
+// An update with no structs and an empty delete set, i.e. nothing to send
+const isEmptyUpdate = (update: Uint8Array) => update.length === 2 && update[0] === 0 && update[1] === 0
+
+// Client IDs and clocks in an awareness update (`[count, ...(clientId, clock, state)]`)
+function readAwarenessClocks(update: Uint8Array) {
+  const decoder = decoding.createDecoder(update)
+  const clocks = new Map<number, number>()
+  for (let count = decoding.readVarUint(decoder); count > 0; count--) {
+    const clientId = decoding.readVarUint(decoder)
+    clocks.set(clientId, decoding.readVarUint(decoder))
+    decoding.readVarString(decoder)
+  }
+  return clocks
+}
+
+const encodeUpdate = (write: (encoder: encoding.Encoder) => void) => {
+  const encoder = encoding.createEncoder()
+  write(encoder)
+  return encoding.toUint8Array(encoder)
+}
+
+const encodeMessage = (type: number, write: (encoder: encoding.Encoder) => void) =>
+  encodeUpdate((encoder) => {
+    encoding.writeVarUint(encoder, type)
+    write(encoder)
+  })
+
+// Reads the `[count, ...clientIds]` prefix of awareness and leave messages
+const readClientIds = (decoder: decoding.Decoder) => {
+  const ids: number[] = []
+  for (let count = decoding.readVarUint(decoder); count > 0; count--) ids.push(decoding.readVarUint(decoder))
+  return ids
+}
+
+/**
+ * encryptedWebSocket
+ * ------------------
+ * A WebSocket class for y-websocket's `WebSocketPolyfill` option. What the
+ * provider sends is encrypted on the way out; what the relay sends is
+ * decrypted and replayed to the provider as ordinary Yjs messages:
+ *
+ *   log on connect   -> Sync Step 2 with the merged log, preceded by a Sync
+ *                       Step 1 with its state vector, so the provider answers
+ *                       with exactly the edits the log is missing
+ *   update           -> Sync update
+ *   awareness        -> awareness update
+ *   leave            -> awareness update removing those clients
+ *
+ * Anything else (e.g. participant counts) passes through untouched.
+ * `onError` is called with an explanation for the user when a message can't
+ * be decrypted (e.g. the link has the wrong key) or encrypted.
+ */
+export function encryptedWebSocket(doc: Y.Doc, encodedKey: string, onError: (message: string) => void) {
+  const keyPromise = importRoomKey(encodedKey)
+
+  return class EncryptedWebSocket {
+    static readonly CONNECTING = WebSocket.CONNECTING
+    static readonly OPEN = WebSocket.OPEN
+    static readonly CLOSING = WebSocket.CLOSING
+    static readonly CLOSED = WebSocket.CLOSED
+    readonly CONNECTING = WebSocket.CONNECTING
+    readonly OPEN = WebSocket.OPEN
+    readonly CLOSING = WebSocket.CLOSING
+    readonly CLOSED = WebSocket.CLOSED
+
+    binaryType: BinaryType = 'arraybuffer'
+    onopen: ((event: Event) => void) | null = null
+    onmessage: ((event: { data: ArrayBuffer }) => void) | null = null
+    onclose: ((event: CloseEvent) => void) | null = null
+    onerror: ((event: Event) => void) | null = null
+
+    private ws: WebSocket
+    // Highest log sequence number we have (received or had acknowledged)
+    private lastSeq = 0
+    // Last known awareness clock per client, to remove clients that left
+    private clocks = new Map<number, number>()
+    // Decryption and encryption are async; chains keep both directions in order
+    private incoming = Promise.resolve()
+    private outgoing = Promise.resolve()
+
+    constructor(url: string, protocols?: string | string[]) {
+      this.ws = new WebSocket(url, protocols)
+      this.ws.binaryType = 'arraybuffer'
+      this.ws.onopen = (event) => this.onopen?.(event)
+      this.ws.onclose = (event) => this.onclose?.(event)
+      this.ws.onerror = (event) => this.onerror?.(event)
+      this.ws.onmessage = (event) => {
+        const data = new Uint8Array(event.data as ArrayBuffer)
+        this.incoming = this.incoming.then(() => this.receive(data)).catch(() => {
+          onError('Some changes on this board could not be decrypted. Check that the link has the right key.')
+        })
+      }
+    }
+
+    get readyState() {
+      return this.ws.readyState
+    }
+
+    send(data: ArrayBuffer | Uint8Array) {
+      const bytes = new Uint8Array(data)
+      this.outgoing = this.outgoing.then(() => this.transmit(bytes)).catch(() => {
+        onError('Your changes could not be encrypted, so they were not sent. Reload the board to try again.')
+      })
+    }
+
+    close(code?: number, reason?: string) {
+      this.ws.close(code, reason)
+    }
+
+    private deliver(data: Uint8Array) {
+      if (this.ws.readyState === WebSocket.OPEN) this.onmessage?.({ data: data.slice().buffer })
+    }
+
+    private sendRaw(data: Uint8Array) {
+      if (this.ws.readyState === WebSocket.OPEN) this.ws.send(data)
+    }
+
+    private async transmit(data: Uint8Array) {
+      const key = await keyPromise
+      const decoder = decoding.createDecoder(data)
+      const type = decoding.readVarUint(decoder)
+
+      if (type === messageSync) {
+        // The relay sends its log on connect; it has no state vector to answer a Step 1 with
+        if (decoding.readVarUint(decoder) === messageYjsSyncStep1) return
+        // Step 2 and updates both carry an update
+        const update = decoding.readVarUint8Array(decoder)
+        if (isEmptyUpdate(update)) return
+        const ciphertext = await encrypt(key, update)
+        this.sendRaw(encodeMessage(messageE2EUpdate, (e) => encoding.writeVarUint8Array(e, ciphertext)))
+      } else if (type === messageAwareness) {
+        const update = decoding.readVarUint8Array(decoder)
+        const clientIds = Array.from(readAwarenessClocks(update).keys())
+        const ciphertext = await encrypt(key, update)
+        this.sendRaw(encodeMessage(messageE2EAwareness, (e) => {
+          encoding.writeVarUint(e, clientIds.length)
+          clientIds.forEach((id) => encoding.writeVarUint(e, id))
+          encoding.writeVarUint8Array(e, ciphertext)
+        }))
+      } else {
+        this.sendRaw(data)
+      }
+    }
+
+    private async receive(data: Uint8Array) {
+      const key = await keyPromise
+      const decoder = decoding.createDecoder(data)
+
+      switch (decoding.readVarUint(decoder)) {
+        case messageE2ESync: {
+          const lastSeq = decoding.readVarUint(decoder)
+          const updates: Uint8Array[] = []
+          for (let count = decoding.readVarUint(decoder); count > 0; count--) {
+            updates.push(await decrypt(key, decoding.readVarUint8Array(decoder)))
+          }
+          this.lastSeq = lastSeq
+          const state = updates.length > 0 ? Y.mergeUpdates(updates) : Y.encodeStateAsUpdate(new Y.Doc())
+          // Step 1 first: the provider answers with the edits the log doesn't have yet (e.g. made offline)
+          this.deliver(encodeMessage(messageSync, (e) => {
+            encoding.writeVarUint(e, messageYjsSyncStep1)
+            encoding.writeVarUint8Array(e, Y.encodeStateVectorFromUpdate(state))
+          }))
+          // Step 2 applies the log and marks the provider as synced
+          this.deliver(encodeMessage(messageSync, (e) => {
+            encoding.writeVarUint(e, messageYjsSyncStep2)
+            encoding.writeVarUint8Array(e, state)
+          }))
+          break
+        }
+
+        case messageE2EUpdate: {
+          this.lastSeq = Math.max(this.lastSeq, decoding.readVarUint(decoder))
+          const update = await decrypt(key, decoding.readVarUint8Array(decoder))
+          this.deliver(encodeMessage(messageSync, (e) => {
+            encoding.writeVarUint(e, messageYjsUpdate)
+            encoding.writeVarUint8Array(e, update)
+          }))
+          break
+        }
+
+        case messageE2EAck:
+          this.lastSeq = Math.max(this.lastSeq, decoding.readVarUint(decoder))
+          break
+
+        case messageE2EAwareness: {
+          readClientIds(decoder)
+          const update = await decrypt(key, decoding.readVarUint8Array(decoder))
+          readAwarenessClocks(update).forEach((clock, clientId) => this.clocks.set(clientId, clock))
+          this.deliver(encodeMessage(messageAwareness, (e) => encoding.writeVarUint8Array(e, update)))
+          break
+        }
+
+        case messageE2ELeave: {
+          // A null state at the current clock removes a client
+          const clientIds = readClientIds(decoder).filter((id) => this.clocks.has(id))
+          if (clientIds.length === 0) break
+          const update = encodeUpdate((e) => {
+            encoding.writeVarUint(e, clientIds.length)
+            clientIds.forEach((id) => {
+              encoding.writeVarUint(e, id)
+              encoding.writeVarUint(e, this.clocks.get(id)!)
+              encoding.writeVarString(e, 'null')
+            })
+          })
+          clientIds.forEach((id) => this.clocks.delete(id))
+          this.deliver(encodeMessage(messageAwareness, (e) => encoding.writeVarUint8Array(e, update)))
+          break
+        }
+
+        case messageE2ECompact: {
+          // Every entry up to lastSeq has been applied to the doc, so its state can replace them
+          const uptoSeq = this.lastSeq
+          const snapshot = await encrypt(key, Y.encodeStateAsUpdate(doc))
+          this.sendRaw(encodeMessage(messageE2ECompact, (e) => {
+            encoding.writeVarUint(e, uptoSeq)
+            encoding.writeVarUint8Array(e, snapshot)
+          }))
+          break
+        }
+
+        default:
+          this.deliver(data)
+      }
+    }
+  }
+}
@@ -0,0 +1,203 @@
+import * as Y from 'yjs'
+import type { ExcalidrawElement, FileId } from '@excalidraw/excalidraw/element/types'
+import type { BinaryFileData, BinaryFiles, DataURL, ExcalidrawImperativeAPI } from '@excalidraw/excalidraw/types'
+import { HTTP_URL } from './backend'
+import { createStore } from './idb'
+import { decrypt, encrypt, importRoomKey } from './e2e'
+
+/**
+ * Image sync.
+ *
+ * Image bytes are uploaded to the backend file store and only their metadata
+ * goes into the doc's `files` Y.Map, so peers learn a file exists without the
+ * bytes bloating every sync. Missing files are downloaded on demand and handed
+ * to Excalidraw with `addFiles`. Every file we see is also cached in IndexedDB
+ * (next to the y-indexeddb doc), so images still render offline. In
+ * encrypted rooms the bytes are encrypted with the room key before upload.
+ */
+
+export interface FileMeta {
+  mimeType: string
+  created: number
+  size: number
+}
+
+export type YFiles = Y.Map<FileMeta>
+
+// Keep in sync with MAX_FILE_BYTES on the backend
+export const MAX_FILE_BYTES = parseInt(process.env.NEXT_PUBLIC_MAX_FILE_BYTES || String(4 * 1024 * 1024), 10)
+
+// Wait before retrying a failed upload or download (e.g. while offline)
+const RETRY_MS = 10_000
+
+const fileUrl = (roomId: string, token: string, fileId: string) =>
+  `${HTTP_URL}/rooms/${roomId}/files/${fileId}?token=${encodeURIComponent(token)}`
+
+// --- IndexedDB cache --------------------------------------------------------
+
+const cacheRequest = createStore('easyboard-files', 'files')
+
+const readCachedFile = (roomId: string, fileId: string) =>
+  cacheRequest<BinaryFileData | undefined>('readonly', (store) => store.get(`${roomId}/${fileId}`))
+
+const cacheFile = (roomId: string, file: BinaryFileData) =>
+  cacheRequest<IDBValidKey>('readwrite', (store) => store.put(file, `${roomId}/${file.id}`))
+
+// Drops every cached image of a room (keys are `<roomId>/<fileId>`)
+export const clearCachedFiles = (roomId: string) =>
+  cacheRequest<undefined>('readwrite', (store) => store.delete(IDBKeyRange.bound(`${roomId}/`, `${roomId}/\uffff`)))
+
+// --- Network ----------------------------------------------------------------
+
+const dataUrlSize = (dataURL: string) => Math.floor(((dataURL.length - dataURL.indexOf(',') - 1) * 3) / 4)
+
+async function putFile(roomId: string, token: string, file: BinaryFileData, key: CryptoKey | null) {
+  const blob = await (await fetch(file.dataURL)).blob()
+  const body = key ? await encrypt(key, new Uint8Array(await blob.arrayBuffer())) : blob
+  const res = await fetch(fileUrl(roomId, token, file.id), {
+    method: 'PUT',
+    headers: { 'Content-Type': key ? 'application/octet-stream' : file.mimeType },
+    body,
+  })
+  if (!res.ok) throw new Error(`Upload failed (${res.status})`)
+}
+
+async function downloadFile(
+  roomId: string,
+  token: string,
+  fileId: string,
+  meta: FileMeta,
+  key: CryptoKey | null
+): Promise<BinaryFileData> {
+  const res = await fetch(fileUrl(roomId, token, fileId))
+  if (!res.ok) throw new Error(`Download failed (${res.status})`)
+  const blob = key
+    ? new Blob([await decrypt(key, new Uint8Array(await res.arrayBuffer()))], { type: meta.mimeType })
+    : await res.blob()
+  const dataURL = await new Promise<string>((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result as string)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+  return {
+    id: fileId as FileId,
+    mimeType: meta.mimeType as BinaryFileData['mimeType'],
+    dataURL: dataURL as DataURL,
+    created: meta.created,
+    lastRetrieved: Date.now(),
+  }
+}
+
+// --- Sync -------------------------------------------------------------------
+
+/**
+ * createFileSync
+ * --------------
+ * Wires Excalidraw's files to the room. Call `syncFiles` from `onChange`: it
+ * uploads files added locally and loads files referenced by image elements
+ * (cache first, then network). Files announced in the `files` map by peers
+ * are loaded as soon as they appear. View-only clients never upload.
+ * `roomKey` is set for encrypted rooms.
+ */
+export function createFileSync(
+  api: ExcalidrawImperativeAPI,
+  yFiles: YFiles,
+  roomId: string,
+  token: string,
+  readOnly: boolean,
+  roomKey: string | null
+) {
+  const keyPromise = roomKey ? importRoomKey(roomKey) : Promise.resolve(null)
+  const uploading = new Set<string>()
+  const loading = new Set<string>()
+  const uploadFailedAt = new Map<string, number>()
+  const downloadFailedAt = new Map<string, number>()
+  // Files nobody has announced yet that weren't in our cache either; retried once announced
+  const notCached = new Set<string>()
+  const rejected = new Set<string>()
+
+  // Failures are retried every RETRY_MS, so each is only reported the first time it happens
+  const reportFailure = (failedAt: Map<string, number>, fileId: string, message: string) => {
+    if (!failedAt.has(fileId)) api.setToast({ message, closable: true, duration: 10000 })
+    failedAt.set(fileId, Date.now())
+  }
+
+  const recentlyFailed = (failedAt: Map<string, number>, fileId: string) =>
+    Date.now() - (failedAt.get(fileId) ?? 0) < RETRY_MS
+
+  const loadFile = (fileId: string) => {
+    if (api.getFiles()[fileId] || loading.has(fileId) || recentlyFailed(downloadFailedAt, fileId)) return
+    const meta = yFiles.get(fileId)
+    if (!meta && notCached.has(fileId)) return
+
+    loading.add(fileId)
+    readCachedFile(roomId, fileId)
+      .catch(() => undefined)
+      .then(async (cached) => {
+        if (cached) return cached
+        if (!meta) {
+          notCached.add(fileId)
+          return null
+        }
+        const file = await downloadFile(roomId, token, fileId, meta, await keyPromise)
+        cacheFile(roomId, file).catch(() => {})
+        return file
+      })
+      .then((file) => {
+        if (!file) return
+        downloadFailedAt.delete(fileId)
+        api.addFiles([file])
+      })
+      .catch(() =>
+        reportFailure(downloadFailedAt, fileId, 'An image on this board could not be loaded.')
+      )
+      .finally(() => loading.delete(fileId))
+  }
+
+  const uploadFile = (file: BinaryFileData) => {
+    if (yFiles.has(file.id) || uploading.has(file.id) || rejected.has(file.id)) return
+    if (recentlyFailed(uploadFailedAt, file.id)) return
+
+    const size = dataUrlSize(file.dataURL)
+    if (size > MAX_FILE_BYTES) {
+      rejected.add(file.id)
+      api.setToast({ message: `Image is too large to share (max ${Math.round(MAX_FILE_BYTES / 1024 / 1024)} MB)` })
+      return
+    }
+
+    uploading.add(file.id)
+    // Cache first, so the image survives a reload even if we're offline right now
+    cacheFile(roomId, file).catch(() => {})
+    keyPromise
+      .then((key) => putFile(roomId, token, file, key))
+      .then(() => {
+        uploadFailedAt.delete(file.id)
+        yFiles.set(file.id, { mimeType: file.mimeType, created: file.created, size })
+      })
+      .catch(() =>
+        reportFailure(uploadFailedAt, file.id, 'An image could not be uploaded, so others can\'t see it yet.')
+      )
+      .finally(() => uploading.delete(file.id))
+  }
+
+  const syncFiles = (elements: readonly ExcalidrawElement[], files: BinaryFiles) => {
+    if (!readOnly) Object.values(files).forEach(uploadFile)
+    elements.forEach((el) => {
+      if (el.type === 'image' && el.fileId && !el.isDeleted) loadFile(el.fileId)
+    })
+  }
+
+  const observer = (event: Y.YMapEvent<FileMeta>) => {
+    event.keysChanged.forEach((fileId) => {
+      notCached.delete(fileId)
+      loadFile(fileId)
+    })
+  }
+  yFiles.observe(observer)
+
+  return {
+    syncFiles,
+    destroy: () => yFiles.unobserve(observer),
+  }
+}
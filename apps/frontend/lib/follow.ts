@@ -0,0 +1,233 @@
+import type {
+  AppState,
+  ExcalidrawImperativeAPI,
+  NormalizedZoomValue,
+  OnUserFollowedPayload,
+  SocketId,
+} from '@excalidraw/excalidraw/types'
+import type { WebsocketProvider } from 'y-websocket'
+import { pageOf, throttle, type AwarenessState, type AwarenessUser, type Viewport } from './collaborators'
+
+/**
+ * Follow mode and presenter mode, built on awareness.
+ *
+ * - Every client publishes the part of the scene it can see (`viewport`), in
+ *   scene coordinates, so screens of any size can follow each other.
+ * - Following someone fits our view to theirs whenever they scroll or zoom.
+ *   Who we follow is Excalidraw's `appState.userToFollow` (also set from its
+ *   own user list), which it clears as soon as we pan, zoom or touch the
+ *   canvas: following lasts until we interact.
+ * - Presenting sets `presenting` in awareness and everyone else starts
+ *   following us. Presentations are ordered by when we heard of them rather
+ *   than by their timestamps, so clock skew between browsers doesn't matter;
+ *   starting one ends whichever was running before.
+ * - Viewports are per page: following someone on another page (including a
+ *   presenter) switches to their page first.
+ */
+
+export interface Participant {
+  clientId: number
+  user: AwarenessUser
+  presenting: boolean
+  page: string
+}
+
+export interface FollowState {
+  // Everyone else in the room, in awareness order
+  participants: Participant[]
+  following: number | null
+  presenting: boolean
+}
+
+type Awareness = WebsocketProvider['awareness']
+
+// Same limits as Excalidraw's own zoom
+const MIN_ZOOM = 0.1
+const MAX_ZOOM = 30
+
+// Scrolling fires on every frame; ~10 updates/s keeps followers smooth enough
+const VIEWPORT_THROTTLE_MS = 100
+
+export const visibleViewport = (appState: AppState): Viewport => ({
+  x: -appState.scrollX,
+  y: -appState.scrollY,
+  width: appState.width / appState.zoom.value,
+  height: appState.height / appState.zoom.value,
+})
+
+// Scrolls and zooms so `viewport` fits, centred, in our own canvas
+function fitViewport(excalidrawAPI: ExcalidrawImperativeAPI, viewport: Viewport) {
+  const { width, height } = excalidrawAPI.getAppState()
+  const fit = Math.min(width / viewport.width, height / viewport.height)
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, fit))
+  excalidrawAPI.updateScene({
+    appState: {
+      zoom: { value: zoom as NormalizedZoomValue },
+      scrollX: width / 2 / zoom - (viewport.x + viewport.width / 2),
+      scrollY: height / 2 / zoom - (viewport.y + viewport.height / 2),
+    },
+  })
+}
+
+/**
+ * createFollowMode
+ * ----------------
+ * Applies followed/presented viewports to the canvas and calls `onChange`
+ * with the participants, who we follow and whether we are presenting.
+ * `onPage` is called to switch to the page of whoever we follow.
+ */
+export function createFollowMode(
+  excalidrawAPI: ExcalidrawImperativeAPI,
+  awareness: Awareness,
+  onChange: (state: FollowState) => void,
+  onPage: (pageId: string) => void
+) {
+  // Remote presentations we know of, with the order we heard of them in
+  const presentations = new Map<number, { since: number; order: number }>()
+  let order = 0
+  // Our own presentation's order, or null when not presenting
+  let presentingOrder: number | null = null
+  // The presenter we last followed automatically
+  let presenter: number | null = null
+  let lastViewport = ''
+
+  const states = () => awareness.getStates() as Map<number, AwarenessState>
+
+  const following = () => {
+    const socketId = excalidrawAPI.getAppState().userToFollow?.socketId
+    return socketId ? Number(socketId) : null
+  }
+
+  const emit = () => {
+    const participants: Participant[] = []
+    states().forEach((state, clientId) => {
+      if (clientId === awareness.clientID || !state.user) return
+      participants.push({ clientId, user: state.user, presenting: clientId === presenter, page: pageOf(state) })
+    })
+    onChange({ participants, following: following(), presenting: presentingOrder !== null })
+  }
+
+  // The viewport is fitted by `onUserFollow` once Excalidraw has switched
+  const follow = (clientId: number | null) => {
+    const user = clientId === null ? undefined : states().get(clientId)?.user
+    excalidrawAPI.updateScene({
+      appState: {
+        userToFollow: clientId !== null && user ? { socketId: String(clientId) as SocketId, username: user.name } : null,
+      },
+    })
+  }
+
+  const setPresenting = (on: boolean) => {
+    if (on) {
+      presentingOrder = ++order
+      follow(null)
+    } else {
+      presentingOrder = null
+    }
+    awareness.setLocalStateField('presenting', on ? Date.now() : null)
+    emit()
+  }
+
+  // The most recent presentation other than ours
+  const latestPresentation = () => {
+    let latest: { clientId: number; order: number } | null = null
+    for (const [clientId, presentation] of presentations) {
+      if (!latest || presentation.order > latest.order) latest = { clientId, order: presentation.order }
+    }
+    return latest
+  }
+
+  const onAwarenessChange = ({ updated }: { added: number[]; updated: number[]; removed: number[] }) => {
+    const current = states()
+    presentations.forEach((_, clientId) => {
+      if (!current.get(clientId)?.presenting) presentations.delete(clientId)
+    })
+    current.forEach((state, clientId) => {
+      if (clientId === awareness.clientID || !state.presenting) return
+      if (presentations.get(clientId)?.since !== state.presenting) {
+        presentations.set(clientId, { since: state.presenting, order: ++order })
+      }
+    })
+
+    const latest = latestPresentation()
+    // Someone started presenting after us: they take over
+    if (latest && presentingOrder !== null && latest.order > presentingOrder) {
+      presentingOrder = null
+      awareness.setLocalStateField('presenting', null)
+    }
+
+    const next = presentingOrder === null ? latest?.clientId ?? null : null
+    if (next !== presenter) {
+      const previous = presenter
+      presenter = next
+      if (next !== null) {
+        follow(next)
+        const name = current.get(next)?.user?.name ?? 'Someone'
+        excalidrawAPI.setToast({ message: `${name} is presenting. Move the canvas to look around on your own.`, duration: 4000, closable: true })
+      } else if (previous !== null && following() === previous) {
+        follow(null)
+      }
+    }
+
+    const target = following()
+    if (target !== null && !followPage(current.get(target))) {
+      const viewport = updated.includes(target) ? current.get(target)?.viewport : undefined
+      if (viewport) fitViewport(excalidrawAPI, viewport)
+    }
+    emit()
+  }
+
+  // Switches to the page of a followed client if it's on another one. The canvas
+  // calls `refit` once the page is shown.
+  const followPage = (state: AwarenessState | undefined) => {
+    const local = awareness.getLocalState() as AwarenessState | null
+    if (!state || pageOf(state) === pageOf(local ?? {})) return false
+    onPage(pageOf(state))
+    return true
+  }
+
+  const onUserFollow = ({ userToFollow, action }: OnUserFollowedPayload) => {
+    const state = states().get(Number(userToFollow.socketId))
+    if (action === 'FOLLOW' && state?.viewport && !followPage(state)) fitViewport(excalidrawAPI, state.viewport)
+    emit()
+  }
+
+  // Fits the view to whoever we follow; returns false if we follow nobody
+  const refit = () => {
+    const target = following()
+    const viewport = target !== null ? states().get(target)?.viewport : undefined
+    if (viewport) fitViewport(excalidrawAPI, viewport)
+    return viewport !== undefined
+  }
+
+  const sendViewport = throttle((viewport: Viewport) => {
+    awareness.setLocalStateField('viewport', viewport)
+  }, VIEWPORT_THROTTLE_MS)
+
+  // Called with every scene change; only actual scrolls, zooms and resizes are sent
+  const publishViewport = (appState: AppState) => {
+    const viewport = visibleViewport(appState)
+    const key = `${viewport.x},${viewport.y},${viewport.width},${viewport.height}`
+    if (key === lastViewport) return
+    lastViewport = key
+    sendViewport(viewport)
+  }
+
+  awareness.on('change', onAwarenessChange)
+  const unsubscribeFollow = excalidrawAPI.onUserFollow(onUserFollow)
+  onAwarenessChange({ added: [], updated: [], removed: [] })
+
+  return {
+    follow,
+    setPresenting,
+    publishViewport,
+    refit,
+    destroy: () => {
+      awareness.off('change', onAwarenessChange)
+      unsubscribeFollow()
+      if (presentingOrder !== null) awareness.setLocalStateField('presenting', null)
+    },
+  }
+}
+
+export type FollowMode = ReturnType<typeof createFollowMode>
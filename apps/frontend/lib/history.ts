@@ -0,0 +1,43 @@
+import type { ExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import { HTTP_URL } from './backend'
+
+export interface VersionInfo {
+  id: string
+  name: string
+  createdAt: number
+  auto: boolean
+}
+
+const versionsUrl = (roomId: string, token: string, path = '') =>
+  `${HTTP_URL}/rooms/${roomId}/versions${path}?token=${encodeURIComponent(token)}`
+
+async function request<T>(url: string, init?: RequestInit): Promise<T> {
+  const res = await fetch(url, init)
+  if (!res.ok) throw new Error(`History request failed (${res.status})`)
+  return res.json()
+}
+
+export function listVersions(roomId: string, token: string) {
+  return request<VersionInfo[]>(versionsUrl(roomId, token))
+}
+
+export function saveVersion(roomId: string, token: string, name: string) {
+  return request<VersionInfo>(versionsUrl(roomId, token), {
+    method: 'POST',
+    body: JSON.stringify({ name }),
+  })
+}
+
+// A page's elements in a version, or null if the page didn't exist then
+export async function previewVersion(roomId: string, token: string, id: string, page: string) {
+  const res = await fetch(`${versionsUrl(roomId, token, `/${id}`)}&page=${encodeURIComponent(page)}`)
+  if (res.status === 404) return null
+  if (!res.ok) throw new Error(`History request failed (${res.status})`)
+  const { elements } = (await res.json()) as { elements: ExcalidrawElement[] }
+  return elements
+}
+
+// The server writes the old pages and elements back as a new update, so every connected client receives it
+export function restoreVersion(roomId: string, token: string, id: string) {
+  return request<{ restored: boolean }>(versionsUrl(roomId, token, `/${id}/restore`), { method: 'POST' })
+}
@@ -0,0 +1,29 @@
+/**
+ * Minimal promise wrapper around a single-store IndexedDB database. Used for
+ * the local caches that live next to y-indexeddb's per-room databases.
+ */
+export function createStore(dbName: string, storeName: string) {
+  let db: Promise<IDBDatabase> | null = null
+
+  const open = () => {
+    if (!db) {
+      db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(dbName, 1)
+        req.onupgradeneeded = () => req.result.createObjectStore(storeName)
+        req.onsuccess = () => resolve(req.result)
+        req.onerror = () => reject(req.error)
+      })
+    }
+    return db
+  }
+
+  // Runs one request against the store and resolves with its result
+  return async function request<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest): Promise<T> {
+    const conn = await open()
+    return new Promise((resolve, reject) => {
+      const req = run(conn.transaction(storeName, mode).objectStore(storeName))
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+}
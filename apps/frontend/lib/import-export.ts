@@ -0,0 +1,105 @@
+import { MIME_TYPES, exportToBlob, exportToSvg, loadFromBlob, serializeAsJSON } from '@excalidraw/excalidraw'
+import type { ExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import type { ExcalidrawImperativeAPI } from '@excalidraw/excalidraw/types'
+import { generateNKeysBetween } from 'fractional-indexing'
+import { LOCAL_ORIGIN, applyRemoteChanges, type YElements } from './scene-sync'
+
+/**
+ * Getting boards in and out as files.
+ *
+ * - Export writes the current scene as `.excalidraw` JSON, PNG or SVG.
+ * - Import merges a `.excalidraw` file into the shared `elements` Y.Map in a
+ *   single local transaction: everyone sees it at once, and one undo removes
+ *   it. Imported elements get fresh IDs (so importing a board's own export
+ *   adds a copy instead of fighting the originals over versions) and are
+ *   stacked above everything already on the board. Their images go through
+ *   the usual file sync once they're in the scene.
+ */
+
+export type ExportFormat = 'excalidraw' | 'png' | 'svg'
+
+export const IMPORT_ACCEPT = '.excalidraw,.json,application/json,application/vnd.excalidraw+json'
+
+// Board titles can contain anything; file names can't
+const fileName = (title: string) => title.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'board'
+
+function download(blob: Blob, name: string) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export async function exportBoard(api: ExcalidrawImperativeAPI, title: string, format: ExportFormat) {
+  const elements = api.getSceneElements()
+  const appState = { ...api.getAppState(), exportBackground: true }
+  const files = api.getFiles()
+  const name = fileName(title)
+
+  if (format === 'excalidraw') {
+    const json = serializeAsJSON(elements, appState, files, 'local')
+    download(new Blob([json], { type: MIME_TYPES.excalidraw }), `${name}.excalidraw`)
+  } else if (format === 'png') {
+    const blob: Blob = await exportToBlob({ elements, appState, files, mimeType: MIME_TYPES.png })
+    download(blob, `${name}.png`)
+  } else {
+    const svg = await exportToSvg({ elements, appState, files })
+    download(new Blob([svg.outerHTML], { type: MIME_TYPES.svg }), `${name}.svg`)
+  }
+}
+
+// Gives elements new IDs (and groups), keeping the links between them
+function withNewIds(elements: readonly ExcalidrawElement[]): ExcalidrawElement[] {
+  const ids = new Map(elements.map((el) => [el.id, crypto.randomUUID()]))
+  const groups = new Map<string, string>()
+  const id = (old: string) => ids.get(old) ?? old
+  const group = (old: string) => {
+    if (!groups.has(old)) groups.set(old, crypto.randomUUID())
+    return groups.get(old)!
+  }
+  const binding = <B extends { elementId: string } | null>(b: B) => (b ? { ...b, elementId: id(b.elementId) } : b)
+
+  return elements.map((el) => {
+    const copy = {
+      ...el,
+      id: id(el.id),
+      groupIds: el.groupIds.map(group),
+      frameId: el.frameId ? id(el.frameId) : null,
+      boundElements: el.boundElements?.map((bound) => ({ ...bound, id: id(bound.id) })) ?? null,
+    }
+    if ('containerId' in copy && copy.containerId) copy.containerId = id(copy.containerId)
+    if ('startBinding' in copy) copy.startBinding = binding(copy.startBinding)
+    if ('endBinding' in copy) copy.endBinding = binding(copy.endBinding)
+    return copy as ExcalidrawElement
+  })
+}
+
+/**
+ * importBoard
+ * -----------
+ * Loads a `.excalidraw` file and adds its elements to the board. Returns the
+ * number of elements imported; throws if the file isn't a valid scene.
+ */
+export async function importBoard(api: ExcalidrawImperativeAPI, yElements: YElements, file: Blob) {
+  const scene = await loadFromBlob(file, null, null)
+  const imported = scene.elements.filter((el) => !el.isDeleted)
+  if (imported.length === 0) return 0
+
+  const top = api
+    .getSceneElementsIncludingDeleted()
+    .reduce<string | null>((max, el) => (el.index && (!max || el.index > max) ? el.index : max), null)
+  const indices = generateNKeysBetween(top, null, imported.length)
+  const elements = withNewIds(imported).map((el, i) => ({ ...el, index: indices[i], updated: Date.now() }) as ExcalidrawElement)
+
+  api.addFiles(Object.values(scene.files))
+  yElements.doc?.transact(() => {
+    elements.forEach((el) => yElements.set(el.id, el))
+  }, LOCAL_ORIGIN)
+  // Our own transactions aren't applied by the remote observer
+  applyRemoteChanges(api, yElements, elements.map((el) => el.id))
+  const ids = new Set(elements.map((el) => el.id))
+  api.scrollToContent(api.getSceneElements().filter((el) => ids.has(el.id)), { fitToViewport: true, animate: true })
+  return elements.length
+}
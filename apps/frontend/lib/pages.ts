@@ -0,0 +1,150 @@
+import * as Y from 'yjs'
+import type { ExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import { generateKeyBetween } from 'fractional-indexing'
+import { LOCAL_ORIGIN, type YElements } from './scene-sync'
+
+/**
+ * Pages within a board, each with its own elements.
+ *
+ * - `pages` maps page ID -> `{ name, index }`. The fractional `index` orders
+ *   the pages, so a reorder is one last-writer-wins write and two people
+ *   reordering at once can't duplicate or lose a page. Boards that never had
+ *   a second page have no entries: they are a single page.
+ * - The first page of every board (`main`) keeps its elements in the root
+ *   `elements` map, so boards from before pages existed open unchanged.
+ * - Every other page's elements are a nested Y.Map in `pageElements`,
+ *   created together with the page's entry. Deleting a page removes both.
+ *
+ * The backend reads the same layout (apps/backend/pages.ts).
+ */
+
+export interface PageInfo {
+  name: string
+  index: string
+}
+
+export interface Page extends PageInfo {
+  id: string
+}
+
+export type YPages = Y.Map<PageInfo>
+export type YPageElements = Y.Map<YElements>
+
+export const MAIN_PAGE_ID = 'main'
+export const MAX_PAGE_NAME_LENGTH = 60
+
+const DEFAULT_MAIN_PAGE: PageInfo = { name: 'Page 1', index: 'a0' }
+
+const byIndex = (a: Page, b: Page) => (a.index < b.index ? -1 : a.index > b.index ? 1 : a.id < b.id ? -1 : 1)
+
+// The board's pages in order. Pages whose elements haven't arrived yet are left out.
+export function listPages(doc: Y.Doc): Page[] {
+  const pages = doc.getMap<PageInfo>('pages')
+  if (pages.size === 0) return [{ id: MAIN_PAGE_ID, ...DEFAULT_MAIN_PAGE }]
+  const pageElements = doc.getMap<YElements>('pageElements')
+  return Array.from(pages.entries(), ([id, info]) => ({ id, name: info.name, index: info.index }))
+    .filter((page) => page.id === MAIN_PAGE_ID || pageElements.has(page.id))
+    .sort(byIndex)
+}
+
+export function getPageElements(doc: Y.Doc, pageId: string): YElements | undefined {
+  return pageId === MAIN_PAGE_ID ? doc.getMap('elements') : doc.getMap<YElements>('pageElements').get(pageId)
+}
+
+// Whether a shared type (e.g. one a transaction changed) holds the elements of a page
+export function isPageElements(doc: Y.Doc, type: object) {
+  return type === doc.getMap('elements') || (type instanceof Y.AbstractType && type.parent === doc.getMap('pageElements'))
+}
+
+/**
+ * observePages
+ * ------------
+ * Calls `onChange` with the pages whenever one is added, renamed, moved or
+ * deleted. Returns a cleanup function.
+ */
+export function observePages(doc: Y.Doc, onChange: (pages: Page[]) => void) {
+  const pages = doc.getMap<PageInfo>('pages')
+  const pageElements = doc.getMap<YElements>('pageElements')
+  const update = () => onChange(listPages(doc))
+  pages.observe(update)
+  pageElements.observe(update)
+  update()
+  return () => {
+    pages.unobserve(update)
+    pageElements.unobserve(update)
+  }
+}
+
+// The first change to the page list writes out the implicit first page
+function withPages(doc: Y.Doc, change: (pages: YPages) => void) {
+  const pages = doc.getMap<PageInfo>('pages')
+  doc.transact(() => {
+    if (pages.size === 0) pages.set(MAIN_PAGE_ID, DEFAULT_MAIN_PAGE)
+    change(pages)
+  }, LOCAL_ORIGIN)
+}
+
+// Adds a page after the last one and returns its ID
+export function addPage(doc: Y.Doc) {
+  const current = listPages(doc)
+  const id = crypto.randomUUID()
+  withPages(doc, (pages) => {
+    pages.set(id, {
+      name: `Page ${current.length + 1}`,
+      index: generateKeyBetween(current[current.length - 1].index, null),
+    })
+    doc.getMap<YElements>('pageElements').set(id, new Y.Map<ExcalidrawElement>())
+  })
+  return id
+}
+
+export function renamePage(doc: Y.Doc, pageId: string, name: string) {
+  const page = listPages(doc).find((p) => p.id === pageId)
+  const trimmed = name.trim().slice(0, MAX_PAGE_NAME_LENGTH)
+  if (!page || !trimmed || trimmed === page.name) return
+  withPages(doc, (pages) => pages.set(pageId, { name: trimmed, index: page.index }))
+}
+
+// Moves a page one place up (-1) or down (1)
+export function movePage(doc: Y.Doc, pageId: string, direction: -1 | 1) {
+  const current = listPages(doc)
+  const from = current.findIndex((p) => p.id === pageId)
+  const to = from + direction
+  if (from === -1 || to < 0 || to >= current.length) return
+  // Between the neighbours on the other side of the page we swap with
+  const others = current.filter((p) => p.id !== pageId)
+  const before = others[to - 1]?.index ?? null
+  const after = others[to]?.index ?? null
+  withPages(doc, (pages) => pages.set(pageId, { name: current[from].name, index: generateKeyBetween(before, after) }))
+}
+
+/**
+ * deletePage
+ * ----------
+ * Deletes a page and everything on it. The last page can't be deleted. The
+ * first page's elements live in the root `elements` map, which can't be
+ * removed, so it is emptied instead.
+ */
+export function deletePage(doc: Y.Doc, pageId: string) {
+  if (listPages(doc).length <= 1) return
+  withPages(doc, (pages) => {
+    pages.delete(pageId)
+    if (pageId === MAIN_PAGE_ID) {
+      const elements = doc.getMap('elements')
+      Array.from(elements.keys()).forEach((id) => elements.delete(id))
+    } else {
+      doc.getMap<YElements>('pageElements').delete(pageId)
+    }
+  })
+}
+
+// The page named in the room URL (`?page=`), if any
+export const readPageParam = () => new URLSearchParams(window.location.search).get('page')
+
+// Names the page in the room URL, without adding a history entry
+export function writePageParam(pageId: string | null) {
+  const url = new URL(window.location.href)
+  if (pageId) url.searchParams.set('page', pageId)
+  else url.searchParams.delete('page')
+  window.history.replaceState(window.history.state, '', url)
+}
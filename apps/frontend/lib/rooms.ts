@@ -0,0 +1,117 @@
+import type * as Y from 'yjs'
+import { HTTP_URL } from './backend'
+import { createStore } from './idb'
+import { clearCachedFiles } from './files'
+import { roleFromToken } from './share'
+
+/**
+ * Room metadata and the dashboard's list of recently opened boards.
+ *
+ * - Title and description are part of the board itself: the doc's `meta`
+ *   Y.Map, so every collaborator sees renames live.
+ * - The recent list is local to this browser, stored in IndexedDB next to the
+ *   per-room y-indexeddb databases (which are named by `roomId`), together
+ *   with the share token (and key, for encrypted rooms) to reopen the room
+ *   and a thumbnail.
+ */
+
+export type YMeta = Y.Map<string>
+
+export interface RoomMeta {
+  title: string
+  description: string
+}
+
+export interface RecentRoom {
+  roomId: string
+  token: string
+  // Key of an end-to-end encrypted room
+  key?: string
+  title: string
+  openedAt: number
+  thumbnail?: Blob
+}
+
+export const DEFAULT_TITLE = 'Untitled board'
+
+// Keep in sync with the backend's limits for PUT /rooms/:id/meta
+export const MAX_TITLE_LENGTH = 100
+export const MAX_DESCRIPTION_LENGTH = 1000
+
+export const readMeta = (yMeta: YMeta): RoomMeta => ({
+  title: yMeta.get('title') || DEFAULT_TITLE,
+  description: yMeta.get('description') || '',
+})
+
+// --- Recent rooms -----------------------------------------------------------
+
+const roomsRequest = createStore('easyboard-rooms', 'rooms')
+
+export async function listRecentRooms(): Promise<RecentRoom[]> {
+  const rooms = await roomsRequest<RecentRoom[]>('readonly', (store) => store.getAll())
+  return rooms.sort((a, b) => b.openedAt - a.openedAt)
+}
+
+// Updates are read-modify-write, so they run one at a time
+let pendingUpdate: Promise<unknown> = Promise.resolve()
+
+/**
+ * Records that a room was opened (or updates its title/thumbnail). An edit
+ * token is never replaced by a view token, so opening a view link to a board
+ * we can edit doesn't downgrade the dashboard entry.
+ */
+export function rememberRoom(roomId: string, token: string, update: Partial<RecentRoom> = {}) {
+  const run = async () => {
+    const existing = await roomsRequest<RecentRoom | undefined>('readonly', (store) => store.get(roomId))
+    const keepToken = existing && roleFromToken(existing.token) === 'edit' && roleFromToken(token) === 'view'
+    const room: RecentRoom = {
+      title: DEFAULT_TITLE,
+      openedAt: Date.now(),
+      ...existing,
+      ...update,
+      roomId,
+      token: keepToken ? existing.token : token,
+    }
+    await roomsRequest('readwrite', (store) => store.put(room, roomId))
+  }
+  const result = pendingUpdate.then(run, run)
+  pendingUpdate = result.catch(() => {})
+  return result
+}
+
+// Removes a room from this browser: the dashboard entry, the offline copy of the doc and cached images
+export async function forgetRoom(roomId: string) {
+  await roomsRequest('readwrite', (store) => store.delete(roomId))
+  await Promise.all([
+    clearCachedFiles(roomId),
+    new Promise<void>((resolve, reject) => {
+      const req = indexedDB.deleteDatabase(roomId)
+      req.onsuccess = () => resolve()
+      req.onerror = () => reject(req.error)
+    }),
+  ])
+}
+
+// --- Backend ----------------------------------------------------------------
+
+// Renames a room without opening it; connected clients see the change live
+export async function updateRoomMeta(roomId: string, token: string, meta: Partial<RoomMeta>): Promise<RoomMeta> {
+  const res = await fetch(`${HTTP_URL}/rooms/${roomId}/meta?token=${encodeURIComponent(token)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(meta),
+  })
+  if (!res.ok) throw new Error(`Failed to update room (${res.status})`)
+  const saved = await res.json()
+  return { title: saved.title || DEFAULT_TITLE, description: saved.description || '' }
+}
+
+// Copies a board (elements, images, metadata) into a new room and returns its edit token. View links can fork too.
+// An encrypted board's copy is encrypted with the same key.
+export async function duplicateRoom(roomId: string, token: string): Promise<{ roomId: string; token: string }> {
+  const res = await fetch(`${HTTP_URL}/rooms/${roomId}/duplicate?token=${encodeURIComponent(token)}`, {
+    method: 'POST',
+  })
+  if (!res.ok) throw new Error(`Failed to duplicate room (${res.status})`)
+  return res.json()
+}
@@ -0,0 +1,101 @@
+import * as Y from 'yjs'
+import { CaptureUpdateAction, reconcileElements, restoreElements } from '@excalidraw/excalidraw'
+import type { RemoteExcalidrawElement } from '@excalidraw/excalidraw/data/reconcile'
+import type { ExcalidrawElement, OrderedExcalidrawElement } from '@excalidraw/excalidraw/element/types'
+import type { ExcalidrawImperativeAPI } from '@excalidraw/excalidraw/types'
+
+/**
+ * Binding between Excalidraw's scene and the elements of the page shown
+ * (the root `elements` Y.Map, or another page's map; see pages.ts).
+ *
+ * - Local -> Y: only elements whose `version`/`versionNonce` differ from the
+ *   Y.Map are written, one key per element. Deletions are tombstones
+ *   (`isDeleted: true`) written like any other edit; keys are never removed
+ *   just because the local scene doesn't have them yet, so a concurrent remote
+ *   addition can't be clobbered.
+ * - Y -> local: only the keys a remote transaction touched are merged, using
+ *   Excalidraw's `reconcileElements` (highest version wins, and elements the
+ *   user is actively editing are kept). The exception is a value an undo/redo
+ *   brought back (see undo.ts): it carries its old version, so it replaces the
+ *   scene's copy whenever `restoredElements` marks it.
+ */
+
+export type YElements = Y.Map<ExcalidrawElement>
+
+// Transaction origin for edits made on this client
+export const LOCAL_ORIGIN = 'local'
+
+// The version of the value an undo/redo last brought back, by element ID
+export interface RestoreMarker {
+  version: number
+  versionNonce: number
+}
+
+export const restoredElements = (doc: Y.Doc) => doc.getMap<RestoreMarker>('restoredElements')
+
+const isRestored = (el: ExcalidrawElement, marker: RestoreMarker | undefined) =>
+  marker !== undefined && el.version === marker.version && el.versionNonce === marker.versionNonce
+
+const isNewer = (el: ExcalidrawElement, synced: ExcalidrawElement | undefined) =>
+  !synced ||
+  el.version > synced.version ||
+  (el.version === synced.version && el.versionNonce !== synced.versionNonce)
+
+// Writes changed elements to Y.js. Returns the number of elements written.
+export function writeLocalChanges(yElements: YElements, elements: readonly ExcalidrawElement[]) {
+  const changed = elements.filter((el) => isNewer(el, yElements.get(el.id)))
+  if (changed.length === 0) return 0
+
+  yElements.doc?.transact(() => {
+    changed.forEach((el) => yElements.set(el.id, el))
+  }, LOCAL_ORIGIN)
+  return changed.length
+}
+
+// Merges the given keys (or the whole map) from Y.js into the Excalidraw scene
+export function applyRemoteChanges(
+  api: ExcalidrawImperativeAPI,
+  yElements: YElements,
+  keys: Iterable<string> = yElements.keys()
+) {
+  const remote: ExcalidrawElement[] = []
+  const removed = new Set<string>()
+  const restored = new Set<string>()
+  const markers = yElements.doc && restoredElements(yElements.doc)
+  for (const key of keys) {
+    const el = yElements.get(key)
+    if (el) remote.push(el)
+    else removed.add(key)
+    if (el && isRestored(el, markers?.get(key))) restored.add(key)
+  }
+
+  // Restored values win over the newer versions they replace
+  let local = api.getSceneElementsIncludingDeleted()
+  if (restored.size > 0) {
+    local = local.filter((el) => !restored.has(el.id))
+  }
+  let elements: readonly OrderedExcalidrawElement[] = reconcileElements(
+    local,
+    restoreElements(remote, null) as RemoteExcalidrawElement[],
+    api.getAppState()
+  )
+  // Keys removed outright (e.g. by a server-side restore) disappear from the scene
+  if (removed.size > 0) {
+    elements = elements.filter((el) => !removed.has(el.id))
+  }
+
+  api.updateScene({
+    elements,
+    // Remote edits must not land in the local undo stack
+    captureUpdate: CaptureUpdateAction.NEVER,
+  })
+}
+
+// Replaces the scene with the elements of another page
+export function loadElements(api: ExcalidrawImperativeAPI, yElements: YElements) {
+  api.updateScene({
+    elements: restoreElements(Array.from(yElements.values()), null),
+    appState: { selectedElementIds: {}, editingGroupId: null },
+    captureUpdate: CaptureUpdateAction.NEVER,
+  })
+}
@@ -0,0 +1,43 @@
+import { HTTP_URL } from './backend'
+import { generateRoomKey } from './e2e'
+
+export type Role = 'view' | 'edit'
+
+export interface ShareLinks {
+  view: string
+  edit: string | null
+}
+
+// Share tokens look like `<role>.<signature>`; only the server can verify the signature
+export function roleFromToken(token: string): Role {
+  return token.startsWith('edit.') ? 'edit' : 'view'
+}
+
+// Path of a room link. The key of an encrypted room goes in the fragment, which never reaches a server.
+export function roomPath(roomId: string, token: string, key?: string | null) {
+  return `/room/${roomId}?token=${encodeURIComponent(token)}${key ? `#key=${key}` : ''}`
+}
+
+export function roomUrl(roomId: string, token: string, key?: string | null) {
+  return `${window.location.origin}${roomPath(roomId, token, key)}`
+}
+
+// Creates a new room on the backend and returns its edit token. Encrypted rooms also get a fresh key.
+export async function createRoom({ encrypted = false } = {}): Promise<{ roomId: string; token: string; key: string | null }> {
+  const res = await fetch(`${HTTP_URL}/rooms`, {
+    method: 'POST',
+    cache: 'no-store',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ encrypted }),
+  })
+  if (!res.ok) throw new Error(`Failed to create room (${res.status})`)
+  const room = await res.json()
+  return { ...room, key: encrypted ? await generateRoomKey() : null }
+}
+
+// Fetches the share tokens this token is allowed to hand out
+export async function fetchShareLinks(roomId: string, token: string): Promise<ShareLinks> {
+  const res = await fetch(`${HTTP_URL}/rooms/${roomId}/links?token=${encodeURIComponent(token)}`)
+  if (!res.ok) throw new Error(`Failed to fetch share links (${res.status})`)
+  return res.json()
+}
@@ -0,0 +1,65 @@
+import * as Y from 'yjs'
+import { LOCAL_ORIGIN, restoredElements, type YElements } from './scene-sync'
+
+/**
+ * Per-user undo/redo on the elements of one page (see pages.ts).
+ *
+ * Excalidraw's built-in history replays local scene snapshots, so undoing
+ * after a remote update could revert a collaborator's work. Instead, a
+ * `Y.UndoManager` tracks only `LOCAL_ORIGIN` transactions (edits made in this
+ * tab). Remote and offline-merged updates are never on the stack, and undoing
+ * is skipped for any element someone else has changed since.
+ *
+ * The undo manager brings back an element's previous value, including its old
+ * `version`, which reconciliation (here and on every peer) would reject as
+ * stale. Re-stamping it with another write would break the undo manager's
+ * record of what it restored, so instead each undo/redo is followed by an
+ * untracked transaction marking the restored values in `restoredElements`;
+ * reconciliation lets a marked value replace the scene's copy (see
+ * scene-sync.ts).
+ */
+
+// Transaction origin of the restore markers, which are never recorded themselves
+const UNDO_ORIGIN = 'undo'
+
+export function createUndoManager(yElements: YElements) {
+  const undoManager = new Y.UndoManager(yElements, {
+    trackedOrigins: new Set([LOCAL_ORIGIN]),
+    // Consecutive writes (e.g. every frame of a drag) are undone as one step
+    captureTimeout: 500,
+  })
+
+  undoManager.on('stack-item-popped', ({ changedParentTypes }) => {
+    const doc = yElements.doc
+    if (!doc) return
+    const markers = restoredElements(doc)
+    doc.transact(() => {
+      // The undo manager's only scope is `yElements`, so these are all its changes
+      changedParentTypes.forEach((events) => {
+        events.forEach((event) => {
+          event.keys.forEach((_, id) => {
+            // Undoing a creation removes the key, which the scene follows without a marker
+            const element = yElements.get(id)
+            if (element) markers.set(id, { version: element.version, versionNonce: element.versionNonce })
+          })
+        })
+      })
+    }, UNDO_ORIGIN)
+  })
+
+  return {
+    undo: () => undoManager.undo() !== null,
+    redo: () => undoManager.redo() !== null,
+    canUndo: () => undoManager.canUndo(),
+    canRedo: () => undoManager.canRedo(),
+    /** Calls `listener` whenever the undo or redo stack changes. Returns an unsubscribe function. */
+    subscribe: (listener: () => void) => {
+      const events = ['stack-item-added', 'stack-item-popped', 'stack-cleared'] as const
+      events.forEach((event) => undoManager.on(event, listener))
+      return () => events.forEach((event) => undoManager.off(event, listener))
+    },
+    destroy: () => undoManager.destroy(),
+  }
+}
+
+export type CollaborativeUndo = ReturnType<typeof createUndoManager>
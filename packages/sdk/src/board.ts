@@ -0,0 +1,657 @@
+import WebSocket from 'ws'
+import * as Y from 'yjs'
+import * as syncProtocol from 'y-protocols/sync'
+import * as awarenessProtocol from 'y-protocols/awareness'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import {
+  type ArrowElement,
+  type ArrowOptions,
+  type Element,
+  type ShapeElement,
+  type ShapeOptions,
+  type TextElement,
+  type TextOptions,
+  createArrow,
+  createShape,
+  createText,
+  indexAbove,
+  labelPosition,
+  measureText,
+  randomId,
+  randomInteger,
+  routeArrow,
+} from './elements.js'
+
+/**
+ * ============================================================================
+ * BOARD
+ * ============================================================================
+ *
+ * A connection to one Easyboard room, speaking the same protocol as the
+ * browser (y-protocols sync + awareness over the room's WebSocket):
+ *
+ * - Reads and writes go to a local Y.Doc, which is kept in sync with the
+ *   room. Every write is sent to the server right away.
+ * - Acknowledgement: the server handles a connection's messages in order and
+ *   answers each Sync Step 1 with one Step 2. `flush()` sends a Step 1 after
+ *   everything written so far, so its answer means the server has applied
+ *   those writes and relayed them to the room. It doesn't mean they are
+ *   stored: the server writes them to storage in the background. A write
+ *   that went over a quota is answered too, once the server has undone it;
+ *   the quota message sent before that answer makes the flush reject.
+ * - After the first sync, a dropped connection is re-established with
+ *   backoff; the handshake re-sends whatever the server missed.
+ *
+ * End-to-end encrypted rooms can't be used: the server only relays them, and
+ * the SDK doesn't implement the browser's encryption.
+ */
+
+export type BoardErrorCode =
+  | 'read_only' // The token is a view-only link
+  | 'encrypted' // End-to-end encrypted rooms aren't supported
+  | 'unauthorized' // The token isn't valid for this room
+  | 'invalid_room'
+  | 'room_deleted'
+  | 'connection_failed'
+  | 'closed' // The board was closed
+  | 'timeout'
+  | 'doc_size' // The room reached its size quota; the server undid the write
+  | 'elements' // The room reached its element quota; the server undid the write
+  | 'not_found' // No (visible) element, or page, with that ID
+
+export class BoardError extends Error {
+  code: BoardErrorCode
+
+  constructor(code: BoardErrorCode, message: string) {
+    super(message)
+    this.name = 'BoardError'
+    this.code = code
+  }
+}
+
+export interface ConnectOptions {
+  /** HTTP(S) URL of the Easyboard backend, e.g. `https://board-api.example.com` */
+  server: string
+  roomId: string
+  /** Share token of the room (the `token` of its link) */
+  token: string
+  /** Shown to others in the room as a collaborator; the SDK is invisible without one */
+  name?: string
+  /** How long `connect` and `flush` wait for the server, in ms (default 10000) */
+  timeout?: number
+  /** ID of the page to draw on (see `pages()`); the board's first page by default */
+  page?: string
+}
+
+export interface Page {
+  id: string
+  name: string
+}
+
+export interface ChangeEvent {
+  /** IDs of the elements that changed */
+  ids: string[]
+  /** Whether the change came from someone else in the room */
+  remote: boolean
+}
+
+/** Fields `update` can change; the element's identity and versioning are managed by the SDK. */
+export type ElementPatch = Partial<Omit<ShapeElement & TextElement & ArrowElement, 'id' | 'type' | 'version' | 'versionNonce' | 'updated' | 'index'>>
+
+// Pages, as in the backend's pages.ts: the first page keeps its elements in the
+// root `elements` map, every other page in its own map under `pageElements`
+const mainPageId = 'main'
+
+// Message types, as in the backend's raw-server.ts
+const messageSync = 0
+const messageAwareness = 1
+const messageQuotaExceeded = 11
+
+// Close codes that mean reconnecting is pointless, as in the backend
+const closeInvalidRoom = 4400
+const closeRoomDeleted = 4410
+
+const encryptedRoomPrefix = 'e2e-'
+const remoteOrigin = Symbol('remote')
+const minReconnectDelayMs = 1000
+const maxReconnectDelayMs = 30_000
+
+// One flush (or the initial sync) waiting for the server's Step 2
+interface Ack {
+  resolve: () => void
+  reject: (err: BoardError) => void
+  /** Whether its Step 1 went out on the current connection */
+  sent: boolean
+  /** Gave up (timed out) or was refused; its Step 2 is still consumed in order */
+  settled: boolean
+  error: BoardError | null
+  timer: ReturnType<typeof setTimeout> | null
+}
+
+// Resolves or rejects an ack once, and stops its timeout so it doesn't keep the process alive
+const settle = (ack: Ack, error: BoardError | null) => {
+  if (ack.settled) return
+  ack.settled = true
+  if (ack.timer) clearTimeout(ack.timer)
+  if (error) ack.reject(error)
+  else ack.resolve()
+}
+
+// Awareness colors, like the browser picks for its users
+const colors = ['#e03131', '#2f9e44', '#1971c2', '#f08c00', '#9c36b5', '#0c8599']
+
+/**
+ * createRoom
+ * ----------
+ * Creates a new (unencrypted) room and returns its ID and edit token.
+ */
+export const createRoom = async (server: string): Promise<{ roomId: string; token: string }> => {
+  const response = await fetch(new URL('/rooms', server), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}',
+  })
+  if (!response.ok) throw new BoardError('connection_failed', `Failed to create a room: HTTP ${response.status}`)
+  return response.json() as Promise<{ roomId: string; token: string }>
+}
+
+/**
+ * Board
+ * -----
+ * Use `Board.connect` to open one. Writes (`add*`, `update`, `delete`) apply
+ * locally and return at once; `await board.flush()` (or `transact`) to know
+ * the server accepted them.
+ */
+export class Board {
+  readonly roomId: string
+  readonly readOnly: boolean
+  readonly doc: Y.Doc
+  private pageId: string
+  private elements: Y.Map<Element>
+  private options: ConnectOptions
+  private timeoutMs: number
+  private awareness: awarenessProtocol.Awareness | null
+  private ws: WebSocket | null
+  /** Whether we answered the server's Step 1 on the current connection */
+  private greeted: boolean
+  private acks: Ack[]
+  private synced: boolean
+  /** Why the board can't be used any more, once closed */
+  private closedError: BoardError | null
+  /** A quota refusal that arrived while no flush was waiting; reported by the next one */
+  private refused: BoardError | null
+  private reconnectDelay: number
+  private reconnectTimer: ReturnType<typeof setTimeout> | null
+
+  private constructor(options: ConnectOptions) {
+    this.roomId = options.roomId
+    this.readOnly = options.token.startsWith('view.')
+    this.doc = new Y.Doc()
+    this.pageId = mainPageId
+    this.elements = this.doc.getMap('elements')
+    this.options = options
+    this.timeoutMs = options.timeout ?? 10_000
+    this.awareness = null
+    this.ws = null
+    this.greeted = false
+    this.acks = []
+    this.synced = false
+    this.closedError = null
+    this.refused = null
+    this.reconnectDelay = minReconnectDelayMs
+    this.reconnectTimer = null
+
+    this.doc.on('update', (update: Uint8Array, origin: unknown) => {
+      // Before the handshake, the Step 2 answering the server's Step 1 carries it
+      if (origin === remoteOrigin || !this.greeted) return
+      const encoder = encoding.createEncoder()
+      encoding.writeVarUint(encoder, messageSync)
+      syncProtocol.writeUpdate(encoder, update)
+      this.send(encoding.toUint8Array(encoder))
+    })
+
+    if (options.name) {
+      this.awareness = new awarenessProtocol.Awareness(this.doc)
+      this.awareness.setLocalStateField('user', {
+        id: randomId(),
+        name: options.name,
+        color: { background: colors[randomInteger() % colors.length], stroke: '#1e1e1e' },
+      })
+      // Also sent periodically to renew the state before others time it out
+      this.awareness.on('update', ({ added, updated, removed }: Record<string, number[]>, origin: unknown) => {
+        if (origin !== 'local' || !this.greeted) return
+        this.sendAwareness([...added, ...updated, ...removed])
+      })
+    }
+  }
+
+  /**
+   * connect
+   * -------
+   * Opens a room and resolves once its current content has been received.
+   */
+  static async connect(options: ConnectOptions): Promise<Board> {
+    if (options.roomId.startsWith(encryptedRoomPrefix)) {
+      throw new BoardError('encrypted', 'End-to-end encrypted rooms are not supported')
+    }
+    const board = new Board(options)
+    const synced = board.waitForAck()
+    board.open()
+    try {
+      await synced
+    } catch (err) {
+      board.close() // Timed out
+      throw err
+    }
+    board.synced = true
+
+    // The page list is only known once synced
+    const page = options.page ?? board.pages()[0].id
+    const elements = page === mainPageId ? board.elements : board.doc.getMap<Y.Map<Element>>('pageElements').get(page)
+    if (!elements) {
+      board.close()
+      throw new BoardError('not_found', `No page ${page}`)
+    }
+    board.pageId = page
+    board.elements = elements
+    board.awareness?.setLocalStateField('page', page)
+    return board
+  }
+
+  /** ID of the page this board draws on */
+  get page() {
+    return this.pageId
+  }
+
+  /** The board's pages, in order. A board that was never given a second page has one. */
+  pages(): Page[] {
+    const pages = this.doc.getMap<{ name: string; index: string }>('pages')
+    if (pages.size === 0) return [{ id: mainPageId, name: 'Page 1' }]
+    return Array.from(pages.entries())
+      .sort(([a, x], [b, y]) => (x.index < y.index ? -1 : x.index > y.index ? 1 : a < b ? -1 : 1))
+      .map(([id, { name }]) => ({ id, name }))
+  }
+
+  /** The visible elements, bottom to top. */
+  list(): Element[] {
+    return Array.from(this.elements.values())
+      .filter((element) => !element.isDeleted)
+      .sort((a, b) => ((a.index ?? '') < (b.index ?? '') ? -1 : (a.index ?? '') > (b.index ?? '') ? 1 : 0))
+  }
+
+  get(id: string): Element | undefined {
+    const element = this.elements.get(id)
+    return element && !element.isDeleted ? element : undefined
+  }
+
+  addRectangle(options: ShapeOptions): ShapeElement {
+    return this.addShape('rectangle', options)
+  }
+
+  addEllipse(options: ShapeOptions): ShapeElement {
+    return this.addShape('ellipse', options)
+  }
+
+  addDiamond(options: ShapeOptions): ShapeElement {
+    return this.addShape('diamond', options)
+  }
+
+  addText(options: TextOptions): TextElement {
+    this.checkWritable()
+    const text = createText(options, this.nextIndex())
+    this.elements.set(text.id, text)
+    return text
+  }
+
+  /**
+   * addArrow
+   * --------
+   * A straight arrow from an element (`from`) or point (`start`) to an
+   * element (`to`) or point (`end`). Arrows are bound to the elements they
+   * connect, so they follow them when moved, here or in the editor.
+   */
+  addArrow(options: ArrowOptions): ArrowElement {
+    this.checkWritable()
+    const from = options.from !== undefined ? this.require(options.from) : options.start
+    const to = options.to !== undefined ? this.require(options.to) : options.end
+    if (!from || !to) throw new TypeError('An arrow needs `from` or `start`, and `to` or `end`')
+
+    let arrow!: ArrowElement
+    this.doc.transact(() => {
+      arrow = { ...createArrow(options, this.nextIndex()), ...routeArrow(from, to) }
+      this.elements.set(arrow.id, arrow)
+      for (const end of [from, to]) {
+        if (!Array.isArray(end)) this.bind(end.id, { id: arrow.id, type: 'arrow' })
+      }
+      if (options.label) arrow = this.addLabel(arrow, options.label, options) as ArrowElement
+    })
+    return arrow
+  }
+
+  /**
+   * update
+   * ------
+   * Changes fields of an element. Moving or resizing an element re-routes
+   * the arrows bound to it and re-centers its label; changing a text's
+   * `text` re-measures it.
+   */
+  update(id: string, patch: ElementPatch): Element {
+    this.checkWritable()
+    const current = this.require(id)
+    let updated!: Element
+    this.doc.transact(() => {
+      const changes: ElementPatch = { ...patch }
+      if (current.type === 'text' && patch.text !== undefined) {
+        Object.assign(changes, measureText(patch.text, patch.fontSize ?? (current as TextElement).fontSize))
+        changes.originalText = patch.text
+      }
+      updated = this.write(current, changes as Partial<Element>)
+
+      const container = updated.type === 'text' ? this.get((updated as TextElement).containerId ?? '') : undefined
+      if (container) this.placeLabel(container)
+      const moved = ['x', 'y', 'width', 'height', 'points'].some((field) => field in patch)
+      if (!moved) return
+      if (updated.type === 'arrow') {
+        this.reroute(updated as ArrowElement)
+        return
+      }
+      for (const bound of updated.boundElements ?? []) {
+        const other = this.get(bound.id)
+        if (other?.type === 'arrow') this.reroute(other as ArrowElement)
+      }
+      this.placeLabel(updated)
+    })
+    return this.get(id) ?? updated
+  }
+
+  /**
+   * delete
+   * ------
+   * Deletes an element along with its label. Arrows bound to it stay where
+   * they are, unbound.
+   */
+  delete(id: string) {
+    this.checkWritable()
+    const element = this.require(id)
+    this.doc.transact(() => {
+      this.write(element, { isDeleted: true, boundElements: null })
+      for (const bound of element.boundElements ?? []) {
+        const other = this.get(bound.id)
+        if (!other) continue
+        if (bound.type === 'text') this.write(other, { isDeleted: true })
+        else this.write(other, {
+          startBinding: (other as ArrowElement).startBinding?.elementId === id ? null : (other as ArrowElement).startBinding,
+          endBinding: (other as ArrowElement).endBinding?.elementId === id ? null : (other as ArrowElement).endBinding,
+        } as Partial<Element>)
+      }
+      // Unlink it from what it was bound to
+      const linked = element.type === 'arrow'
+        ? [(element as ArrowElement).startBinding?.elementId, (element as ArrowElement).endBinding?.elementId]
+        : element.type === 'text' ? [(element as TextElement).containerId] : []
+      for (const otherId of new Set(linked)) {
+        const other = otherId ? this.get(otherId) : undefined
+        if (other) this.write(other, { boundElements: (other.boundElements ?? []).filter((bound) => bound.id !== id) })
+      }
+    })
+  }
+
+  /**
+   * transact
+   * --------
+   * Runs `fn` as one change, sent to the room as a single update, and waits
+   * for the server to acknowledge it.
+   */
+  async transact<T>(fn: (board: Board) => T): Promise<T> {
+    let result!: T
+    this.doc.transact(() => {
+      result = fn(this)
+    })
+    await this.flush()
+    return result
+  }
+
+  /**
+   * flush
+   * -----
+   * Resolves once the server has applied everything written so far (not
+   * necessarily stored it yet); rejects with a `doc_size` or `elements`
+   * BoardError if it undid a write for a quota.
+   */
+  flush(): Promise<void> {
+    if (this.closedError) return Promise.reject(this.closedError)
+    const acked = this.waitForAck()
+    if (this.greeted) this.sendMarker(this.acks[this.acks.length - 1])
+    return acked
+  }
+
+  /** Calls `listener` whenever elements change; returns a function that stops it. */
+  onChange(listener: (event: ChangeEvent) => void): () => void {
+    const observer = (event: Y.YMapEvent<Element>) => {
+      listener({ ids: Array.from(event.keysChanged), remote: event.transaction.origin === remoteOrigin })
+    }
+    this.elements.observe(observer)
+    return () => this.elements.unobserve(observer)
+  }
+
+  /** Leaves the room. Writes not yet acknowledged may be lost; `flush` first. */
+  close() {
+    this.shutDown(new BoardError('closed', 'The board was closed'))
+  }
+
+  private addShape(type: ShapeElement['type'], options: ShapeOptions): ShapeElement {
+    this.checkWritable()
+    let shape = createShape(type, options, this.nextIndex())
+    this.doc.transact(() => {
+      this.elements.set(shape.id, shape)
+      if (options.label) shape = this.addLabel(shape, options.label, options) as ShapeElement
+    })
+    return shape
+  }
+
+  // Adds `text` as the label of `container` and returns the updated container
+  private addLabel(container: Element, text: string, options: { fontSize?: number; strokeColor?: string }) {
+    const label = createText({ x: 0, y: 0, text, fontSize: options.fontSize, containerId: container.id }, this.nextIndex())
+    this.elements.set(label.id, { ...label, ...labelPosition(container, label) })
+    return this.bind(container.id, { id: label.id, type: 'text' })
+  }
+
+  private bind(id: string, bound: { id: string; type: 'arrow' | 'text' }) {
+    const element = this.elements.get(id)!
+    return this.write(element, { boundElements: [...(element.boundElements ?? []), bound] })
+  }
+
+  // Re-routes an arrow between the current positions of its ends
+  private reroute(arrow: ArrowElement) {
+    const last = arrow.points[arrow.points.length - 1]
+    const bound = (binding: ArrowElement['startBinding']) => (binding ? this.get(binding.elementId) : undefined)
+    const from = bound(arrow.startBinding) ?? [arrow.x, arrow.y] as [number, number]
+    const to = bound(arrow.endBinding) ?? [arrow.x + last[0], arrow.y + last[1]] as [number, number]
+    const rerouted = this.write(arrow, routeArrow(from, to))
+    this.placeLabel(rerouted)
+    return rerouted
+  }
+
+  private placeLabel(container: Element) {
+    const labelId = container.boundElements?.find((bound) => bound.type === 'text')?.id
+    const label = labelId ? this.get(labelId) : undefined
+    if (label) this.write(label, labelPosition(container, label))
+  }
+
+  // Writes a new version of an element, as Excalidraw does for every change
+  private write(element: Element, changes: Partial<Element>): Element {
+    const next = {
+      ...element,
+      ...changes,
+      version: element.version + 1,
+      versionNonce: randomInteger(),
+      updated: Date.now(),
+    } as Element
+    this.elements.set(element.id, next)
+    return next
+  }
+
+  private require(id: string): Element {
+    const element = this.get(id)
+    if (!element) throw new BoardError('not_found', `No element with ID ${id}`)
+    return element
+  }
+
+  private nextIndex() {
+    let top: string | null = null
+    this.elements.forEach((element) => {
+      if (element.index && (top === null || element.index > top)) top = element.index
+    })
+    return indexAbove(top)
+  }
+
+  private checkWritable() {
+    if (this.closedError) throw this.closedError
+    if (this.readOnly) throw new BoardError('read_only', 'This token only allows viewing the board')
+  }
+
+  // --- CONNECTION ---
+
+  private shutDown(error: BoardError) {
+    if (this.closedError) return
+    this.closedError = error
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer)
+    if (this.awareness) {
+      // Tell the others right away instead of letting our cursor time out
+      if (this.greeted) awarenessProtocol.removeAwarenessStates(this.awareness, [this.doc.clientID], 'local')
+      this.awareness.destroy()
+    }
+    const ws = this.ws
+    this.ws = null
+    ws?.close()
+    this.acks.forEach((ack) => settle(ack, error))
+    this.acks = []
+    this.doc.destroy()
+  }
+
+  private open() {
+    const url = new URL(`/${encodeURIComponent(this.roomId)}`, this.options.server)
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:'
+    url.searchParams.set('token', this.options.token)
+    const ws = new WebSocket(url)
+    ws.binaryType = 'arraybuffer'
+    this.ws = ws
+    this.greeted = false
+    let failure: BoardError | null = null
+
+    ws.on('open', () => {
+      this.reconnectDelay = minReconnectDelayMs
+    })
+    ws.on('message', (data) => {
+      try {
+        this.handleMessage(new Uint8Array(data as ArrayBuffer))
+      } catch (err) {
+        failure = new BoardError('connection_failed', `Invalid message from the server: ${err}`)
+        ws.close()
+      }
+    })
+    ws.on('error', (err: Error) => {
+      // The upgrade is refused with a plain HTTP response
+      failure = /\b401\b/.test(err.message)
+        ? new BoardError('unauthorized', 'The token is not valid for this room')
+        : new BoardError('connection_failed', err.message)
+    })
+    ws.on('close', (code: number, reason: Buffer) => {
+      if (this.ws !== ws) return
+      this.ws = null
+      this.greeted = false
+      this.acks.forEach((ack) => {
+        ack.sent = false
+      })
+      if (this.closedError) return
+
+      if (code === closeRoomDeleted) failure = new BoardError('room_deleted', 'The board was deleted')
+      else if (code === closeInvalidRoom) failure = new BoardError('invalid_room', reason.toString() || 'Invalid room')
+      // Only retry what might go away; before the first sync, `connect` reports the problem instead
+      const fatal = failure?.code === 'unauthorized' || failure?.code === 'room_deleted' || failure?.code === 'invalid_room'
+      if (!this.synced || fatal) {
+        this.shutDown(failure ?? new BoardError('connection_failed', `Connection closed (${code})`))
+        return
+      }
+      this.reconnectTimer = setTimeout(() => this.open(), this.reconnectDelay)
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, maxReconnectDelayMs)
+    })
+  }
+
+  private handleMessage(message: Uint8Array) {
+    const decoder = decoding.createDecoder(message)
+    switch (decoding.readVarUint(decoder)) {
+      case messageSync: {
+        const syncType = decoding.peekVarUint(decoder)
+        const encoder = encoding.createEncoder()
+        encoding.writeVarUint(encoder, messageSync)
+        syncProtocol.readSyncMessage(decoder, encoder, this.doc, remoteOrigin)
+        if (syncType === syncProtocol.messageYjsSyncStep1) {
+          // Our Step 2: everything the server is missing, including writes made while disconnected
+          this.send(encoding.toUint8Array(encoder))
+          this.greeted = true
+          if (this.awareness) this.sendAwareness([this.doc.clientID])
+          // After a reconnect, catch up on what changed meanwhile
+          if (this.acks.length === 0) this.acks.push({ resolve: () => {}, reject: () => {}, sent: false, settled: false, error: null, timer: null })
+          this.acks.forEach((ack) => this.sendMarker(ack))
+        } else if (syncType === syncProtocol.messageYjsSyncStep2) {
+          this.acknowledge()
+        }
+        break
+      }
+      case messageAwareness:
+        if (this.awareness) awarenessProtocol.applyAwarenessUpdate(this.awareness, decoding.readVarUint8Array(decoder), remoteOrigin)
+        break
+      case messageQuotaExceeded: {
+        const quota = decoding.readVarString(decoder) as 'doc_size' | 'elements'
+        const error = new BoardError(quota, decoding.readVarString(decoder))
+        const ack = this.acks.find((waiting) => !waiting.settled)
+        if (ack) ack.error = error
+        else this.refused = error
+        break
+      }
+    }
+  }
+
+  private waitForAck(): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const ack: Ack = { resolve, reject, sent: false, settled: false, error: this.refused, timer: null }
+      this.refused = null
+      this.acks.push(ack)
+      ack.timer = setTimeout(() => {
+        ack.timer = null
+        settle(ack, new BoardError('timeout', `The server did not answer within ${this.timeoutMs} ms`))
+        // Never sent: nothing will answer it
+        if (!ack.sent) this.acks.splice(this.acks.indexOf(ack), 1)
+      }, this.timeoutMs)
+    })
+  }
+
+  // A Step 1 asking for what we miss, whose answer acknowledges everything sent before it
+  private sendMarker(ack: Ack) {
+    if (ack.sent) return
+    ack.sent = true
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageSync)
+    syncProtocol.writeSyncStep1(encoder, this.doc)
+    this.send(encoding.toUint8Array(encoder))
+  }
+
+  private acknowledge() {
+    const index = this.acks.findIndex((ack) => ack.sent)
+    if (index === -1) return
+    const [ack] = this.acks.splice(index, 1)
+    settle(ack, ack.error)
+  }
+
+  private sendAwareness(clients: number[]) {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageAwareness)
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(this.awareness!, clients))
+    this.send(encoding.toUint8Array(encoder))
+  }
+
+  private send(message: Uint8Array) {
+    if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(message)
+  }
+}
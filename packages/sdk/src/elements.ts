@@ -0,0 +1,320 @@
+import { generateKeyBetween } from 'fractional-indexing'
+
+/**
+ * ============================================================================
+ * ELEMENTS
+ * ============================================================================
+ *
+ * The subset of Excalidraw's element model the SDK creates, and factories
+ * that fill in every field Excalidraw expects, so elements written by a
+ * script look exactly like ones drawn in the browser.
+ *
+ * Excalidraw elements are immutable values: every change writes a new copy
+ * with a higher `version` (and a new random `versionNonce`), which is how
+ * clients decide whose copy wins. Deleting only sets `isDeleted`.
+ */
+
+export type FillStyle = 'hachure' | 'cross-hatch' | 'solid' | 'zigzag'
+export type StrokeStyle = 'solid' | 'dashed' | 'dotted'
+export type Arrowhead = 'arrow' | 'bar' | 'dot' | 'circle' | 'triangle' | 'diamond'
+
+export interface BoundElement {
+  id: string
+  type: 'arrow' | 'text'
+}
+
+export interface PointBinding {
+  elementId: string
+  /** -1..1, where the arrow points relative to the element's center (0 = straight at it) */
+  focus: number
+  /** Distance between the arrow's tip and the element's outline */
+  gap: number
+}
+
+interface BaseElement {
+  id: string
+  x: number
+  y: number
+  width: number
+  height: number
+  angle: number
+  strokeColor: string
+  backgroundColor: string
+  fillStyle: FillStyle
+  strokeWidth: number
+  strokeStyle: StrokeStyle
+  roughness: number
+  opacity: number
+  roundness: { type: number; value?: number } | null
+  seed: number
+  version: number
+  versionNonce: number
+  /** Fractional index giving the stacking order */
+  index: string | null
+  isDeleted: boolean
+  groupIds: string[]
+  frameId: string | null
+  boundElements: BoundElement[] | null
+  updated: number
+  link: string | null
+  locked: boolean
+  customData?: Record<string, unknown>
+}
+
+export interface ShapeElement extends BaseElement {
+  type: 'rectangle' | 'ellipse' | 'diamond'
+}
+
+export interface TextElement extends BaseElement {
+  type: 'text'
+  text: string
+  originalText: string
+  fontSize: number
+  fontFamily: number
+  textAlign: 'left' | 'center' | 'right'
+  verticalAlign: 'top' | 'middle' | 'bottom'
+  /** The shape or arrow this text is the label of */
+  containerId: string | null
+  autoResize: boolean
+  lineHeight: number
+}
+
+export interface ArrowElement extends BaseElement {
+  type: 'arrow'
+  /** Relative to the arrow's x/y; the first point is always [0, 0] */
+  points: [number, number][]
+  lastCommittedPoint: [number, number] | null
+  startBinding: PointBinding | null
+  endBinding: PointBinding | null
+  startArrowhead: Arrowhead | null
+  endArrowhead: Arrowhead | null
+  elbowed: boolean
+}
+
+// Elements drawn in the browser can be of any Excalidraw type (line, freedraw, image...); they are read as they are
+export interface OtherElement extends BaseElement {
+  type: string
+  [field: string]: unknown
+}
+
+export type Element = ShapeElement | TextElement | ArrowElement | OtherElement
+
+export interface StyleOptions {
+  strokeColor?: string
+  backgroundColor?: string
+  fillStyle?: FillStyle
+  strokeWidth?: number
+  strokeStyle?: StrokeStyle
+  /** 0 = architect (clean lines), 1 = artist, 2 = cartoonist */
+  roughness?: number
+  /** 0-100 */
+  opacity?: number
+  link?: string | null
+  customData?: Record<string, unknown>
+}
+
+export interface ShapeOptions extends StyleOptions {
+  x: number
+  y: number
+  width: number
+  height: number
+  /** Text centered inside the shape */
+  label?: string
+  fontSize?: number
+}
+
+export interface TextOptions extends StyleOptions {
+  x: number
+  y: number
+  text: string
+  fontSize?: number
+  textAlign?: TextElement['textAlign']
+}
+
+export interface ArrowOptions extends StyleOptions {
+  /** Element to start from (the arrow is bound to it and follows it when it moves in the editor) */
+  from?: string
+  /** Element to point at */
+  to?: string
+  /** Start point, when not starting from an element */
+  start?: [number, number]
+  /** End point, when not pointing at an element */
+  end?: [number, number]
+  /** Text shown on the middle of the arrow */
+  label?: string
+  fontSize?: number
+  startArrowhead?: Arrowhead | null
+  endArrowhead?: Arrowhead | null
+}
+
+// Excalidraw's defaults
+const defaultFontSize = 20
+const excalifont = 5
+const lineHeight = 1.25
+const bindingGap = 4
+// Excalidraw's roundness types
+const proportionalRadius = 2
+const adaptiveRadius = 3
+
+export const randomInteger = () => Math.floor(Math.random() * 2 ** 31)
+
+export const randomId = () => {
+  const alphabet = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_-'
+  let id = ''
+  for (let i = 0; i < 21; i++) id += alphabet[Math.floor(Math.random() * alphabet.length)]
+  return id
+}
+
+// The fractional index that stacks on top of `below` (null for an empty board)
+export const indexAbove = (below: string | null) => generateKeyBetween(below, null)
+
+const base = (options: StyleOptions, index: string) => ({
+  id: randomId(),
+  angle: 0,
+  strokeColor: options.strokeColor ?? '#1e1e1e',
+  backgroundColor: options.backgroundColor ?? 'transparent',
+  fillStyle: options.fillStyle ?? 'solid',
+  strokeWidth: options.strokeWidth ?? 2,
+  strokeStyle: options.strokeStyle ?? 'solid',
+  roughness: options.roughness ?? 1,
+  opacity: options.opacity ?? 100,
+  seed: randomInteger(),
+  version: 1,
+  versionNonce: randomInteger(),
+  index,
+  isDeleted: false,
+  groupIds: [],
+  frameId: null,
+  boundElements: null,
+  updated: Date.now(),
+  link: options.link ?? null,
+  locked: false,
+  ...(options.customData ? { customData: options.customData } : {}),
+})
+
+export const createShape = (type: ShapeElement['type'], options: ShapeOptions, index: string): ShapeElement => ({
+  ...base(options, index),
+  type,
+  x: options.x,
+  y: options.y,
+  width: options.width,
+  height: options.height,
+  roundness: type === 'ellipse' ? null : { type: type === 'rectangle' ? adaptiveRadius : proportionalRadius },
+})
+
+/**
+ * measureText
+ * -----------
+ * An estimate of how large Excalidraw will draw `text`. Node can't measure
+ * fonts; the editor re-measures the text as soon as someone edits it.
+ */
+export const measureText = (text: string, fontSize: number) => {
+  const lines = text.split('\n')
+  return {
+    width: Math.max(...lines.map((line) => line.length)) * fontSize * 0.6,
+    height: lines.length * fontSize * lineHeight,
+  }
+}
+
+export const createText = (options: TextOptions & { containerId?: string | null }, index: string): TextElement => {
+  const fontSize = options.fontSize ?? defaultFontSize
+  const { width, height } = measureText(options.text, fontSize)
+  return {
+    ...base(options, index),
+    type: 'text',
+    x: options.x,
+    y: options.y,
+    width,
+    height,
+    roundness: null,
+    text: options.text,
+    originalText: options.text,
+    fontSize,
+    fontFamily: excalifont,
+    textAlign: options.textAlign ?? (options.containerId ? 'center' : 'left'),
+    verticalAlign: options.containerId ? 'middle' : 'top',
+    containerId: options.containerId ?? null,
+    autoResize: true,
+    lineHeight,
+  }
+}
+
+export const createArrow = (options: ArrowOptions, index: string): ArrowElement => ({
+  ...base(options, index),
+  type: 'arrow',
+  // Placed by routeArrow
+  x: 0,
+  y: 0,
+  width: 0,
+  height: 0,
+  roundness: { type: proportionalRadius },
+  points: [[0, 0], [0, 0]],
+  lastCommittedPoint: null,
+  startBinding: null,
+  endBinding: null,
+  startArrowhead: options.startArrowhead ?? null,
+  endArrowhead: options.endArrowhead === undefined ? 'arrow' : options.endArrowhead,
+  elbowed: false,
+})
+
+type Point = [number, number]
+
+export const center = (element: Element): Point => [element.x + element.width / 2, element.y + element.height / 2]
+
+/**
+ * outlinePoint
+ * ------------
+ * Where a line from the center of `element` towards `toward` crosses its
+ * outline, moved out by `gap`. Rotation is ignored.
+ */
+export const outlinePoint = (element: Element, toward: Point, gap = bindingGap): Point => {
+  const [cx, cy] = center(element)
+  const length = Math.hypot(toward[0] - cx, toward[1] - cy)
+  if (length === 0) return [cx, cy]
+  const ux = (toward[0] - cx) / length
+  const uy = (toward[1] - cy) / length
+  const hw = element.width / 2
+  const hh = element.height / 2
+  let distance: number
+  if (element.type === 'ellipse') distance = 1 / Math.sqrt((ux / hw) ** 2 + (uy / hh) ** 2)
+  else if (element.type === 'diamond') distance = 1 / (Math.abs(ux) / hw + Math.abs(uy) / hh)
+  else distance = Math.min(ux === 0 ? Infinity : hw / Math.abs(ux), uy === 0 ? Infinity : hh / Math.abs(uy))
+  return [cx + ux * (distance + gap), cy + uy * (distance + gap)]
+}
+
+/**
+ * routeArrow
+ * ----------
+ * A straight arrow between its ends: bound elements (aimed at their centers)
+ * or fixed points. Returns the fields to update.
+ */
+export const routeArrow = (
+  from: Element | Point,
+  to: Element | Point
+): Pick<ArrowElement, 'x' | 'y' | 'width' | 'height' | 'points' | 'startBinding' | 'endBinding'> => {
+  const isPoint = (end: Element | Point): end is Point => Array.isArray(end)
+  const fromCenter = isPoint(from) ? from : center(from)
+  const toCenter = isPoint(to) ? to : center(to)
+  const start = isPoint(from) ? from : outlinePoint(from, toCenter)
+  const end = isPoint(to) ? to : outlinePoint(to, fromCenter)
+  return {
+    x: start[0],
+    y: start[1],
+    width: Math.abs(end[0] - start[0]),
+    height: Math.abs(end[1] - start[1]),
+    points: [[0, 0], [end[0] - start[0], end[1] - start[1]]],
+    startBinding: isPoint(from) ? null : { elementId: from.id, focus: 0, gap: bindingGap },
+    endBinding: isPoint(to) ? null : { elementId: to.id, focus: 0, gap: bindingGap },
+  }
+}
+
+// Where a label of the given size sits in the middle of its container
+export const labelPosition = (container: Element, label: { width: number; height: number }) => {
+  const [cx, cy] = container.type === 'arrow' ? arrowMidpoint(container as ArrowElement) : center(container)
+  return { x: cx - label.width / 2, y: cy - label.height / 2 }
+}
+
+const arrowMidpoint = (arrow: ArrowElement): Point => {
+  const last = arrow.points[arrow.points.length - 1]
+  return [arrow.x + last[0] / 2, arrow.y + last[1] / 2]
+}
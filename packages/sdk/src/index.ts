@@ -0,0 +1,19 @@
+export { Board, BoardError, createRoom } from './board.js'
+export type { BoardErrorCode, ChangeEvent, ConnectOptions, ElementPatch, Page } from './board.js'
+export { measureText } from './elements.js'
+export type {
+  ArrowElement,
+  ArrowOptions,
+  Arrowhead,
+  BoundElement,
+  Element,
+  FillStyle,
+  OtherElement,
+  PointBinding,
+  ShapeElement,
+  ShapeOptions,
+  StrokeStyle,
+  StyleOptions,
+  TextElement,
+  TextOptions,
+} from './elements.js'
@@ -0,0 +1,143 @@
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import type { AddressInfo } from 'net'
+import { WebSocketServer, type WebSocket } from 'ws'
+import * as Y from 'yjs'
+import * as syncProtocol from 'y-protocols/sync'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import { Board, BoardError } from '../src/board.js'
+
+const messageSync = 0
+const messageQuotaExceeded = 11
+
+/**
+ * A stand-in for the backend: one room, which answers every Sync Step 1 with
+ * a Step 2 while `answering` is set, after sending `refusal` if there is one.
+ */
+class FakeServer {
+  doc = new Y.Doc()
+  answering = true
+  refusal: { quota: string; message: string } | null = null
+  listening: Promise<unknown>
+  private wss: WebSocketServer
+
+  constructor() {
+    this.wss = new WebSocketServer({ port: 0 })
+    this.listening = new Promise((resolve) => this.wss.once('listening', resolve))
+    this.wss.on('connection', (ws) => {
+      ws.on('message', (data) => this.handleMessage(ws, new Uint8Array(data as Buffer)))
+      ws.send(this.encode((encoder) => syncProtocol.writeSyncStep1(encoder, this.doc)))
+    })
+  }
+
+  get url() {
+    return `http://localhost:${(this.wss.address() as AddressInfo).port}`
+  }
+
+  close() {
+    this.wss.clients.forEach((ws) => ws.terminate())
+    this.wss.close()
+  }
+
+  private handleMessage(ws: WebSocket, message: Uint8Array) {
+    const decoder = decoding.createDecoder(message)
+    if (decoding.readVarUint(decoder) !== messageSync) return
+    if (decoding.peekVarUint(decoder) !== syncProtocol.messageYjsSyncStep1) {
+      syncProtocol.readSyncMessage(decoder, encoding.createEncoder(), this.doc, ws)
+      return
+    }
+    if (!this.answering) return
+    if (this.refusal) {
+      const { quota, message: text } = this.refusal
+      const encoder = encoding.createEncoder()
+      encoding.writeVarUint(encoder, messageQuotaExceeded)
+      encoding.writeVarString(encoder, quota)
+      encoding.writeVarString(encoder, text)
+      ws.send(encoding.toUint8Array(encoder))
+    }
+    ws.send(this.encode((encoder) => syncProtocol.readSyncMessage(decoder, encoder, this.doc, ws)))
+  }
+
+  private encode(write: (encoder: encoding.Encoder) => void) {
+    const encoder = encoding.createEncoder()
+    encoding.writeVarUint(encoder, messageSync)
+    write(encoder)
+    return encoding.toUint8Array(encoder)
+  }
+}
+
+const activeTimeouts = () => process.getActiveResourcesInfo().filter((resource) => resource === 'Timeout').length
+
+describe('Board acknowledgements', () => {
+  const server = new FakeServer()
+  const boards: Board[] = []
+
+  before(() => server.listening)
+
+  after(() => {
+    boards.forEach((board) => board.close())
+    server.close()
+  })
+
+  const connect = async (timeout = 10_000) => {
+    server.answering = true
+    server.refusal = null
+    const board = await Board.connect({ server: server.url, roomId: 'room', token: 'edit.token', timeout })
+    boards.push(board)
+    return board
+  }
+
+  test('flush resolves once the server has applied the writes', async () => {
+    const board = await connect()
+    const shape = board.addRectangle({ x: 0, y: 0, width: 10, height: 10 })
+    await board.flush()
+    assert.equal(server.doc.getMap('elements').has(shape.id), true)
+  })
+
+  test('an answered flush leaves no timer behind', async () => {
+    const board = await connect(60_000)
+    const timers = activeTimeouts()
+    board.addRectangle({ x: 0, y: 0, width: 10, height: 10 })
+    await board.flush()
+    assert.equal(activeTimeouts(), timers)
+  })
+
+  test('flush rejects with the quota the server refused a write for', async () => {
+    const board = await connect()
+    server.refusal = { quota: 'elements', message: 'This board has too many elements' }
+    board.addRectangle({ x: 0, y: 0, width: 10, height: 10 })
+    await assert.rejects(board.flush(), (err: BoardError) => err.code === 'elements' && err.message === 'This board has too many elements')
+
+    // The refusal only applies to the flush it was sent before
+    server.refusal = null
+    await board.flush()
+  })
+
+  test('flush rejects with a timeout when the server does not answer', async () => {
+    const board = await connect(200)
+    server.answering = false
+    board.addRectangle({ x: 0, y: 0, width: 10, height: 10 })
+    const started = Date.now()
+    await assert.rejects(board.flush(), (err: BoardError) => err instanceof BoardError && err.code === 'timeout')
+    assert.ok(Date.now() - started >= 190)
+  })
+
+  test('connect rejects with a timeout when the server does not answer', async () => {
+    server.answering = false
+    await assert.rejects(
+      Board.connect({ server: server.url, roomId: 'room', token: 'edit.token', timeout: 200 }),
+      (err: BoardError) => err.code === 'timeout'
+    )
+  })
+
+  test('close rejects pending flushes', async () => {
+    const board = await connect()
+    server.answering = false
+    board.addRectangle({ x: 0, y: 0, width: 10, height: 10 })
+    const flushed = board.flush()
+    board.close()
+    await assert.rejects(flushed, (err: BoardError) => err.code === 'closed')
+    await assert.rejects(board.flush(), (err: BoardError) => err.code === 'closed')
+  })
+})
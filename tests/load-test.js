@@ -16,7 +16,8 @@ import os from 'os'
 
 // Configuration
 const CONFIG = {
-    SERVER_URL: 'ws://localhost:1234/load-test-room',
+    SERVER_URL: 'ws://localhost:1234',
+    HTTP_URL: 'http://localhost:1234',
     NUM_CLIENTS: 50,
     MESSAGES_PER_CLIENT: 10,
     CONNECTION_STAGGER_MS: 5,
@@ -37,6 +38,9 @@ const metrics = {
     endTime: 0,
 }
 
+// Room created for this run (rooms require a signed share token)
+let room = null
+
 // Utility functions
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
 
@@ -68,7 +72,7 @@ class LoadTestClient {
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => reject(new Error('Connection timeout')), 5000)
 
-            this.ws = new WebSocket(CONFIG.SERVER_URL)
+            this.ws = new WebSocket(`${CONFIG.SERVER_URL}/${room.roomId}?token=${room.token}`)
             this.ws.binaryType = 'arraybuffer'
 
             this.ws.on('open', () => {
@@ -155,6 +159,9 @@ async function runLoadTest() {
     console.log('═'.repeat(60))
     console.log(`Clients: ${CONFIG.NUM_CLIENTS} | Messages/client: ${CONFIG.MESSAGES_PER_CLIENT}\n`)
 
+    const response = await fetch(`${CONFIG.HTTP_URL}/rooms`, { method: 'POST' })
+    room = await response.json()
+
     metrics.startTime = performance.now()
     const clients = []
 